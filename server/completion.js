@@ -0,0 +1,140 @@
+// Argument completion (completion/complete).
+//
+// Object arguments are completed from what is open in Safari right now, each
+// value labelled with the object's name, e.g. `window id 4512 — "GitHub"`;
+// parseSpecifier ignores the label, so a completion can be passed back as is.
+// Arguments with an enum in their schema complete to its values, and a few
+// free-text types to suggested values.
+
+const { decodeAppleScriptValue } = require('./values');
+const { parseSpecifier, buildSpecifier } = require('./specifiers');
+const { tellScript } = require('./tools');
+
+// MCP caps a completion response at 100 values
+const MAX_VALUES = 100;
+
+const TARGET_ARGUMENT = /^target_(\w+)_required_string$/;
+
+// Suggestions for text-valued types. Safari's dictionary declares `saveable
+// file format` without listing formats; these are the document types Safari
+// writes. The value is still sent as text, so others can be tried.
+const SUGGESTED_VALUES = {
+  'saveable file format': ['com.apple.webarchive', 'public.html']
+};
+
+function label(specifier, name) {
+  return name ? `${specifier} — ${quoteName(name)}` : specifier;
+}
+
+function quoteName(name) {
+  return `"${String(name).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+async function evaluate(registry, executor, statement, options) {
+  const output = await executor.execute(tellScript(registry, statement), { signal: options.signal, logger: options.logger });
+  return decodeAppleScriptValue(output);
+}
+
+async function windowValues(registry, executor, options) {
+  const [ids, names] = await evaluate(registry, executor, 'return {id of every window, name of every window}', options) || [];
+  return ['front window'].concat((ids || []).map((id, position) => label(`window id ${id}`, names && names[position])));
+}
+
+// Tabs of the window named in the other arguments, or of the front window
+async function tabValues(registry, executor, window, options) {
+  let container = 'front window';
+  if (window) {
+    try {
+      container = buildSpecifier(parseSpecifier(registry, window, 'window'));
+    } catch (error) {
+      return [];
+    }
+  }
+  const names = await evaluate(registry, executor, `return name of every tab of ${container}`, options) || [];
+  return ['current tab'].concat(names.map((name, offset) => label(`tab ${offset + 1}`, name)));
+}
+
+async function documentValues(registry, executor, options) {
+  const names = await evaluate(registry, executor, 'return name of every document', options) || [];
+  return ['front document'].concat(names.map(name => `document ${quoteName(name)}`));
+}
+
+async function windowIdValues(registry, executor, options) {
+  const ids = await evaluate(registry, executor, 'return id of every window', options) || [];
+  return ids.map(String);
+}
+
+async function tabIndexValues(registry, executor, windowId, options) {
+  const container = /^\d+$/.test(String(windowId || '')) ? `window id ${windowId}` : 'front window';
+  const indexes = await evaluate(registry, executor, `return index of every tab of ${container}`, options) || [];
+  return indexes.map(String);
+}
+
+// Live values for an object of class `cls`; `context` holds the arguments
+// already given, which narrow tabs to their window
+function objectValues(registry, executor, cls, context, options) {
+  switch (cls) {
+    case 'window':
+      return windowValues(registry, executor, options);
+    case 'tab':
+      return tabValues(registry, executor, context.target_window_required_string || context.window, options);
+    case 'document':
+      return documentValues(registry, executor, options);
+    default:
+      return Promise.resolve([]);
+  }
+}
+
+// Candidates for one argument, before filtering by what was typed
+function candidates(registry, executor, target, argumentName, context, options) {
+  if (target.kind === 'resource') {
+    if (argumentName === 'window_id') return windowIdValues(registry, executor, options);
+    if (argumentName === 'tab_index') return tabIndexValues(registry, executor, context.window_id, options);
+    return Promise.resolve([]);
+  }
+  if (target.kind === 'prompt') {
+    return argumentName === 'window'
+      ? windowValues(registry, executor, options)
+      : Promise.resolve([]);
+  }
+  const schema = target.tool.inputSchema.properties[argumentName];
+  if (!schema) return Promise.resolve([]);
+  if (schema.enum) return Promise.resolve(schema.enum.map(String));
+  const argument = target.tool.arguments.find(candidate => candidate.name === argumentName);
+  if (argument && SUGGESTED_VALUES[argument.type]) return Promise.resolve(SUGGESTED_VALUES[argument.type]);
+  const match = TARGET_ARGUMENT.exec(argumentName);
+  return match ? objectValues(registry, executor, match[1], context, options) : Promise.resolve([]);
+}
+
+// Values starting with what was typed come first, then ones containing it
+function rank(values, typed) {
+  const wanted = String(typed || '').toLowerCase();
+  const starting = values.filter(value => value.toLowerCase().startsWith(wanted));
+  const containing = values.filter(value => !starting.includes(value) && value.toLowerCase().includes(wanted));
+  return starting.concat(containing);
+}
+
+// `target` is {kind: 'tool', tool}, {kind: 'prompt', prompt} or
+// {kind: 'resource', template}. Safari being unreachable yields no values
+// rather than an error.
+async function complete(registry, executor, target, argument, context = {}, options = {}) {
+  let values;
+  try {
+    values = await candidates(registry, executor, target, argument.name, context, options);
+  } catch (error) {
+    if (options.signal && options.signal.aborted) throw error;
+    if (options.logger) options.logger.info('Completion lookup failed', { argument: argument.name, error: error.message });
+    values = [];
+  }
+  const ranked = rank(values, argument.value);
+  return {
+    values: ranked.slice(0, MAX_VALUES),
+    total: ranked.length,
+    hasMore: ranked.length > MAX_VALUES
+  };
+}
+
+module.exports = {
+  MAX_VALUES,
+  complete
+};
@@ -0,0 +1,181 @@
+// Typed AppleScript errors.
+//
+// osascript reports failures on stderr as
+//   0:45: execution error: Safari got an error: Can’t get tab 9 of window 1. (-1728)
+// toAppleScriptError reads the error number out of that and attaches a
+// machine-readable `code` and a `hint` saying what to do about it, so a
+// missing tab can be told apart from a missing permission.
+
+// Error number → code and hint. Numbers not listed get 'script_error'.
+const ERROR_CODES = {
+  '-1743': {
+    code: 'automation_denied',
+    hint: 'Allow the app running this server to control Safari in System Settings › Privacy & Security › Automation, then try again.'
+  },
+  '-1728': {
+    code: 'object_not_found',
+    hint: 'The object does not exist. List what is open (e.g. with query or count_tab_of_window) and use a valid index, id or name.'
+  },
+  '-1719': {
+    code: 'object_not_found',
+    hint: 'The index is out of range. List what is open (e.g. with query or count_tab_of_window) and use a valid index, id or name.'
+  },
+  '-1708': {
+    code: 'not_understood',
+    hint: 'The object does not understand this command. Check which commands its class responds to with describe_class.'
+  },
+  '-600': {
+    code: 'app_not_running',
+    hint: 'Safari is not running. Open Safari and try again.'
+  },
+  '-609': {
+    code: 'app_not_running',
+    hint: 'Safari quit while the script was running. Open Safari and try again.'
+  },
+  '-1712': {
+    code: 'timeout',
+    hint: 'Safari did not answer in time. It may be busy or showing a dialog; dismiss any dialog and try again.'
+  },
+  '-10004': {
+    code: 'automation_denied',
+    hint: 'Safari refused the command. Check the Automation permissions in System Settings › Privacy & Security.'
+  },
+  '-10006': {
+    code: 'cannot_set',
+    hint: 'The property cannot be set to this value. Check with describe_class whether it is read-only and what type it takes.'
+  },
+  '-1700': {
+    code: 'wrong_type',
+    hint: 'A value has the wrong type. Check the argument types with describe_class.'
+  },
+  '-2740': {
+    code: 'syntax_error',
+    hint: 'The generated script did not compile. Check the arguments for stray quotes or keywords.'
+  },
+  '-2741': {
+    code: 'syntax_error',
+    hint: 'The generated script did not compile. Check the arguments for stray quotes or keywords.'
+  }
+};
+
+// do JavaScript fails this way until the user opts in; Safari gives it no
+// dedicated error number
+const JAVASCRIPT_DISABLED = {
+  code: 'javascript_disabled',
+  hint: 'Turn on "Allow JavaScript from Apple Events" in Safari’s Develop menu (Safari › Settings › Advanced › Show features for web developers), then try again.'
+};
+
+// Codes a retry cannot fix: the same script fails the same way until the
+// user or the arguments change
+const PERMANENT_CODES = [
+  'automation_denied',
+  'object_not_found',
+  'not_understood',
+  'cannot_set',
+  'wrong_type',
+  'syntax_error',
+  'javascript_disabled',
+  'launch_failed'
+];
+
+// osascript (or the worker) could not be started at all; execFile and
+// spawn report this with a system error code and no AppleScript output
+const LAUNCH_FAILED = {
+  code: 'launch_failed',
+  hint: 'osascript could not be started. This server needs macOS with /usr/bin/osascript available to the user running it.'
+};
+const LAUNCH_ERRNOS = ['ENOENT', 'EACCES'];
+
+const UNKNOWN = {
+  code: 'script_error',
+  hint: null
+};
+
+// `execution error: <description> (<number>)` or `syntax error: ...`, as the
+// last line of osascript's stderr
+const ERROR_LINE = /(?:^|\n)(?:\d+:\d+: )?(?:execution|syntax) error: ([\s\S]*?)\s*\((-?\d+)\)\s*$/;
+// A bare `<description> (<number>)`, as fakes throw it
+const NUMBERED_MESSAGE = /^([\s\S]*?)\s*\((-?\d+)\)\s*$/;
+
+class AppleScriptError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'AppleScriptError';
+    this.code = details.code || UNKNOWN.code;
+    this.number = details.number !== undefined ? details.number : null;
+    this.hint = details.hint || null;
+    this.stderr = details.stderr || null;
+    // Runs made before giving up; set by executors that retry
+    this.attempts = details.attempts || null;
+  }
+}
+
+function isPermanent(error) {
+  return PERMANENT_CODES.includes(error.code);
+}
+
+// {description, number} from osascript's stderr, or null when it holds no
+// error line (a crash, or the process being killed)
+function parseErrorOutput(text) {
+  const value = String(text || '').trim();
+  const match = ERROR_LINE.exec(value) || NUMBERED_MESSAGE.exec(value);
+  return match ? { description: match[1], number: Number(match[2]) } : null;
+}
+
+function classify(description, number) {
+  if (/Allow JavaScript from Apple Events/i.test(description)) return JAVASCRIPT_DISABLED;
+  return (number !== null && ERROR_CODES[String(number)]) || UNKNOWN;
+}
+
+function isLaunchFailure(error) {
+  return LAUNCH_ERRNOS.includes(error.code);
+}
+
+// An AppleScriptError for a failed run. `error` is what execFile rejected
+// with (its `stderr` holds osascript's output) or any Error whose message
+// ends in an osascript error line.
+function toAppleScriptError(error) {
+  if (error instanceof AppleScriptError) return error;
+  if (isLaunchFailure(error)) {
+    return new AppleScriptError(`AppleScript error: ${error.message}`, LAUNCH_FAILED);
+  }
+  const stderr = typeof error.stderr === 'string' && error.stderr.trim() ? error.stderr.trim() : null;
+  const parsed = parseErrorOutput(stderr) || parseErrorOutput(error.message);
+  const description = parsed ? `${parsed.description} (${parsed.number})` : error.message;
+  const number = parsed ? parsed.number : null;
+  const { code, hint } = classify(description, number);
+  return new AppleScriptError(`AppleScript error: ${description}`, { code, number, hint, stderr });
+}
+
+// A script stopped for running past this server's time limit. Its code
+// differs from Safari's own Apple Event timeout (-1712, 'timeout'), and it
+// has no error number.
+function timeoutError(ms) {
+  return new AppleScriptError(`AppleScript error: script timed out after ${ms} ms`, {
+    code: 'script_timeout',
+    hint: 'The script ran past its time limit. Try again with a larger timeout_ms, or check whether Safari is busy or showing a dialog.'
+  });
+}
+
+// Failure fields for a tool result: the code and hint when known, and how
+// many times the script was run
+function errorDetails(error) {
+  if (!(error instanceof AppleScriptError)) return {};
+  const details = { code: error.code };
+  if (error.number !== null) details.number = error.number;
+  if (error.hint) details.hint = error.hint;
+  if (error.attempts) details.attempts = error.attempts;
+  return details;
+}
+
+module.exports = {
+  ERROR_CODES,
+  PERMANENT_CODES,
+  AppleScriptError,
+  isPermanent,
+  isLaunchFailure,
+  parseErrorOutput,
+  toAppleScriptError,
+  timeoutError,
+  errorDetails
+};
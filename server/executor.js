@@ -0,0 +1,260 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { decodeAppleScriptValue } = require('./values');
+const { Logger } = require('./logger');
+const { toAppleScriptError, timeoutError, isPermanent } = require('./errors');
+
+const execFileAsync = promisify(execFile);
+
+// Constants
+const APPLESCRIPT_TIMEOUT = 10000; // 10 seconds, for one run of a script
+const TIMEOUT_BUDGET = 30000; // 30 seconds, for all runs and the waits between
+const MAX_TIMEOUT = 600000; // 10 minutes, the most a caller may ask for
+const MAX_RETRIES = 3;
+const RETRY_DELAY = 1000; // 1 second
+
+// How a script may be retried after it fails:
+//   safe        only reads; retried after any failure a retry could fix
+//   idempotent  changes state, but running it twice ends the same as once;
+//               retried like a safe script
+//   unsafe      running it twice acts twice (opens two tabs, runs the
+//               JavaScript again); retried only when Safari was not running,
+//               as then nothing ran
+const RETRY_CLASSES = ['safe', 'idempotent', 'unsafe'];
+
+// Used when a caller passes no logger: stderr only, if enabled
+const defaultLogger = new Logger();
+
+// Script sent by checkSafariAvailable; fakes answer it by default
+const AVAILABILITY_SCRIPT = 'tell application "Safari" to return "available"';
+
+// Raised when a caller aborts a script through its AbortSignal
+class CancelledError extends Error {
+  constructor(message = 'Request cancelled') {
+    super(message);
+    this.name = 'CancelledError';
+  }
+}
+
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    throw new CancelledError(signal.reason instanceof Error ? signal.reason.message : undefined);
+  }
+}
+
+// Settle with `promise`, or reject as soon as `signal` aborts
+function untilCancelled(promise, signal) {
+  if (!signal) return Promise.resolve(promise);
+  throwIfCancelled(signal);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new CancelledError());
+    signal.addEventListener('abort', onAbort, { once: true });
+    Promise.resolve(promise).then(
+      value => { signal.removeEventListener('abort', onAbort); resolve(value); },
+      error => { signal.removeEventListener('abort', onAbort); reject(error); }
+    );
+  });
+}
+
+function delay(ms, signal) {
+  let timer;
+  const sleeping = new Promise(resolve => { timer = setTimeout(resolve, ms); });
+  return untilCancelled(sleeping, signal).finally(() => clearTimeout(timer));
+}
+
+// execFile kills the child when its `timeout` passes; the error then has
+// no exit code, only the signal
+function isTimeout(error) {
+  return Boolean(error.killed) && error.code === null && Boolean(error.signal);
+}
+
+function shouldRetry(error, retryClass) {
+  if (isPermanent(error)) return false;
+  if (retryClass === 'unsafe') return error.number === -600;
+  return true;
+}
+
+// One run of osascript, resolving to {stdout, stderr}. Results are printed
+// in source form (`-s s`) so they can be decoded with
+// decodeAppleScriptValue; aborting `signal` kills the child.
+function runOsascript(script, timeout, signal) {
+  return execFileAsync(
+    "osascript",
+    ["-s", "s", "-e", script],
+    {
+      timeout,
+      maxBuffer: 1024 * 1024, // 1MB buffer
+      signal
+    },
+  );
+}
+
+// Run `script` with `run(script, timeout, signal)` (runOsascript or a
+// worker's run) and retry it as its retry class allows. Scripts, retries
+// and stderr go to `options.logger`. Failures reject with an
+// AppleScriptError carrying the error number, a code, a hint and the number
+// of attempts. `options.retry` is the script's retry class (default
+// 'safe'); errors a retry cannot fix fail at once. `options.onAttempt(n)` is
+// called before each run, and aborting `options.signal` stops retrying.
+//
+// Each run may take `options.timeout` ms (default APPLESCRIPT_TIMEOUT) and
+// all runs with the waits between them `options.budget` ms (default
+// TIMEOUT_BUDGET, never less than one run). A run cut off by either fails
+// with code 'script_timeout'.
+async function executeWithRetries(run, script, retries = MAX_RETRIES, options = {}) {
+  const { signal } = options;
+  const logger = options.logger || defaultLogger;
+  const retryClass = options.retry || 'safe';
+  const timeout = options.timeout || APPLESCRIPT_TIMEOUT;
+  const deadline = Date.now() + Math.max(options.budget || TIMEOUT_BUDGET, timeout);
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    throwIfCancelled(signal);
+    const limit = Math.min(timeout, deadline - Date.now());
+    logger.debug('Running AppleScript', { script, attempt: attempt + 1, timeout: limit });
+    if (options.onAttempt) options.onAttempt(attempt + 1);
+    try {
+      const { stdout, stderr } = await run(script, limit, signal);
+      if (stderr) {
+        logger.notice('AppleScript stderr', { stderr: stderr.trim() });
+      }
+      return stdout.trim();
+    } catch (error) {
+      throwIfCancelled(signal);
+      const failure = isTimeout(error) ? timeoutError(limit) : toAppleScriptError(error);
+      const wait = RETRY_DELAY * Math.pow(2, attempt);
+      if (attempt === retries || !shouldRetry(failure, retryClass) || Date.now() + wait >= deadline) {
+        failure.attempts = attempt + 1;
+        logger.error('AppleScript failed', { attempts: failure.attempts, retry: retryClass, error: failure.message, code: failure.code });
+        throw failure;
+      }
+      logger.warning(`AppleScript attempt ${attempt + 1} failed; retrying in ${wait} ms`, { error: failure.message, code: failure.code });
+      await delay(wait, signal);
+    }
+  }
+}
+
+// Execute AppleScript with osascript, one process per run (see
+// executeWithRetries for the options)
+function executeAppleScript(script, retries = MAX_RETRIES, options = {}) {
+  return executeWithRetries(runOsascript, script, retries, options);
+}
+
+// Executor backed by the real osascript binary (macOS only). `budget` is
+// the default time for all runs of one script; a scheduler in front of it
+// counts it from when the script is queued.
+function createOsascriptExecutor(options = {}) {
+  const retries = options.retries !== undefined ? options.retries : MAX_RETRIES;
+  const budget = options.budget || TIMEOUT_BUDGET;
+  return {
+    name: 'osascript',
+    budget,
+    execute(script, executeOptions = {}) {
+      return executeAppleScript(script, retries, Object.assign({}, executeOptions, {
+        budget: executeOptions.budget || budget
+      }));
+    }
+  };
+}
+
+// Settle with `promise`, or fail with a timeout after `ms`
+function withTimeout(promise, ms) {
+  if (!ms) return Promise.resolve(promise);
+  let timer;
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(timeoutError(ms)), ms);
+  });
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+// Scriptable stand-in for osascript. Every script is recorded in `scripts`;
+// results come from rules added with `respond(match, result)`, where match is
+// a substring, RegExp or predicate and result is source-form output such as
+// '"text"' or '{1, 2}', an Error to throw (a message ending in "(-1728)" is
+// typed like osascript's), or a function of the script. A function may
+// return a promise: an aborted signal rejects without waiting for it, and
+// one still pending after `options.timeout` ms fails with a timeout. Later
+// rules take precedence over earlier ones. The availability probe is
+// answered unless `available` is set to false.
+function createFakeExecutor(options = {}) {
+  const rules = [];
+  const fallback = options.fallback !== undefined ? options.fallback : '';
+
+  function matches(match, script) {
+    if (typeof match === 'function') return match(script);
+    if (match instanceof RegExp) return match.test(script);
+    return script.includes(match);
+  }
+
+  const executor = {
+    name: 'fake',
+    scripts: [],
+    available: options.available !== false,
+
+    respond(match, result) {
+      rules.unshift({ match, result });
+      return executor;
+    },
+
+    reset() {
+      executor.scripts.length = 0;
+      return executor;
+    },
+
+    lastScript() {
+      return executor.scripts[executor.scripts.length - 1];
+    },
+
+    async execute(script, executeOptions = {}) {
+      const { signal } = executeOptions;
+      throwIfCancelled(signal);
+      executor.scripts.push(script);
+      if (executeOptions.onAttempt) executeOptions.onAttempt(1);
+      if (script === AVAILABILITY_SCRIPT) {
+        return executor.available ? '"available"' : '';
+      }
+      const rule = rules.find(r => matches(r.match, script));
+      let result = rule ? rule.result : fallback;
+      if (typeof result === 'function') {
+        // Cancelling settles the race, so the timeout's timer is cleared too
+        result = await withTimeout(untilCancelled(result(script), signal), executeOptions.timeout);
+      }
+      if (result instanceof Error) {
+        throw toAppleScriptError(result);
+      }
+      return String(result === undefined || result === null ? '' : result).trim();
+    }
+  };
+
+  return executor;
+}
+
+// Test if Safari is available. Only Safari not running counts as
+// unavailable; any other failure (a missing permission, a timeout, a dead
+// worker) is thrown so callers can report its own code and hint.
+async function checkSafariAvailable(executor, options = {}) {
+  try {
+    const result = await executor.execute(AVAILABILITY_SCRIPT, options);
+    return decodeAppleScriptValue(result) === "available";
+  } catch (error) {
+    if (error.code === 'app_not_running') return false;
+    throw error;
+  }
+}
+
+module.exports = {
+  APPLESCRIPT_TIMEOUT,
+  TIMEOUT_BUDGET,
+  MAX_TIMEOUT,
+  MAX_RETRIES,
+  RETRY_CLASSES,
+  RETRY_DELAY,
+  AVAILABILITY_SCRIPT,
+  CancelledError,
+  throwIfCancelled,
+  runOsascript,
+  executeWithRetries,
+  executeAppleScript,
+  createOsascriptExecutor,
+  createFakeExecutor,
+  checkSafariAvailable
+};
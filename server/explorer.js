@@ -0,0 +1,160 @@
+// Tools for exploring the scripting dictionary itself: which classes exist,
+// what they contain and respond to, and what each command accepts. They
+// answer from the registry and never run a script.
+
+const { defineTool } = require('./tools');
+const { ROOT_CLASS } = require('./registry');
+
+function describeAccess(access) {
+  if (access === 'r') return 'read-only';
+  if (access === 'w') return 'write-only';
+  return 'read/write';
+}
+
+function findByName(collection, name, kind) {
+  const wanted = String(name).trim().replace(/_/g, ' ').toLowerCase();
+  const match = Object.values(collection).find(entry => entry.name.toLowerCase() === wanted);
+  if (!match) {
+    throw new Error(`Unknown ${kind} ${JSON.stringify(name)}; expected one of: ${Object.keys(collection).join(', ')}`);
+  }
+  return match;
+}
+
+// Type details an agent needs to supply a value: enumerators or record fields
+function describeType(registry, type) {
+  const description = { type };
+  const enumerators = registry.enumerators(type);
+  if (enumerators) description.enumerators = enumerators;
+  const record = registry.recordTypes[type];
+  if (record) {
+    description.fields = record.properties.map(property => ({ name: property.name, type: property.type }));
+  }
+  if (registry.isClass(type)) description.class = true;
+  return description;
+}
+
+function toolNames(tools, predicate) {
+  return tools.filter(predicate).map(tool => tool.name);
+}
+
+function summarizeClass(registry, cls) {
+  return {
+    name: cls.name,
+    plural: cls.plural,
+    description: cls.description,
+    suite: cls.suite,
+    inherits: cls.inherits,
+    container: cls.name === ROOT_CLASS ? null : (registry.containerOf(cls.name) || ROOT_CLASS),
+    elements: cls.elements.map(element => element.type)
+  };
+}
+
+function describeClass(registry, tools, cls) {
+  const own = new Set(cls.properties.map(property => property.name));
+  return Object.assign(summarizeClass(registry, cls), {
+    path: registry.path(cls.name),
+    properties: registry.properties(cls.name).map(property => Object.assign({
+      name: property.name,
+      access: describeAccess(property.access),
+      description: property.description,
+      suite: property.suite
+    }, describeType(registry, property.type), own.has(property.name) ? {} : { inherited: true })),
+    elements: cls.elements.map(element => ({ type: element.type, access: describeAccess(element.access) })),
+    responds_to: cls.respondsTo,
+    tools: toolNames(tools, tool => tool.className === cls.name)
+  });
+}
+
+function describeParameter(registry, parameter) {
+  return Object.assign({
+    name: parameter.name,
+    optional: parameter.optional,
+    description: parameter.description,
+    types: parameter.types
+  }, describeType(registry, parameter.types[0] || 'any'));
+}
+
+function describeCommand(registry, tools, command) {
+  return {
+    name: command.name,
+    description: command.description,
+    suite: command.suite,
+    direct_parameter: command.directParameter ? describeParameter(registry, command.directParameter) : null,
+    parameters: command.parameters.map(parameter => describeParameter(registry, parameter)),
+    result: command.result ? Object.assign({ description: command.result.description }, describeType(registry, command.result.types[0] || 'any')) : null,
+    responding_classes: registry.respondents(command.name),
+    tools: toolNames(tools, tool => tool.command === command.name)
+  };
+}
+
+// `tools` are the derived application tools, used to point from dictionary
+// entries to the tools that reach them
+function buildExplorerTools(registry, tools) {
+  return [
+    defineTool(registry, {
+      name: 'list_classes',
+      description: 'List the scriptable classes of the application with their containers and elements.',
+      kind: 'explore',
+      arguments: [],
+      output: { classes: { type: 'array', items: { type: 'object' } } },
+      run: () => ({
+        success: true,
+        classes: Object.values(registry.classes).map(cls => summarizeClass(registry, cls))
+      })
+    }),
+    defineTool(registry, {
+      name: 'describe_class',
+      description: 'Describe a class: its properties with types and read/write access, elements, inheritance, the commands it responds to and the tools that reach it.',
+      kind: 'explore',
+      output: { class: { type: 'object' } },
+      arguments: [{
+        name: 'class_name_required_text',
+        key: 'class_name',
+        type: 'text',
+        optional: false,
+        description: 'Name of the class (e.g., "tab", "window", "document")'
+      }],
+      run: args => ({
+        success: true,
+        class: describeClass(registry, tools, findByName(registry.classes, args.class_name_required_text, 'class'))
+      })
+    }),
+    defineTool(registry, {
+      name: 'list_commands',
+      description: 'List the commands the application understands and the tools that run them.',
+      kind: 'explore',
+      arguments: [],
+      output: { commands: { type: 'array', items: { type: 'object' } } },
+      run: () => ({
+        success: true,
+        commands: Object.values(registry.commands).map(command => ({
+          name: command.name,
+          description: command.description,
+          suite: command.suite,
+          tools: toolNames(tools, tool => tool.command === command.name)
+        }))
+      })
+    }),
+    defineTool(registry, {
+      name: 'describe_command',
+      description: 'Describe a command: its direct parameter, named parameters and result type.',
+      kind: 'explore',
+      output: { command: { type: 'object' } },
+      arguments: [{
+        name: 'command_name_required_text',
+        key: 'command_name',
+        type: 'text',
+        optional: false,
+        description: 'Name of the command (e.g., "close", "do JavaScript")'
+      }],
+      run: args => ({
+        success: true,
+        command: describeCommand(registry, tools, findByName(registry.commands, args.command_name_required_text, 'command'))
+      })
+    })
+  ];
+}
+
+module.exports = {
+  buildExplorerTools
+};
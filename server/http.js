@@ -0,0 +1,354 @@
+// Streamable HTTP transport (MCP 2025-03-26).
+//
+// One endpoint serves everything:
+//   POST   a JSON-RPC message or batch; requests are answered on an SSE
+//          stream when the client accepts text/event-stream, else as JSON
+//   GET    an SSE stream for server-initiated notifications
+//   DELETE ends the session
+//
+// An initialize request opens a session: its response carries an
+// Mcp-Session-Id header that every later request must send back. Each
+// session gets its own SafariMCPServer, so log levels, subscriptions and
+// cancellation stay per client while the executor is shared. Sessions idle
+// for longer than the idle timeout, with no stream open, are closed.
+//
+// With a token every request must carry `Authorization: Bearer <token>`.
+// Binding to anything but a loopback address requires one, since the tools
+// run JavaScript in pages and save files.
+
+const http = require('http');
+const crypto = require('crypto');
+const { PARSE_ERROR, INVALID_REQUEST, INTERNAL_ERROR, JsonRpcError, errorResponse } = require('./jsonrpc');
+const { Logger } = require('./logger');
+
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PORT = 3000;
+const DEFAULT_PATH = '/mcp';
+const MAX_BODY = 4 * 1024 * 1024; // 4MB
+const SESSION_IDLE_TIMEOUT = 30 * 60 * 1000; // 30 minutes
+
+const SESSION_HEADER = 'mcp-session-id';
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]', '::1'];
+
+function isLoopback(host) {
+  return LOCAL_HOSTS.includes(host) || /^127\.\d+\.\d+\.\d+$/.test(host);
+}
+
+function sameToken(given, expected) {
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function isRequest(message) {
+  return Boolean(message) && typeof message === 'object' && typeof message.method === 'string' && 'id' in message;
+}
+
+function isInitialize(message) {
+  return isRequest(message) && message.method === 'initialize';
+}
+
+function accepts(request, type) {
+  return String(request.headers.accept || '').split(',').some(entry => {
+    const value = entry.split(';')[0].trim();
+    return value === type || value === '*/*';
+  });
+}
+
+function sendJson(response, status, body, headers = {}) {
+  response.writeHead(status, Object.assign({ 'Content-Type': 'application/json' }, headers));
+  response.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+function sendError(response, status, code, message, headers) {
+  sendJson(response, status, errorResponse(null, new JsonRpcError(code, message)), headers);
+}
+
+function openStream(response, headers = {}) {
+  response.writeHead(200, Object.assign({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  }, headers));
+  if (response.flushHeaders) response.flushHeaders();
+}
+
+function writeEvent(response, message) {
+  response.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    request.setEncoding('utf8');
+    const onData = chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY) {
+        // The rest is read and dropped, so the client gets to see the 413
+        // rather than a reset connection
+        request.removeListener('data', onData);
+        request.resume();
+        body = '';
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+      }
+    };
+    request.on('data', onData);
+    request.on('end', () => resolve(body));
+    request.on('error', reject);
+  });
+}
+
+// One client: its server and the SSE streams notifications can go out on
+class Session {
+  constructor(id, createServer) {
+    this.id = id;
+    // GET streams first, then POST streams still answering a request
+    this.streams = [];
+    this.requestStreams = [];
+    this.lastActive = Date.now();
+    this.server = createServer({
+      write: line => this.notify(JSON.parse(line))
+    }, id);
+  }
+
+  // Each message goes out on exactly one stream; with none open it is
+  // dropped, as the client is not listening
+  notify(message) {
+    const stream = this.streams[0] || this.requestStreams[this.requestStreams.length - 1];
+    if (stream) writeEvent(stream, message);
+  }
+
+  touch() {
+    this.lastActive = Date.now();
+  }
+
+  // Idle: no stream open and no request for `timeout` ms
+  expired(timeout, now = Date.now()) {
+    return this.streams.length === 0 && this.requestStreams.length === 0 && now - this.lastActive > timeout;
+  }
+
+  close() {
+    this.server.close();
+    for (const stream of this.streams.concat(this.requestStreams)) stream.end();
+    this.streams = [];
+    this.requestStreams = [];
+  }
+}
+
+class HttpTransport {
+  // createServer(output, sessionId) returns a SafariMCPServer writing to
+  // `output`. Throws when `host` is not a loopback address and there is no
+  // `token`.
+  constructor(options = {}) {
+    this.createServer = options.createServer;
+    this.host = options.host || DEFAULT_HOST;
+    this.port = options.port !== undefined ? options.port : DEFAULT_PORT;
+    this.path = options.path || DEFAULT_PATH;
+    this.token = options.token || null;
+    this.idleTimeout = options.idleTimeout || SESSION_IDLE_TIMEOUT;
+    this.logger = options.logger || new Logger();
+    if (!this.token && !isLoopback(this.host)) {
+      throw new Error(`Refusing to serve HTTP on ${this.host} without a token; set SAFARI_MCP_TOKEN or bind to 127.0.0.1`);
+    }
+    this.sessions = new Map();
+    this.sweeper = null;
+    this.httpServer = http.createServer((request, response) => {
+      this.handle(request, response).catch(error => {
+        this.logger.error('HTTP request failed', { error: error.message });
+        if (!response.headersSent) {
+          // A status marks the client's fault (e.g. 413); anything else is
+          // ours. The connection is closed so an unread body is not taken
+          // for the next request.
+          sendError(response, error.status || 500, error.status ? INVALID_REQUEST : INTERNAL_ERROR, error.message, { Connection: 'close' });
+        } else {
+          response.end();
+        }
+      });
+    });
+  }
+
+  listen() {
+    return new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, () => {
+        this.httpServer.removeListener('error', reject);
+        const address = this.httpServer.address();
+        this.logger.info(`Listening on http://${this.host}:${address.port}${this.path}`);
+        this.sweeper = setInterval(() => this.expireSessions(), Math.min(this.idleTimeout, 60000));
+        if (this.sweeper.unref) this.sweeper.unref();
+        resolve(address);
+      });
+    });
+  }
+
+  close() {
+    clearInterval(this.sweeper);
+    this.sweeper = null;
+    for (const session of this.sessions.values()) session.close();
+    this.sessions.clear();
+    return new Promise(resolve => this.httpServer.close(() => resolve()));
+  }
+
+  expireSessions(now = Date.now()) {
+    for (const [id, session] of this.sessions) {
+      if (session.expired(this.idleTimeout, now)) {
+        session.close();
+        this.sessions.delete(id);
+        this.logger.info('Session expired', { session: id });
+      }
+    }
+  }
+
+  authorized(request) {
+    if (!this.token) return true;
+    const match = /^Bearer\s+(.+)$/i.exec(String(request.headers.authorization || ''));
+    return Boolean(match) && sameToken(match[1].trim(), this.token);
+  }
+
+  // Browsers send Origin; a page on another site must not drive a server
+  // bound to this machine (DNS rebinding)
+  originAllowed(request) {
+    const origin = request.headers.origin;
+    if (!origin) return true;
+    try {
+      return LOCAL_HOSTS.includes(new URL(origin).hostname) || new URL(origin).hostname === this.host;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async handle(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+    if (url.pathname !== this.path) {
+      sendJson(response, 404, { error: 'Not found' });
+      return;
+    }
+    if (!this.originAllowed(request)) {
+      sendError(response, 403, INVALID_REQUEST, 'Forbidden origin');
+      return;
+    }
+    if (!this.authorized(request)) {
+      response.setHeader('WWW-Authenticate', 'Bearer');
+      sendError(response, 401, INVALID_REQUEST, 'Missing or invalid bearer token');
+      return;
+    }
+    switch (request.method) {
+      case 'POST':
+        return this.handlePost(request, response);
+      case 'GET':
+        return this.handleGet(request, response);
+      case 'DELETE':
+        return this.handleDelete(request, response);
+      default:
+        response.writeHead(405, { Allow: 'GET, POST, DELETE' });
+        response.end();
+    }
+  }
+
+  // The session named by the request header; answers 400/404 itself and
+  // returns null when there is none
+  sessionFor(request, response) {
+    const id = request.headers[SESSION_HEADER];
+    if (!id) {
+      sendError(response, 400, INVALID_REQUEST, 'Missing Mcp-Session-Id header');
+      return null;
+    }
+    const session = this.sessions.get(id);
+    if (!session) {
+      sendError(response, 404, INVALID_REQUEST, 'Unknown or expired session');
+      return null;
+    }
+    session.touch();
+    return session;
+  }
+
+  async handlePost(request, response) {
+    const body = await readBody(request);
+    let message;
+    try {
+      message = JSON.parse(body);
+    } catch (error) {
+      sendError(response, 400, PARSE_ERROR, `Parse error: ${error.message}`);
+      return;
+    }
+
+    const messages = Array.isArray(message) ? message : [message];
+    let session;
+    if (messages.some(isInitialize)) {
+      if (messages.length > 1) {
+        sendError(response, 400, INVALID_REQUEST, 'initialize must not be part of a batch');
+        return;
+      }
+      session = new Session(crypto.randomUUID(), this.createServer);
+      this.sessions.set(session.id, session);
+      this.logger.info('Session opened', { session: session.id });
+    } else {
+      session = this.sessionFor(request, response);
+      if (!session) return;
+    }
+    const headers = { 'Mcp-Session-Id': session.id };
+
+    // Notifications and responses only: accept and answer nothing
+    if (!messages.some(isRequest)) {
+      await session.server.dispatch(message);
+      response.writeHead(202, headers);
+      response.end();
+      return;
+    }
+
+    if (accepts(request, 'text/event-stream')) {
+      openStream(response, headers);
+      session.requestStreams.push(response);
+      try {
+        const reply = await session.server.dispatch(message);
+        if (reply) writeEvent(response, reply);
+      } finally {
+        session.requestStreams = session.requestStreams.filter(stream => stream !== response);
+        response.end();
+      }
+      return;
+    }
+
+    const reply = await session.server.dispatch(message);
+    if (reply) {
+      sendJson(response, 200, reply, headers);
+    } else {
+      // Every request was cancelled
+      response.writeHead(202, headers);
+      response.end();
+    }
+  }
+
+  handleGet(request, response) {
+    if (!accepts(request, 'text/event-stream')) {
+      response.writeHead(405, { Allow: 'POST, DELETE' });
+      response.end();
+      return;
+    }
+    const session = this.sessionFor(request, response);
+    if (!session) return;
+    openStream(response, { 'Mcp-Session-Id': session.id });
+    session.streams.push(response);
+    request.on('close', () => {
+      session.streams = session.streams.filter(stream => stream !== response);
+    });
+  }
+
+  handleDelete(request, response) {
+    const session = this.sessionFor(request, response);
+    if (!session) return;
+    session.close();
+    this.sessions.delete(session.id);
+    this.logger.info('Session closed', { session: session.id });
+    response.writeHead(204);
+    response.end();
+  }
+}
+
+module.exports = {
+  DEFAULT_HOST,
+  DEFAULT_PORT,
+  DEFAULT_PATH,
+  SESSION_IDLE_TIMEOUT,
+  HttpTransport
+};
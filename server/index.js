@@ -1,3893 +1,643 @@
 #!/usr/bin/env node
 
-const { execFile } = require('child_process');
-const { promisify } = require('util');
-
-const execFileAsync = promisify(execFile);
-
-console.error("Safari AppleScript MCP server starting...");
-
-// Constants
-const APPLESCRIPT_TIMEOUT = 10000; // 10 seconds
-const MAX_RETRIES = 3;
-const RETRY_DELAY = 1000; // 1 second
-
-// Universal type caster for AppleScript values
-function universalCast(value) {
-  if (value === null || value === undefined) return null;
-  
-  const str = String(value).trim();
-  if (str === '') return '';
-  
-  // Boolean
-  const lower = str.toLowerCase();
-  if (['true', 'yes'].includes(lower)) return true;
-  if (['false', 'no'].includes(lower)) return false;
-  
-  // Number
-  if (/^-?\d+(\.\d+)?$/.test(str)) {
-    const num = Number(str);
-    return Number.isInteger(num) ? num : num;
-  }
-  
-  // List/Record - anything in braces, return as-is for AppleScript
-  if (str.startsWith('{') && str.endsWith('}')) {
-    return str; // AppleScript will handle the parsing
-  }
-  
-  // Auto-detect comma-separated values that should be lists/rectangles
-  if (str.includes(',') && !str.startsWith('{')) {
-    const parts = str.split(',').map(p => p.trim());
-    
-    // Rectangle pattern: 4 numbers (x, y, width, height)
-    if (parts.length === 4 && parts.every(p => /^-?\d+(\.\d+)?$/.test(p))) {
-      return `{${str}}`; // Add brackets for rectangle
-    }
-    
-    // Generic list: 2+ comma-separated values
-    if (parts.length >= 2) {
-      return `{${str}}`; // Add brackets for list
-    }
-  }
-  
-  // Date patterns
-  if (str.startsWith('date "') || /^\d{4}-\d{2}-\d{2}/.test(str)) {
-    return `date "${str}"`;
-  }
-  
-  // String - remove quotes if present
-  if ((str.startsWith('"') && str.endsWith('"')) || 
-      (str.startsWith("'") && str.endsWith("'"))) {
-    return str.slice(1, -1);
-  }
-  
-  return str;
-}
-
-// Cast and escape for AppleScript injection
-function castAndEscape(value) {
-  const casted = universalCast(value);
-  
-  // If it's a string that doesn't start with {, escape it
-  if (typeof casted === 'string' && !casted.startsWith('{') && !casted.startsWith('date')) {
-    return escapeForAppleScript(casted);
-  }
-  
-  // Numbers, booleans, and AppleScript literals go as-is
-  return casted;
-}
-
-// Helper function to escape strings for AppleScript
-function escapeForAppleScript(str) {
-  if (typeof str !== "string") return str;
-  return str
-    .replace(/\\/g, "\\\\") // Escape backslashes first
-    .replace(/"/g, '\"') // Then escape double quotes
-    .replace(/\n/g, "\\n") // Escape newlines
-    .replace(/\r/g, "\\r"); // Escape carriage returns
-}
-
-// Test if Safari is available
-async function checkSafariAvailable() {
-  try {
-    const script = 'tell application "Safari" to return "available"';
-    const result = await executeAppleScript(script);
-    return result === "available";
-  } catch (error) {
-    return false;
-  }
-}
-
-// Execute AppleScript with retry logic
-async function executeAppleScript(script, retries = MAX_RETRIES) {
-  for (let attempt = 0; attempt <= retries; attempt++) {
-    try {
-      const { stdout, stderr } = await execFileAsync(
-        "osascript",
-        ["-e", script],
-        {
-          timeout: APPLESCRIPT_TIMEOUT,
-          maxBuffer: 1024 * 1024, // 1MB buffer
-        },
-      );
-      if (stderr) {
-        console.error("AppleScript stderr:", stderr);
-      }
-      return stdout.trim();
-    } catch (error) {
-      if (attempt === retries) {
-        console.error("AppleScript execution error after retries:", error);
-        throw new Error(`AppleScript error: ${error.message}`);
-      }
-      await new Promise((resolve) =>
-        setTimeout(resolve, RETRY_DELAY * Math.pow(2, attempt)),
-      );
-    }
-  }
-}
-
-// MCP server implementation
-class SafariMCPServer {
-  constructor() {
-    this.initialized = false;
-    this.setupStdio();
-  }
-
-  setupStdio() {
-    process.stdin.setEncoding('utf8');
-    
-    let buffer = '';
-    process.stdin.on('data', (data) => {
-      buffer += data;
-      const lines = buffer.split('\n');
-      buffer = lines.pop() || ''; // Keep incomplete line in buffer
-      
-      lines.forEach(line => {
-        if (line.trim()) {
-          this.handleMessage(line.trim());
-        }
-      });
-    });
-  }
-
-  async handleMessage(data) {
-    try {
-      const request = JSON.parse(data);
-      console.error("Received request:", request.method, request.id);
-      
-      if (request.method === 'initialize') {
-        await this.handleInitialize(request);
-      } else if (request.method === 'initialized') {
-        await this.handleInitialized(request);
-      } else if (request.method === 'tools/list') {
-        await this.handleToolsList(request);
-      } else if (request.method === 'tools/call') {
-        await this.handleToolsCall(request);
-      } else {
-        console.error("Unknown method:", request.method);
-      }
-    } catch (error) {
-      console.error("Error processing message:", error);
-    }
-  }
-
-  async handleInitialize(request) {
-    console.error("Handling initialize request");
-    const response = {
-      jsonrpc: '2.0',
-      id: request.id,
-      result: {
-        protocolVersion: '2024-11-05',
-        capabilities: {
-          tools: {}
-        },
-        serverInfo: {
-          name: 'safari-applescript',
-          version: '0.1.0'
-        }
-      }
-    };
-    this.sendResponse(response);
-  }
-
-  async handleInitialized(request) {
-    console.error("Handling initialized notification");
-    this.initialized = true;
-  }
-
-  async handleToolsList(request) {
-    console.error("Handling tools/list request");
-    const response = {
-      jsonrpc: '2.0',
-      id: request.id,
-      result: {
-        tools: [
-          {
-  name: 'open',
-  description: 'Open a document.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      direct_parameter_required_file: {
-        type: 'string',
-        description: 'The file(s) to be opened.'
-      }
-    },
-    required: ['direct_parameter_required_file'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'close_for_document',
-  description: 'Close a document.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_document_required_string: {
-        type: 'string',
-        description: 'The document object to access (e.g., \"front document\", \"document 1\")'
-      },
-      saving_optional_save_options: {
-        type: 'string',
-        description: 'Should changes be saved before closing?'
-      },
-      saving_in_optional_file: {
-        type: 'string',
-        description: 'The file in which to save the document, if so.'
-      }
-    },
-    required: ['target_document_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'close_for_tab_of_window',
-  description: 'Close a tab of window.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object to access (e.g., \"front tab\", \"tab 1\")'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      },
-      saving_optional_save_options: {
-        type: 'string',
-        description: 'Should changes be saved before closing?'
-      },
-      saving_in_optional_file: {
-        type: 'string',
-        description: 'The file in which to save the document, if so.'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'close_for_window',
-  description: 'Close a window.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      },
-      saving_optional_save_options: {
-        type: 'string',
-        description: 'Should changes be saved before closing?'
-      },
-      saving_in_optional_file: {
-        type: 'string',
-        description: 'The file in which to save the document, if so.'
-      }
-    },
-    required: ['target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'save_for_document',
-  description: 'Save a document.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_document_required_string: {
-        type: 'string',
-        description: 'The document object to access (e.g., \"front document\", \"document 1\")'
-      },
-      inParam_optional_file: {
-        type: 'string',
-        description: 'The file in which to save the document.'
-      },
-      as_optional_saveable_file_format: {
-        type: 'string',
-        description: 'The file format to use.'
-      }
-    },
-    required: ['target_document_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'save_for_window',
-  description: 'Save a window.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      },
-      inParam_optional_file: {
-        type: 'string',
-        description: 'The file in which to save the document.'
-      },
-      as_optional_saveable_file_format: {
-        type: 'string',
-        description: 'The file format to use.'
-      }
-    },
-    required: ['target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'print_file',
-  description: 'Print a document. (file input)',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      direct_parameter_required_list_of_file: {
-        type: 'string',
-        description: 'The file(s), document(s), or window(s) to be printed.'
-      },
-      with_properties_optional_print_settings: {
-        type: 'string',
-        description: 'The print settings to use.'
-      },
-      print_dialog_optional_boolean: {
-        type: 'boolean',
-        description: 'Should the application show the print dialog?'
-      }
-    },
-    required: ['direct_parameter_required_list_of_file'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'print_for_document',
-  description: 'Print a document.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_document_required_string: {
-        type: 'string',
-        description: 'The document object to access (e.g., \"front document\", \"document 1\")'
-      },
-      with_properties_optional_print_settings: {
-        type: 'string',
-        description: 'The print settings to use.'
-      },
-      print_dialog_optional_boolean: {
-        type: 'boolean',
-        description: 'Should the application show the print dialog?'
-      }
-    },
-    required: ['target_document_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'print_for_window',
-  description: 'Print a window.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      },
-      with_properties_optional_print_settings: {
-        type: 'string',
-        description: 'The print settings to use.'
-      },
-      print_dialog_optional_boolean: {
-        type: 'boolean',
-        description: 'Should the application show the print dialog?'
-      }
-    },
-    required: ['target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'quit',
-  description: 'Quit the application.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      saving_optional_save_options: {
-        type: 'string',
-        description: 'Should changes be saved before quitting?'
-      }
-    },
-    additionalProperties: false
-  }
-},
-          {
-  name: 'count_document',
-  description: 'Return the number of elements of a particular class within a document.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-    },
-    additionalProperties: false
-  }
-},
-          {
-  name: 'count_tab_of_window',
-  description: 'Return the number of elements of a particular class within a tab of window.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      }
-    },
-    required: ['target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'count_window',
-  description: 'Return the number of elements of a particular class within a window.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-    },
-    additionalProperties: false
-  }
-},
-          {
-  name: 'delete',
-  description: 'Delete an object.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      direct_parameter_required_specifier: {
-        type: 'string',
-        description: 'The object(s) to delete.'
-      }
-    },
-    required: ['direct_parameter_required_specifier'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'duplicate',
-  description: 'Copy an object.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      direct_parameter_required_specifier: {
-        type: 'string',
-        description: 'The object(s) to copy.'
-      },
-      to_optional_location_specifier: {
-        type: 'string',
-        description: 'The location for the new copy or copies.'
-      },
-      with_properties_optional_record: {
-        type: 'string',
-        description: 'Properties to set in the new copy or copies right away.'
-      }
-    },
-    required: ['direct_parameter_required_specifier'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'exists',
-  description: 'Verify that an object exists.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      direct_parameter_required_any: {
-        type: 'string',
-        description: 'The object(s) to check.'
-      }
-    },
-    required: ['direct_parameter_required_any'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'make_document',
-  description: 'Create a new document.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      at_optional_location_specifier: {
-        type: 'string',
-        description: 'The location at which to insert the object.'
-      },
-      with_data_optional_any: {
-        type: 'string',
-        description: 'The initial contents of the object.'
-      },
-      with_properties_optional_text_url: {
-        type: 'string',
-        description: 'Optional URL property: The current URL of the document.'
-      }
-    },
-    additionalProperties: false
-  }
-},
-          {
-  name: 'make_tab_of_window',
-  description: 'Create a new tab of window.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      at_required_location_specifier_window: {
-        type: 'string',
-        description: 'The window location where the tab should be created (e.g., \"window 1\")'
-      },
-      with_data_optional_any: {
-        type: 'string',
-        description: 'The initial contents of the object.'
-      },
-      with_properties_optional_text_url: {
-        type: 'string',
-        description: 'Optional URL property: The current URL of the tab.'
-      }
-    },
-    required: ['at_required_location_specifier_window'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'make_window',
-  description: 'Create a new window.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      at_optional_location_specifier: {
-        type: 'string',
-        description: 'The location at which to insert the object.'
-      },
-      with_data_optional_any: {
-        type: 'string',
-        description: 'The initial contents of the object.'
-      },
-      with_properties_optional_integer_index: {
-        type: 'number',
-        description: 'Optional index property: The index of the window, ordered front to back.'
-      },
-      with_properties_optional_tab_current_tab: {
-        type: 'string',
-        description: 'Optional current tab property: The current tab.'
-      },
-      with_properties_optional_boolean_zoomed: {
-        type: 'boolean',
-        description: 'Optional zoomed property: Is the window zoomed right now?'
-      },
-      with_properties_optional_boolean_miniaturized: {
-        type: 'boolean',
-        description: 'Optional miniaturized property: Is the window minimized right now?'
-      },
-      with_properties_optional_boolean_visible: {
-        type: 'boolean',
-        description: 'Optional visible property: Is the window visible right now?'
-      },
-      with_properties_optional_rectangle_bounds: {
-        type: 'string',
-        description: 'Optional bounds property: The bounding rectangle of the window.'
-      }
-    },
-    additionalProperties: false
-  }
-},
-          {
-  name: 'move',
-  description: 'Move an object to a new location.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      direct_parameter_required_specifier: {
-        type: 'string',
-        description: 'The object(s) to move.'
-      },
-      to_required_location_specifier: {
-        type: 'string',
-        description: 'The new location for the object(s).'
-      }
-    },
-    required: ['direct_parameter_required_specifier', 'to_required_location_specifier'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_name_of_application',
-  description: 'Get The name of the application.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-    },
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_frontmost_of_application',
-  description: 'Get Is this the active application?',
-  inputSchema: {
-    type: 'object',
-    properties: {
-    },
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_version_of_application',
-  description: 'Get The version number of the application.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-    },
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_name_of_document',
-  description: 'Get Its name. of document',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_document_required_string: {
-        type: 'string',
-        description: 'The document object to access (e.g., \"front document\", \"document 1\")'
-      }
-    },
-    required: ['target_document_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_modified_of_document',
-  description: 'Get Has it been modified since the last save? of document',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_document_required_string: {
-        type: 'string',
-        description: 'The document object to access (e.g., \"front document\", \"document 1\")'
-      }
-    },
-    required: ['target_document_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_file_of_document',
-  description: 'Get Its location on disk, if it has one. of document',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_document_required_string: {
-        type: 'string',
-        description: 'The document object to access (e.g., \"front document\", \"document 1\")'
-      }
-    },
-    required: ['target_document_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_name_of_window',
-  description: 'Get The title of the window.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      }
-    },
-    required: ['target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_id_of_window',
-  description: 'Get The unique identifier of the window.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      }
-    },
-    required: ['target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_index_of_window',
-  description: 'Get The index of the window, ordered front to back.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      }
-    },
-    required: ['target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_index_of_window',
-  description: 'Set The index of the window, ordered front to back.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      },
-      value_required_integer: {
-        type: 'number',
-        description: 'New value for The index of the window, ordered front to back.'
-      }
-    },
-    required: ['target_window_required_string', 'value_required_integer'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_bounds_of_window',
-  description: 'Get The bounding rectangle of the window.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      }
-    },
-    required: ['target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_bounds_of_window',
-  description: 'Set The bounding rectangle of the window.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      },
-      value_required_rectangle: {
-        type: 'string',
-        description: 'New value for The bounding rectangle of the window.'
-      }
-    },
-    required: ['target_window_required_string', 'value_required_rectangle'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_closeable_of_window',
-  description: 'Get Does the window have a close button?',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      }
-    },
-    required: ['target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_miniaturizable_of_window',
-  description: 'Get Does the window have a minimize button?',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      }
-    },
-    required: ['target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_miniaturized_of_window',
-  description: 'Get Is the window minimized right now?',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      }
-    },
-    required: ['target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_miniaturized_of_window',
-  description: 'Set Is the window minimized right now?',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      },
-      value_required_boolean: {
-        type: 'boolean',
-        description: 'New value for Is the window minimized right now?'
-      }
-    },
-    required: ['target_window_required_string', 'value_required_boolean'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_resizable_of_window',
-  description: 'Get Can the window be resized?',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      }
-    },
-    required: ['target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_visible_of_window',
-  description: 'Get Is the window visible right now?',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      }
-    },
-    required: ['target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_visible_of_window',
-  description: 'Set Is the window visible right now?',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      },
-      value_required_boolean: {
-        type: 'boolean',
-        description: 'New value for Is the window visible right now?'
-      }
-    },
-    required: ['target_window_required_string', 'value_required_boolean'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_zoomable_of_window',
-  description: 'Get Does the window have a zoom button?',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      }
-    },
-    required: ['target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_zoomed_of_window',
-  description: 'Get Is the window zoomed right now?',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      }
-    },
-    required: ['target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_zoomed_of_window',
-  description: 'Set Is the window zoomed right now?',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      },
-      value_required_boolean: {
-        type: 'boolean',
-        description: 'New value for Is the window zoomed right now?'
-      }
-    },
-    required: ['target_window_required_string', 'value_required_boolean'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_document_of_window',
-  description: 'Get The document whose contents are displayed in the window.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      }
-    },
-    required: ['target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'add_reading_list_item',
-  description: 'Add a new Reading List item with the given URL. Allows a custom title and preview text to be specified.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      direct_parameter_required_text: {
-        type: 'string',
-        description: 'URL of the Reading List item'
-      },
-      and_preview_text_optional_text: {
-        type: 'string',
-        description: 'Preview text for the Reading List item, usually the first few sentences of the article'
-      },
-      with_title_optional_text: {
-        type: 'string',
-        description: 'Title of the Reading List item'
-      }
-    },
-    required: ['direct_parameter_required_text'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'do_javascript',
-  description: 'Applies a string of JavaScript code to a document.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      direct_parameter_required_text: {
-        type: 'string',
-        description: 'The JavaScript code to evaluate.'
-      }
-    },
-    required: ['direct_parameter_required_text'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'do_javascript_for_document',
-  description: 'Applies a string of JavaScript code to a document.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_document_required_string: {
-        type: 'string',
-        description: 'The document object to access (e.g., \"front document\", \"document 1\")'
-      },
-      direct_parameter_required_text: {
-        type: 'string',
-        description: 'The JavaScript code to evaluate.'
-      }
-    },
-    required: ['target_document_required_string', 'direct_parameter_required_text'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'do_javascript_for_tab_of_window',
-  description: 'Applies a string of JavaScript code to a tab of window.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object to access (e.g., \"front tab\", \"tab 1\")'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      },
-      direct_parameter_required_text: {
-        type: 'string',
-        description: 'The JavaScript code to evaluate.'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string', 'direct_parameter_required_text'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'email_contents',
-  description: 'Emails the contents of a tab.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-    },
-    additionalProperties: false
-  }
-},
-          {
-  name: 'email_contents_for_document',
-  description: 'Emails the contents of a document.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_document_required_string: {
-        type: 'string',
-        description: 'The document object to access (e.g., \"front document\", \"document 1\")'
-      }
-    },
-    required: ['target_document_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'email_contents_for_tab_of_window',
-  description: 'Emails the contents of a tab.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object to access (e.g., \"front tab\", \"tab 1\")'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'search_the_web',
-  description: 'Searches the web using Safari\'s current search provider.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      forParam_required_text: {
-        type: 'string',
-        description: 'The query to search for.'
-      }
-    },
-    required: ['forParam_required_text'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'search_the_web_for_document',
-  description: 'Searches the web using Safari\'s current search provider for document.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_document_required_string: {
-        type: 'string',
-        description: 'The document object to access (e.g., \"front document\", \"document 1\")'
-      },
-      forParam_required_text: {
-        type: 'string',
-        description: 'The query to search for.'
-      }
-    },
-    required: ['target_document_required_string', 'forParam_required_text'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'search_the_web_for_tab_of_window',
-  description: 'Searches the web using Safari\'s current search provider for tab of window.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object to access (e.g., \"front tab\", \"tab 1\")'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      },
-      forParam_required_text: {
-        type: 'string',
-        description: 'The query to search for.'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string', 'forParam_required_text'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'show_bookmarks',
-  description: 'Shows Safari\'s bookmarks.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-    },
-    additionalProperties: false
-  }
-},
-          {
-  name: 'show_extensions_preferences',
-  description: 'Show Safari Extensions preferences.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      direct_parameter_required_text: {
-        type: 'string',
-        description: 'The identifier of the extension to select.'
-      }
-    },
-    required: ['direct_parameter_required_text'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'dispatch_message_to_extension',
-  description: 'Dispatch a message to a Safari Extension.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      direct_parameter_required_any: {
-        type: 'string',
-        description: 'A dictionary describing the message'
-      }
-    },
-    required: ['direct_parameter_required_any'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'sync_all_plist_to_disk',
-  description: 'Make sure that all in-memory structures are in-sync with their on-disk counterparts.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-    },
-    additionalProperties: false
-  }
-},
-          {
-  name: 'show_privacy_report',
-  description: 'Show Safari\'s Privacy Report',
-  inputSchema: {
-    type: 'object',
-    properties: {
-    },
-    additionalProperties: false
-  }
-},
-          {
-  name: 'show_credit_card_settings',
-  description: 'Show Safari Credit Card Settings.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-    },
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_current_tab_of_window',
-  description: 'Get The current tab. of window',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      }
-    },
-    required: ['target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_current_tab_of_window',
-  description: 'Set The current tab. of window',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      },
-      value_required_tab: {
-        type: 'string',
-        description: 'New value for The current tab.'
-      }
-    },
-    required: ['target_window_required_string', 'value_required_tab'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_source_of_document',
-  description: 'Get The HTML source of the web page currently loaded in the document.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_document_required_string: {
-        type: 'string',
-        description: 'The document object to access (e.g., \"front document\", \"document 1\")'
-      }
-    },
-    required: ['target_document_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_url_of_document',
-  description: 'Get The current URL of the document.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_document_required_string: {
-        type: 'string',
-        description: 'The document object to access (e.g., \"front document\", \"document 1\")'
-      }
-    },
-    required: ['target_document_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_url_of_document',
-  description: 'Set The current URL of the document.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_document_required_string: {
-        type: 'string',
-        description: 'The document object to access (e.g., \"front document\", \"document 1\")'
-      },
-      value_required_text: {
-        type: 'string',
-        description: 'New value for The current URL of the document.'
-      }
-    },
-    required: ['target_document_required_string', 'value_required_text'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_text_of_document',
-  description: 'Get The text of the web page currently loaded in the document. Modifications to text aren\'t reflected on the web page.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_document_required_string: {
-        type: 'string',
-        description: 'The document object to access (e.g., \"front document\", \"document 1\")'
-      }
-    },
-    required: ['target_document_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_source_of_tab_of_window',
-  description: 'Get The HTML source of the web page currently loaded in the tab.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object to access (e.g., \"front tab\", \"tab 1\")'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_url_of_tab_of_window',
-  description: 'Get The current URL of the tab.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object to access (e.g., \"front tab\", \"tab 1\")'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_url_of_tab_of_window',
-  description: 'Set The current URL of the tab.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object to access (e.g., \"front tab\", \"tab 1\")'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      },
-      value_required_text: {
-        type: 'string',
-        description: 'New value for The current URL of the tab.'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string', 'value_required_text'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_index_of_tab_of_window',
-  description: 'Get The index of the tab, ordered left to right.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object to access (e.g., \"front tab\", \"tab 1\")'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_text_of_tab_of_window',
-  description: 'Get The text of the web page currently loaded in the tab. Modifications to text aren\'t reflected on the web page.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object to access (e.g., \"front tab\", \"tab 1\")'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_visible_of_tab_of_window',
-  description: 'Get Whether the tab is currently visible.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object to access (e.g., \"front tab\", \"tab 1\")'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_name_of_tab_of_window',
-  description: 'Get The name of the tab.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object to access (e.g., \"front tab\", \"tab 1\")'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_pid_of_tab_of_window',
-  description: 'Get The pid of the WebContent process backing the tab, if it exists.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object to access (e.g., \"front tab\", \"tab 1\")'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access (e.g., \"front window\", \"window 1\")'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string'],
-    additionalProperties: false
-  }
-},
-        ]
-      }
-    };
-    this.sendResponse(response);
-  }
-
-  async handleToolsCall(request) {
-    console.error("Handling tools/call request for:", request.params.name);
-    
-    try {
-      // Check app availability for all functions
-      {
-        const isSafariAvailable = await checkSafariAvailable();
-        if (!isSafariAvailable) {
-          const errorResponse = {
-            jsonrpc: '2.0',
-            id: request.id,
-            result: {
-              content: [{
-                type: 'text',
-                text: JSON.stringify({
-                  success: false,
-                  error: 'Application is not available or not running'
-                }, null, 2)
-              }]
-            }
-          };
-          this.sendResponse(errorResponse);
-          return;
-        }
-      }
-
-      const { name, arguments: args } = request.params;
-      let result;
-
-      switch (name) {
-        case 'open':
-  result = await this.open(args.direct_parameter_required_file);
-  break;
-        case 'close_for_document':
-  result = await this.closeForDocument(args.target_document_required_string, args.saving_optional_save_options, args.saving_in_optional_file);
-  break;
-        case 'close_for_tab_of_window':
-  result = await this.closeForTabOfWindow(args.target_tab_required_string, args.target_window_required_string, args.saving_optional_save_options, args.saving_in_optional_file);
-  break;
-        case 'close_for_window':
-  result = await this.closeForWindow(args.target_window_required_string, args.saving_optional_save_options, args.saving_in_optional_file);
-  break;
-        case 'save_for_document':
-  result = await this.saveForDocument(args.target_document_required_string, args.inParam_optional_file, args.as_optional_saveable_file_format);
-  break;
-        case 'save_for_window':
-  result = await this.saveForWindow(args.target_window_required_string, args.inParam_optional_file, args.as_optional_saveable_file_format);
-  break;
-        case 'print_file':
-  result = await this.printFile(args.direct_parameter_required_list_of_file, args.with_properties_optional_print_settings, args.print_dialog_optional_boolean);
-  break;
-        case 'print_for_document':
-  result = await this.printForDocument(args.target_document_required_string, args.with_properties_optional_print_settings, args.print_dialog_optional_boolean);
-  break;
-        case 'print_for_window':
-  result = await this.printForWindow(args.target_window_required_string, args.with_properties_optional_print_settings, args.print_dialog_optional_boolean);
-  break;
-        case 'quit':
-  result = await this.quit(args.saving_optional_save_options);
-  break;
-        case 'count_document':
-  result = await this.countDocument();
-  break;
-        case 'count_tab_of_window':
-  result = await this.countTabOfWindow(args.target_window_required_string);
-  break;
-        case 'count_window':
-  result = await this.countWindow();
-  break;
-        case 'delete':
-  result = await this.delete(args.direct_parameter_required_specifier);
-  break;
-        case 'duplicate':
-  result = await this.duplicate(args.direct_parameter_required_specifier, args.to_optional_location_specifier, args.with_properties_optional_record);
-  break;
-        case 'exists':
-  result = await this.exists(args.direct_parameter_required_any);
-  break;
-        case 'make_document':
-  result = await this.makeDocument(args.at_optional_location_specifier, args.with_data_optional_any, args.with_properties_optional_text_url);
-  break;
-        case 'make_tab_of_window':
-  result = await this.makeTabOfWindow(args.at_required_location_specifier_window, args.with_data_optional_any, args.with_properties_optional_text_url);
-  break;
-        case 'make_window':
-  result = await this.makeWindow(args.at_optional_location_specifier, args.with_data_optional_any, args.with_properties_optional_integer_index, args.with_properties_optional_tab_current_tab, args.with_properties_optional_boolean_zoomed, args.with_properties_optional_boolean_miniaturized, args.with_properties_optional_boolean_visible, args.with_properties_optional_rectangle_bounds);
-  break;
-        case 'move':
-  result = await this.move(args.direct_parameter_required_specifier, args.to_required_location_specifier);
-  break;
-        case 'get_name_of_application':
-  result = await this.getNameOfApplication();
-  break;
-        case 'get_frontmost_of_application':
-  result = await this.getFrontmostOfApplication();
-  break;
-        case 'get_version_of_application':
-  result = await this.getVersionOfApplication();
-  break;
-        case 'get_name_of_document':
-  result = await this.getNameOfDocument(args.target_document_required_string);
-  break;
-        case 'get_modified_of_document':
-  result = await this.getModifiedOfDocument(args.target_document_required_string);
-  break;
-        case 'get_file_of_document':
-  result = await this.getFileOfDocument(args.target_document_required_string);
-  break;
-        case 'get_name_of_window':
-  result = await this.getNameOfWindow(args.target_window_required_string);
-  break;
-        case 'get_id_of_window':
-  result = await this.getIdOfWindow(args.target_window_required_string);
-  break;
-        case 'get_index_of_window':
-  result = await this.getIndexOfWindow(args.target_window_required_string);
-  break;
-        case 'set_index_of_window':
-  result = await this.setIndexOfWindow(args.target_window_required_string, args.value_required_integer);
-  break;
-        case 'get_bounds_of_window':
-  result = await this.getBoundsOfWindow(args.target_window_required_string);
-  break;
-        case 'set_bounds_of_window':
-  result = await this.setBoundsOfWindow(args.target_window_required_string, args.value_required_rectangle);
-  break;
-        case 'get_closeable_of_window':
-  result = await this.getCloseableOfWindow(args.target_window_required_string);
-  break;
-        case 'get_miniaturizable_of_window':
-  result = await this.getMiniaturizableOfWindow(args.target_window_required_string);
-  break;
-        case 'get_miniaturized_of_window':
-  result = await this.getMiniaturizedOfWindow(args.target_window_required_string);
-  break;
-        case 'set_miniaturized_of_window':
-  result = await this.setMiniaturizedOfWindow(args.target_window_required_string, args.value_required_boolean);
-  break;
-        case 'get_resizable_of_window':
-  result = await this.getResizableOfWindow(args.target_window_required_string);
-  break;
-        case 'get_visible_of_window':
-  result = await this.getVisibleOfWindow(args.target_window_required_string);
-  break;
-        case 'set_visible_of_window':
-  result = await this.setVisibleOfWindow(args.target_window_required_string, args.value_required_boolean);
-  break;
-        case 'get_zoomable_of_window':
-  result = await this.getZoomableOfWindow(args.target_window_required_string);
-  break;
-        case 'get_zoomed_of_window':
-  result = await this.getZoomedOfWindow(args.target_window_required_string);
-  break;
-        case 'set_zoomed_of_window':
-  result = await this.setZoomedOfWindow(args.target_window_required_string, args.value_required_boolean);
-  break;
-        case 'get_document_of_window':
-  result = await this.getDocumentOfWindow(args.target_window_required_string);
-  break;
-        case 'add_reading_list_item':
-  result = await this.addReadingListItem(args.direct_parameter_required_text, args.and_preview_text_optional_text, args.with_title_optional_text);
-  break;
-        case 'do_javascript':
-  result = await this.doJavascript(args.direct_parameter_required_text);
-  break;
-        case 'do_javascript_for_document':
-  result = await this.doJavascriptForDocument(args.direct_parameter_required_text, args.target_document_required_string);
-  break;
-        case 'do_javascript_for_tab_of_window':
-  result = await this.doJavascriptForTabOfWindow(args.direct_parameter_required_text, args.target_tab_required_string, args.target_window_required_string);
-  break;
-        case 'email_contents':
-  result = await this.emailContents();
-  break;
-        case 'email_contents_for_document':
-  result = await this.emailContentsForDocument(args.target_document_required_string);
-  break;
-        case 'email_contents_for_tab_of_window':
-  result = await this.emailContentsForTabOfWindow(args.target_tab_required_string, args.target_window_required_string);
-  break;
-        case 'search_the_web':
-  result = await this.searchTheWeb(args.forParam_required_text);
-  break;
-        case 'search_the_web_for_document':
-  result = await this.searchTheWebForDocument(args.target_document_required_string, args.forParam_required_text);
-  break;
-        case 'search_the_web_for_tab_of_window':
-  result = await this.searchTheWebForTabOfWindow(args.target_tab_required_string, args.target_window_required_string, args.forParam_required_text);
-  break;
-        case 'show_bookmarks':
-  result = await this.showBookmarks();
-  break;
-        case 'show_extensions_preferences':
-  result = await this.showExtensionsPreferences(args.direct_parameter_required_text);
-  break;
-        case 'dispatch_message_to_extension':
-  result = await this.dispatchMessageToExtension(args.direct_parameter_required_any);
-  break;
-        case 'sync_all_plist_to_disk':
-  result = await this.syncAllPlistToDisk();
-  break;
-        case 'show_privacy_report':
-  result = await this.showPrivacyReport();
-  break;
-        case 'show_credit_card_settings':
-  result = await this.showCreditCardSettings();
-  break;
-        case 'get_current_tab_of_window':
-  result = await this.getCurrentTabOfWindow(args.target_window_required_string);
-  break;
-        case 'set_current_tab_of_window':
-  result = await this.setCurrentTabOfWindow(args.target_window_required_string, args.value_required_tab);
-  break;
-        case 'get_source_of_document':
-  result = await this.getSourceOfDocument(args.target_document_required_string);
-  break;
-        case 'get_url_of_document':
-  result = await this.getUrlOfDocument(args.target_document_required_string);
-  break;
-        case 'set_url_of_document':
-  result = await this.setUrlOfDocument(args.target_document_required_string, args.value_required_text);
-  break;
-        case 'get_text_of_document':
-  result = await this.getTextOfDocument(args.target_document_required_string);
-  break;
-        case 'get_source_of_tab_of_window':
-  result = await this.getSourceOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string);
-  break;
-        case 'get_url_of_tab_of_window':
-  result = await this.getUrlOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string);
-  break;
-        case 'set_url_of_tab_of_window':
-  result = await this.setUrlOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string, args.value_required_text);
-  break;
-        case 'get_index_of_tab_of_window':
-  result = await this.getIndexOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string);
-  break;
-        case 'get_text_of_tab_of_window':
-  result = await this.getTextOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string);
-  break;
-        case 'get_visible_of_tab_of_window':
-  result = await this.getVisibleOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string);
-  break;
-        case 'get_name_of_tab_of_window':
-  result = await this.getNameOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string);
-  break;
-        case 'get_pid_of_tab_of_window':
-  result = await this.getPidOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string);
-  break;
-        default:
-          throw new Error(`Unknown tool: ${name}`);
-      }
-
-      const response = {
-        jsonrpc: '2.0',
-        id: request.id,
-        result: {
-          content: [{
-            type: 'text',
-            text: JSON.stringify(result, null, 2)
-          }]
-        }
-      };
-      this.sendResponse(response);
-
-    } catch (error) {
-      console.error(`Error in tool '${request.params.name}':`, error);
-      const errorResponse = {
-        jsonrpc: '2.0',
-        id: request.id,
-        result: {
-          content: [{
-            type: 'text',
-            text: JSON.stringify({
-              success: false,
-              error: error.message,
-              tool: request.params.name,
-              args: request.params.arguments
-            }, null, 2)
-          }]
-        }
-      };
-      this.sendResponse(errorResponse);
-    }
-  }
-
-  async open(direct_parameter_required_file) {
-    if (direct_parameter_required_file === undefined || direct_parameter_required_file === null) {
-      throw new Error("direct_parameter_required_file is required");
-    }
-
-    const castedDirect_parameter = direct_parameter_required_file ? castAndEscape(direct_parameter_required_file) : null;
-
-    const script = `
-      tell application "Safari"
-        open "${castedDirect_parameter}"
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      direct_parameter: direct_parameter_required_file || null
-    };
-  }
-
-  async closeForDocument(target_document_required_string, saving_optional_save_options, saving_in_optional_file) {
-    if (!target_document_required_string || typeof target_document_required_string !== "string") {
-      throw new Error("target_document_required_string is required and must be a string");
-    }
-
-    const castedDocument = castAndEscape(target_document_required_string);
-    const castedSaving = saving_optional_save_options ? castAndEscape(saving_optional_save_options) : null;
-    const valueForScriptSaving = castedSaving && typeof castedSaving === 'string' && !castedSaving.startsWith('{') && !castedSaving.startsWith('date') ? `"${castedSaving.replace(/"/g, "'")}"` : castedSaving;
-    const castedSaving_in = saving_in_optional_file ? castAndEscape(saving_in_optional_file) : null;
-    const valueForScriptSaving_in = castedSaving_in && typeof castedSaving_in === 'string' && !castedSaving_in.startsWith('{') && !castedSaving_in.startsWith('date') ? `"${castedSaving_in.replace(/"/g, "'")}"` : castedSaving_in;
-
-    // Helper function to build properties record from individual property parameters
-    function buildPropertiesRecord(propertyParams) {
-      const definedProps = propertyParams.filter(p => p.value !== undefined && p.value !== null && p.value !== '');
-      if (definedProps.length === 0) return '';
-      const propStrings = definedProps.map(p => {
-        const castedValue = castAndEscape(p.value, p.type || null);
-        // For strings that got escaped, wrap in quotes and replace inner quotes
-        if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-          return `${p.prop}:"${castedValue.replace(/"/g, "'")}"`;
-        }
-        // For numbers, booleans, lists, records, dates - no quotes
-        return `${p.prop}:${castedValue}`;
-      });
-      return ` with properties {${propStrings.join(', ')}}`;
-    }
-
-    const script = `
-      tell application "Safari"
-        close ${castedDocument}${saving_optional_save_options ? ' saving ' + valueForScriptSaving : ''}${saving_in_optional_file ? ' saving in ' + valueForScriptSaving_in : ''}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      document: target_document_required_string,
-      saving: saving_optional_save_options || null,
-      saving_in: saving_in_optional_file || null
-    };
-  }
-
-  async closeForTabOfWindow(target_tab_required_string, target_window_required_string, saving_optional_save_options, saving_in_optional_file) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const castedTab = castAndEscape(target_tab_required_string);
-    const castedWindow = castAndEscape(target_window_required_string);
-    const castedSaving = saving_optional_save_options ? castAndEscape(saving_optional_save_options) : null;
-    const valueForScriptSaving = castedSaving && typeof castedSaving === 'string' && !castedSaving.startsWith('{') && !castedSaving.startsWith('date') ? `"${castedSaving.replace(/"/g, "'")}"` : castedSaving;
-    const castedSaving_in = saving_in_optional_file ? castAndEscape(saving_in_optional_file) : null;
-    const valueForScriptSaving_in = castedSaving_in && typeof castedSaving_in === 'string' && !castedSaving_in.startsWith('{') && !castedSaving_in.startsWith('date') ? `"${castedSaving_in.replace(/"/g, "'")}"` : castedSaving_in;
-
-    // Helper function to build properties record from individual property parameters
-    function buildPropertiesRecord(propertyParams) {
-      const definedProps = propertyParams.filter(p => p.value !== undefined && p.value !== null && p.value !== '');
-      if (definedProps.length === 0) return '';
-      const propStrings = definedProps.map(p => {
-        const castedValue = castAndEscape(p.value, p.type || null);
-        // For strings that got escaped, wrap in quotes and replace inner quotes
-        if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-          return `${p.prop}:"${castedValue.replace(/"/g, "'")}"`;
-        }
-        // For numbers, booleans, lists, records, dates - no quotes
-        return `${p.prop}:${castedValue}`;
-      });
-      return ` with properties {${propStrings.join(', ')}}`;
-    }
-
-    const script = `
-      tell application "Safari"
-        close (${castedTab} of ${castedWindow})${saving_optional_save_options ? ' saving ' + valueForScriptSaving : ''}${saving_in_optional_file ? ' saving in ' + valueForScriptSaving_in : ''}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string,
-      saving: saving_optional_save_options || null,
-      saving_in: saving_in_optional_file || null
-    };
-  }
-
-  async closeForWindow(target_window_required_string, saving_optional_save_options, saving_in_optional_file) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const castedWindow = castAndEscape(target_window_required_string);
-    const castedSaving = saving_optional_save_options ? castAndEscape(saving_optional_save_options) : null;
-    const valueForScriptSaving = castedSaving && typeof castedSaving === 'string' && !castedSaving.startsWith('{') && !castedSaving.startsWith('date') ? `"${castedSaving.replace(/"/g, "'")}"` : castedSaving;
-    const castedSaving_in = saving_in_optional_file ? castAndEscape(saving_in_optional_file) : null;
-    const valueForScriptSaving_in = castedSaving_in && typeof castedSaving_in === 'string' && !castedSaving_in.startsWith('{') && !castedSaving_in.startsWith('date') ? `"${castedSaving_in.replace(/"/g, "'")}"` : castedSaving_in;
-
-    // Helper function to build properties record from individual property parameters
-    function buildPropertiesRecord(propertyParams) {
-      const definedProps = propertyParams.filter(p => p.value !== undefined && p.value !== null && p.value !== '');
-      if (definedProps.length === 0) return '';
-      const propStrings = definedProps.map(p => {
-        const castedValue = castAndEscape(p.value, p.type || null);
-        // For strings that got escaped, wrap in quotes and replace inner quotes
-        if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-          return `${p.prop}:"${castedValue.replace(/"/g, "'")}"`;
-        }
-        // For numbers, booleans, lists, records, dates - no quotes
-        return `${p.prop}:${castedValue}`;
-      });
-      return ` with properties {${propStrings.join(', ')}}`;
-    }
-
-    const script = `
-      tell application "Safari"
-        close ${castedWindow}${saving_optional_save_options ? ' saving ' + valueForScriptSaving : ''}${saving_in_optional_file ? ' saving in ' + valueForScriptSaving_in : ''}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      window: target_window_required_string,
-      saving: saving_optional_save_options || null,
-      saving_in: saving_in_optional_file || null
-    };
-  }
-
-  async saveForDocument(target_document_required_string, inParam_optional_file, as_optional_saveable_file_format) {
-    if (!target_document_required_string || typeof target_document_required_string !== "string") {
-      throw new Error("target_document_required_string is required and must be a string");
-    }
-
-    const castedDocument = castAndEscape(target_document_required_string);
-    const castedIn = inParam_optional_file ? castAndEscape(inParam_optional_file) : null;
-    const valueForScriptIn = castedIn && typeof castedIn === 'string' && !castedIn.startsWith('{') && !castedIn.startsWith('date') ? `"${castedIn.replace(/"/g, "'")}"` : castedIn;
-    const castedAs = as_optional_saveable_file_format ? castAndEscape(as_optional_saveable_file_format) : null;
-    const valueForScriptAs = castedAs && typeof castedAs === 'string' && !castedAs.startsWith('{') && !castedAs.startsWith('date') ? `"${castedAs.replace(/"/g, "'")}"` : castedAs;
-
-    // Helper function to build properties record from individual property parameters
-    function buildPropertiesRecord(propertyParams) {
-      const definedProps = propertyParams.filter(p => p.value !== undefined && p.value !== null && p.value !== '');
-      if (definedProps.length === 0) return '';
-      const propStrings = definedProps.map(p => {
-        const castedValue = castAndEscape(p.value, p.type || null);
-        // For strings that got escaped, wrap in quotes and replace inner quotes
-        if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-          return `${p.prop}:"${castedValue.replace(/"/g, "'")}"`;
-        }
-        // For numbers, booleans, lists, records, dates - no quotes
-        return `${p.prop}:${castedValue}`;
-      });
-      return ` with properties {${propStrings.join(', ')}}`;
-    }
-
-    const script = `
-      tell application "Safari"
-        save ${castedDocument}${inParam_optional_file ? ' in ' + valueForScriptIn : ''}${as_optional_saveable_file_format ? ' as ' + valueForScriptAs : ''}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      document: target_document_required_string,
-      in: inParam_optional_file || null,
-      as: as_optional_saveable_file_format || null
-    };
-  }
-
-  async saveForWindow(target_window_required_string, inParam_optional_file, as_optional_saveable_file_format) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const castedWindow = castAndEscape(target_window_required_string);
-    const castedIn = inParam_optional_file ? castAndEscape(inParam_optional_file) : null;
-    const valueForScriptIn = castedIn && typeof castedIn === 'string' && !castedIn.startsWith('{') && !castedIn.startsWith('date') ? `"${castedIn.replace(/"/g, "'")}"` : castedIn;
-    const castedAs = as_optional_saveable_file_format ? castAndEscape(as_optional_saveable_file_format) : null;
-    const valueForScriptAs = castedAs && typeof castedAs === 'string' && !castedAs.startsWith('{') && !castedAs.startsWith('date') ? `"${castedAs.replace(/"/g, "'")}"` : castedAs;
-
-    // Helper function to build properties record from individual property parameters
-    function buildPropertiesRecord(propertyParams) {
-      const definedProps = propertyParams.filter(p => p.value !== undefined && p.value !== null && p.value !== '');
-      if (definedProps.length === 0) return '';
-      const propStrings = definedProps.map(p => {
-        const castedValue = castAndEscape(p.value, p.type || null);
-        // For strings that got escaped, wrap in quotes and replace inner quotes
-        if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-          return `${p.prop}:"${castedValue.replace(/"/g, "'")}"`;
-        }
-        // For numbers, booleans, lists, records, dates - no quotes
-        return `${p.prop}:${castedValue}`;
-      });
-      return ` with properties {${propStrings.join(', ')}}`;
-    }
-
-    const script = `
-      tell application "Safari"
-        save ${castedWindow}${inParam_optional_file ? ' in ' + valueForScriptIn : ''}${as_optional_saveable_file_format ? ' as ' + valueForScriptAs : ''}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      window: target_window_required_string,
-      in: inParam_optional_file || null,
-      as: as_optional_saveable_file_format || null
-    };
-  }
-
-  async printFile(direct_parameter_required_list_of_file, with_properties_optional_print_settings, print_dialog_optional_boolean) {
-    if (direct_parameter_required_list_of_file === undefined || direct_parameter_required_list_of_file === null) {
-      throw new Error("direct_parameter_required_list_of_file is required");
-    }
-
-    const castedDirect_parameter = direct_parameter_required_list_of_file ? castAndEscape(direct_parameter_required_list_of_file) : null;
-    const castedWith_properties = with_properties_optional_print_settings ? castAndEscape(with_properties_optional_print_settings) : null;
-    const castedPrint_dialog = print_dialog_optional_boolean ? castAndEscape(print_dialog_optional_boolean) : null;
-
-    const script = `
-      tell application "Safari"
-        print ${castedDirect_parameter}${with_properties_optional_print_settings ? ' with properties ' + castedWith_properties : ''}${print_dialog_optional_boolean ? ' print dialog ' + castedPrint_dialog : ''}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      direct_parameter: direct_parameter_required_list_of_file || null,
-      with_properties: with_properties_optional_print_settings || null,
-      print_dialog: print_dialog_optional_boolean || null
-    };
-  }
-
-  async printForDocument(target_document_required_string, with_properties_optional_print_settings, print_dialog_optional_boolean) {
-    if (!target_document_required_string || typeof target_document_required_string !== "string") {
-      throw new Error("target_document_required_string is required and must be a string");
-    }
-
-    const castedDocument = castAndEscape(target_document_required_string);
-    const castedWith_properties = with_properties_optional_print_settings ? castAndEscape(with_properties_optional_print_settings) : null;
-    const valueForScriptWith_properties = castedWith_properties && typeof castedWith_properties === 'string' && !castedWith_properties.startsWith('{') && !castedWith_properties.startsWith('date') ? `"${castedWith_properties.replace(/"/g, "'")}"` : castedWith_properties;
-    const castedPrint_dialog = print_dialog_optional_boolean ? castAndEscape(print_dialog_optional_boolean) : null;
-    const valueForScriptPrint_dialog = castedPrint_dialog && typeof castedPrint_dialog === 'string' && !castedPrint_dialog.startsWith('{') && !castedPrint_dialog.startsWith('date') ? `"${castedPrint_dialog.replace(/"/g, "'")}"` : castedPrint_dialog;
-
-    // Helper function to build properties record from individual property parameters
-    function buildPropertiesRecord(propertyParams) {
-      const definedProps = propertyParams.filter(p => p.value !== undefined && p.value !== null && p.value !== '');
-      if (definedProps.length === 0) return '';
-      const propStrings = definedProps.map(p => {
-        const castedValue = castAndEscape(p.value, p.type || null);
-        // For strings that got escaped, wrap in quotes and replace inner quotes
-        if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-          return `${p.prop}:"${castedValue.replace(/"/g, "'")}"`;
-        }
-        // For numbers, booleans, lists, records, dates - no quotes
-        return `${p.prop}:${castedValue}`;
-      });
-      return ` with properties {${propStrings.join(', ')}}`;
-    }
-
-    const script = `
-      tell application "Safari"
-        print ${castedDocument}${with_properties_optional_print_settings ? ' with properties ' + valueForScriptWith_properties : ''}${print_dialog_optional_boolean ? ' print dialog ' + valueForScriptPrint_dialog : ''}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      document: target_document_required_string,
-      with_properties: with_properties_optional_print_settings || null,
-      print_dialog: print_dialog_optional_boolean || null
-    };
-  }
-
-  async printForWindow(target_window_required_string, with_properties_optional_print_settings, print_dialog_optional_boolean) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const castedWindow = castAndEscape(target_window_required_string);
-    const castedWith_properties = with_properties_optional_print_settings ? castAndEscape(with_properties_optional_print_settings) : null;
-    const valueForScriptWith_properties = castedWith_properties && typeof castedWith_properties === 'string' && !castedWith_properties.startsWith('{') && !castedWith_properties.startsWith('date') ? `"${castedWith_properties.replace(/"/g, "'")}"` : castedWith_properties;
-    const castedPrint_dialog = print_dialog_optional_boolean ? castAndEscape(print_dialog_optional_boolean) : null;
-    const valueForScriptPrint_dialog = castedPrint_dialog && typeof castedPrint_dialog === 'string' && !castedPrint_dialog.startsWith('{') && !castedPrint_dialog.startsWith('date') ? `"${castedPrint_dialog.replace(/"/g, "'")}"` : castedPrint_dialog;
-
-    // Helper function to build properties record from individual property parameters
-    function buildPropertiesRecord(propertyParams) {
-      const definedProps = propertyParams.filter(p => p.value !== undefined && p.value !== null && p.value !== '');
-      if (definedProps.length === 0) return '';
-      const propStrings = definedProps.map(p => {
-        const castedValue = castAndEscape(p.value, p.type || null);
-        // For strings that got escaped, wrap in quotes and replace inner quotes
-        if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-          return `${p.prop}:"${castedValue.replace(/"/g, "'")}"`;
-        }
-        // For numbers, booleans, lists, records, dates - no quotes
-        return `${p.prop}:${castedValue}`;
-      });
-      return ` with properties {${propStrings.join(', ')}}`;
-    }
-
-    const script = `
-      tell application "Safari"
-        print ${castedWindow}${with_properties_optional_print_settings ? ' with properties ' + valueForScriptWith_properties : ''}${print_dialog_optional_boolean ? ' print dialog ' + valueForScriptPrint_dialog : ''}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      window: target_window_required_string,
-      with_properties: with_properties_optional_print_settings || null,
-      print_dialog: print_dialog_optional_boolean || null
-    };
-  }
-
-  async quit(saving_optional_save_options) {
-    const castedSaving = saving_optional_save_options ? castAndEscape(saving_optional_save_options) : null;
-
-    const script = `
-      tell application "Safari"
-        quit${saving_optional_save_options ? ' saving ' + castedSaving : ''}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      saving: saving_optional_save_options || null
-    };
-  }
-
-  async countDocument() {
-
-
-    // Helper function to build properties record from individual property parameters
-    function buildPropertiesRecord(propertyParams) {
-      const definedProps = propertyParams.filter(p => p.value !== undefined && p.value !== null && p.value !== '');
-      if (definedProps.length === 0) return '';
-      const propStrings = definedProps.map(p => {
-        const castedValue = castAndEscape(p.value, p.type || null);
-        // For strings that got escaped, wrap in quotes and replace inner quotes
-        if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-          return `${p.prop}:"${castedValue.replace(/"/g, "'")}"`;
-        }
-        // For numbers, booleans, lists, records, dates - no quotes
-        return `${p.prop}:${castedValue}`;
-      });
-      return ` with properties {${propStrings.join(', ')}}`;
-    }
-
-    const script = `
-      tell application "Safari"
-        count each document 
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script
-    };
-  }
-
-  async countTabOfWindow(target_window_required_string) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const castedWindow = castAndEscape(target_window_required_string);
-
-    // Helper function to build properties record from individual property parameters
-    function buildPropertiesRecord(propertyParams) {
-      const definedProps = propertyParams.filter(p => p.value !== undefined && p.value !== null && p.value !== '');
-      if (definedProps.length === 0) return '';
-      const propStrings = definedProps.map(p => {
-        const castedValue = castAndEscape(p.value, p.type || null);
-        // For strings that got escaped, wrap in quotes and replace inner quotes
-        if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-          return `${p.prop}:"${castedValue.replace(/"/g, "'")}"`;
-        }
-        // For numbers, booleans, lists, records, dates - no quotes
-        return `${p.prop}:${castedValue}`;
-      });
-      return ` with properties {${propStrings.join(', ')}}`;
-    }
-
-    const script = `
-      tell application "Safari"
-        count each tab of ${castedWindow} 
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async countWindow() {
-
-
-    // Helper function to build properties record from individual property parameters
-    function buildPropertiesRecord(propertyParams) {
-      const definedProps = propertyParams.filter(p => p.value !== undefined && p.value !== null && p.value !== '');
-      if (definedProps.length === 0) return '';
-      const propStrings = definedProps.map(p => {
-        const castedValue = castAndEscape(p.value, p.type || null);
-        // For strings that got escaped, wrap in quotes and replace inner quotes
-        if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-          return `${p.prop}:"${castedValue.replace(/"/g, "'")}"`;
-        }
-        // For numbers, booleans, lists, records, dates - no quotes
-        return `${p.prop}:${castedValue}`;
-      });
-      return ` with properties {${propStrings.join(', ')}}`;
-    }
-
-    const script = `
-      tell application "Safari"
-        count each window 
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script
-    };
-  }
-
-  async delete(direct_parameter_required_specifier) {
-    if (direct_parameter_required_specifier === undefined || direct_parameter_required_specifier === null) {
-      throw new Error("direct_parameter_required_specifier is required");
-    }
-
-    const castedDirect_parameter = direct_parameter_required_specifier ? castAndEscape(direct_parameter_required_specifier) : null;
-
-    const script = `
-      tell application "Safari"
-        delete ${castedDirect_parameter}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      direct_parameter: direct_parameter_required_specifier || null
-    };
-  }
-
-  async duplicate(direct_parameter_required_specifier, to_optional_location_specifier, with_properties_optional_record) {
-    if (direct_parameter_required_specifier === undefined || direct_parameter_required_specifier === null) {
-      throw new Error("direct_parameter_required_specifier is required");
-    }
-
-    const castedDirect_parameter = direct_parameter_required_specifier ? castAndEscape(direct_parameter_required_specifier) : null;
-    const castedTo = to_optional_location_specifier ? castAndEscape(to_optional_location_specifier) : null;
-    const castedWith_properties = with_properties_optional_record ? castAndEscape(with_properties_optional_record) : null;
-
-    const script = `
-      tell application "Safari"
-        duplicate ${castedDirect_parameter}${to_optional_location_specifier ? ' to ' + castedTo : ''}${with_properties_optional_record ? ' with properties ' + castedWith_properties : ''}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      direct_parameter: direct_parameter_required_specifier || null,
-      to: to_optional_location_specifier || null,
-      with_properties: with_properties_optional_record || null
-    };
-  }
-
-  async exists(direct_parameter_required_any) {
-    if (direct_parameter_required_any === undefined || direct_parameter_required_any === null) {
-      throw new Error("direct_parameter_required_any is required");
-    }
-
-    const castedDirect_parameter = direct_parameter_required_any ? castAndEscape(direct_parameter_required_any) : null;
-
-    const script = `
-      tell application "Safari"
-        exists ${castedDirect_parameter}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      direct_parameter: direct_parameter_required_any || null
-    };
-  }
-
-  async makeDocument(at_optional_location_specifier, with_data_optional_any, with_properties_optional_text_url) {
-
-    const castedAt = at_optional_location_specifier ? castAndEscape(at_optional_location_specifier) : null;
-    const valueForScriptAt = castedAt && typeof castedAt === 'string' && !castedAt.startsWith('{') && !castedAt.startsWith('date') ? `"${castedAt.replace(/"/g, "'")}"` : castedAt;
-    const castedWith_data = with_data_optional_any ? castAndEscape(with_data_optional_any) : null;
-    const valueForScriptWith_data = castedWith_data && typeof castedWith_data === 'string' && !castedWith_data.startsWith('{') && !castedWith_data.startsWith('date') ? `"${castedWith_data.replace(/"/g, "'")}"` : castedWith_data;
-    const castedWith_properties_optional_text_url = with_properties_optional_text_url ? castAndEscape(with_properties_optional_text_url) : null;
-
-    // Helper function to build properties record from individual property parameters
-    function buildPropertiesRecord(propertyParams) {
-      const definedProps = propertyParams.filter(p => p.value !== undefined && p.value !== null && p.value !== '');
-      if (definedProps.length === 0) return '';
-      const propStrings = definedProps.map(p => {
-        const castedValue = castAndEscape(p.value, p.type || null);
-        // For strings that got escaped, wrap in quotes and replace inner quotes
-        if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-          return `${p.prop}:"${castedValue.replace(/"/g, "'")}"`;
-        }
-        // For numbers, booleans, lists, records, dates - no quotes
-        return `${p.prop}:${castedValue}`;
-      });
-      return ` with properties {${propStrings.join(', ')}}`;
-    }
-
-    const script = `
-      tell application "Safari"
-        make new document ${at_optional_location_specifier ? ' at ' + valueForScriptAt : ''}${with_data_optional_any ? ' with data ' + valueForScriptWith_data : ''}${buildPropertiesRecord([{param: 'with_properties_optional_text_url', prop: 'URL', value: with_properties_optional_text_url, type: 'text'}])}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      at: at_optional_location_specifier || null,
-      with_data: with_data_optional_any || null,
-      url: with_properties_optional_text_url || null
-    };
-  }
-
-  async makeTabOfWindow(at_required_location_specifier_window, with_data_optional_any, with_properties_optional_text_url) {
-    if (!at_required_location_specifier_window || typeof at_required_location_specifier_window !== "string") {
-      throw new Error("at_required_location_specifier_window is required and must be a string");
-    }
-
-    const castedWindow = castAndEscape(at_required_location_specifier_window);
-    const castedWith_data = with_data_optional_any ? castAndEscape(with_data_optional_any) : null;
-    const valueForScriptWith_data = castedWith_data && typeof castedWith_data === 'string' && !castedWith_data.startsWith('{') && !castedWith_data.startsWith('date') ? `"${castedWith_data.replace(/"/g, "'")}"` : castedWith_data;
-    const castedWith_properties_optional_text_url = with_properties_optional_text_url ? castAndEscape(with_properties_optional_text_url) : null;
-
-    // Helper function to build properties record from individual property parameters
-    function buildPropertiesRecord(propertyParams) {
-      const definedProps = propertyParams.filter(p => p.value !== undefined && p.value !== null && p.value !== '');
-      if (definedProps.length === 0) return '';
-      const propStrings = definedProps.map(p => {
-        const castedValue = castAndEscape(p.value, p.type || null);
-        // For strings that got escaped, wrap in quotes and replace inner quotes
-        if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-          return `${p.prop}:"${castedValue.replace(/"/g, "'")}"`;
-        }
-        // For numbers, booleans, lists, records, dates - no quotes
-        return `${p.prop}:${castedValue}`;
-      });
-      return ` with properties {${propStrings.join(', ')}}`;
-    }
-
-    const script = `
-      tell application "Safari"
-        make new tab at ${castedWindow} ${with_data_optional_any ? ' with data ' + valueForScriptWith_data : ''}${buildPropertiesRecord([{param: 'with_properties_optional_text_url', prop: 'URL', value: with_properties_optional_text_url, type: 'text'}])}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      window: at_required_location_specifier_window,
-      with_data: with_data_optional_any || null,
-      url: with_properties_optional_text_url || null
-    };
-  }
-
-  async makeWindow(at_optional_location_specifier, with_data_optional_any, with_properties_optional_integer_index, with_properties_optional_tab_current_tab, with_properties_optional_boolean_zoomed, with_properties_optional_boolean_miniaturized, with_properties_optional_boolean_visible, with_properties_optional_rectangle_bounds) {
-
-    const castedAt = at_optional_location_specifier ? castAndEscape(at_optional_location_specifier) : null;
-    const valueForScriptAt = castedAt && typeof castedAt === 'string' && !castedAt.startsWith('{') && !castedAt.startsWith('date') ? `"${castedAt.replace(/"/g, "'")}"` : castedAt;
-    const castedWith_data = with_data_optional_any ? castAndEscape(with_data_optional_any) : null;
-    const valueForScriptWith_data = castedWith_data && typeof castedWith_data === 'string' && !castedWith_data.startsWith('{') && !castedWith_data.startsWith('date') ? `"${castedWith_data.replace(/"/g, "'")}"` : castedWith_data;
-    const castedWith_properties_optional_integer_index = with_properties_optional_integer_index ? castAndEscape(with_properties_optional_integer_index) : null;
-    const castedWith_properties_optional_tab_current_tab = with_properties_optional_tab_current_tab ? castAndEscape(with_properties_optional_tab_current_tab) : null;
-    const castedWith_properties_optional_boolean_zoomed = with_properties_optional_boolean_zoomed ? castAndEscape(with_properties_optional_boolean_zoomed) : null;
-    const castedWith_properties_optional_boolean_miniaturized = with_properties_optional_boolean_miniaturized ? castAndEscape(with_properties_optional_boolean_miniaturized) : null;
-    const castedWith_properties_optional_boolean_visible = with_properties_optional_boolean_visible ? castAndEscape(with_properties_optional_boolean_visible) : null;
-    const castedWith_properties_optional_rectangle_bounds = with_properties_optional_rectangle_bounds ? castAndEscape(with_properties_optional_rectangle_bounds) : null;
-
-    // Helper function to build properties record from individual property parameters
-    function buildPropertiesRecord(propertyParams) {
-      const definedProps = propertyParams.filter(p => p.value !== undefined && p.value !== null && p.value !== '');
-      if (definedProps.length === 0) return '';
-      const propStrings = definedProps.map(p => {
-        const castedValue = castAndEscape(p.value, p.type || null);
-        // For strings that got escaped, wrap in quotes and replace inner quotes
-        if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-          return `${p.prop}:"${castedValue.replace(/"/g, "'")}"`;
-        }
-        // For numbers, booleans, lists, records, dates - no quotes
-        return `${p.prop}:${castedValue}`;
-      });
-      return ` with properties {${propStrings.join(', ')}}`;
-    }
-
-    const script = `
-      tell application "Safari"
-        make new window ${at_optional_location_specifier ? ' at ' + valueForScriptAt : ''}${with_data_optional_any ? ' with data ' + valueForScriptWith_data : ''}${buildPropertiesRecord([{param: 'with_properties_optional_integer_index', prop: 'index', value: with_properties_optional_integer_index, type: 'integer'}, {param: 'with_properties_optional_tab_current_tab', prop: 'current tab', value: with_properties_optional_tab_current_tab, type: 'tab'}, {param: 'with_properties_optional_boolean_zoomed', prop: 'zoomed', value: with_properties_optional_boolean_zoomed, type: 'boolean'}, {param: 'with_properties_optional_boolean_miniaturized', prop: 'miniaturized', value: with_properties_optional_boolean_miniaturized, type: 'boolean'}, {param: 'with_properties_optional_boolean_visible', prop: 'visible', value: with_properties_optional_boolean_visible, type: 'boolean'}, {param: 'with_properties_optional_rectangle_bounds', prop: 'bounds', value: with_properties_optional_rectangle_bounds, type: 'rectangle'}])}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      at: at_optional_location_specifier || null,
-      with_data: with_data_optional_any || null,
-      index: with_properties_optional_integer_index || null,
-      current_tab: with_properties_optional_tab_current_tab || null,
-      zoomed: with_properties_optional_boolean_zoomed || null,
-      miniaturized: with_properties_optional_boolean_miniaturized || null,
-      visible: with_properties_optional_boolean_visible || null,
-      bounds: with_properties_optional_rectangle_bounds || null
-    };
-  }
-
-  async move(direct_parameter_required_specifier, to_required_location_specifier) {
-    if (direct_parameter_required_specifier === undefined || direct_parameter_required_specifier === null) {
-      throw new Error("direct_parameter_required_specifier is required");
-    }
-
-    if (to_required_location_specifier === undefined || to_required_location_specifier === null) {
-      throw new Error("to_required_location_specifier is required");
-    }
-
-    const castedDirect_parameter = direct_parameter_required_specifier ? castAndEscape(direct_parameter_required_specifier) : null;
-    const castedTo = to_required_location_specifier ? castAndEscape(to_required_location_specifier) : null;
-
-    const script = `
-      tell application "Safari"
-        move ${castedDirect_parameter} to ${castedTo}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      direct_parameter: direct_parameter_required_specifier || null,
-      to: to_required_location_specifier || null
-    };
-  }
-
-  async getNameOfApplication() {
-    const script = `
-      tell application "Safari"
-        return name
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script
-    };
-  }
-
-  async getFrontmostOfApplication() {
-    const script = `
-      tell application "Safari"
-        return frontmost
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script
-    };
-  }
-
-  async getVersionOfApplication() {
-    const script = `
-      tell application "Safari"
-        return version
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script
-    };
-  }
-
-  async getNameOfDocument(target_document_required_string) {
-    if (!target_document_required_string || typeof target_document_required_string !== "string") {
-      throw new Error("target_document_required_string is required and must be a string");
-    }
-
-    const escapedDocument = escapeForAppleScript(target_document_required_string);
-
-    const script = `
-      tell application "Safari"
-        return name of ${escapedDocument}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      document: target_document_required_string
-    };
-  }
-
-  async getModifiedOfDocument(target_document_required_string) {
-    if (!target_document_required_string || typeof target_document_required_string !== "string") {
-      throw new Error("target_document_required_string is required and must be a string");
-    }
-
-    const escapedDocument = escapeForAppleScript(target_document_required_string);
-
-    const script = `
-      tell application "Safari"
-        return modified of ${escapedDocument}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      document: target_document_required_string
-    };
-  }
-
-  async getFileOfDocument(target_document_required_string) {
-    if (!target_document_required_string || typeof target_document_required_string !== "string") {
-      throw new Error("target_document_required_string is required and must be a string");
-    }
-
-    const escapedDocument = escapeForAppleScript(target_document_required_string);
-
-    const script = `
-      tell application "Safari"
-        return file of ${escapedDocument}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      document: target_document_required_string
-    };
-  }
-
-  async getNameOfWindow(target_window_required_string) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Safari"
-        return name of ${escapedWindow}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async getIdOfWindow(target_window_required_string) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Safari"
-        return id of ${escapedWindow}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async getIndexOfWindow(target_window_required_string) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Safari"
-        return index of ${escapedWindow}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async setIndexOfWindow(target_window_required_string, value_required_integer) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-    if (value_required_integer === undefined || value_required_integer === null) {
-      throw new Error("value_required_integer is required");
-    }
-
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_integer, 'integer');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Safari"
-        set index of ${castedWindow} to ${valueForScript}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_integer,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async getBoundsOfWindow(target_window_required_string) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Safari"
-        return bounds of ${escapedWindow}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async setBoundsOfWindow(target_window_required_string, value_required_rectangle) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-    if (value_required_rectangle === undefined || value_required_rectangle === null) {
-      throw new Error("value_required_rectangle is required");
-    }
-
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_rectangle, 'rectangle');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Safari"
-        set bounds of ${castedWindow} to ${valueForScript}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_rectangle,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async getCloseableOfWindow(target_window_required_string) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Safari"
-        return closeable of ${escapedWindow}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async getMiniaturizableOfWindow(target_window_required_string) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Safari"
-        return miniaturizable of ${escapedWindow}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async getMiniaturizedOfWindow(target_window_required_string) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Safari"
-        return miniaturized of ${escapedWindow}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async setMiniaturizedOfWindow(target_window_required_string, value_required_boolean) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-    if (value_required_boolean === undefined || value_required_boolean === null) {
-      throw new Error("value_required_boolean is required");
-    }
-
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_boolean, 'boolean');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Safari"
-        set miniaturized of ${castedWindow} to ${valueForScript}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_boolean,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async getResizableOfWindow(target_window_required_string) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Safari"
-        return resizable of ${escapedWindow}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async getVisibleOfWindow(target_window_required_string) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Safari"
-        return visible of ${escapedWindow}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async setVisibleOfWindow(target_window_required_string, value_required_boolean) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-    if (value_required_boolean === undefined || value_required_boolean === null) {
-      throw new Error("value_required_boolean is required");
-    }
-
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_boolean, 'boolean');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Safari"
-        set visible of ${castedWindow} to ${valueForScript}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_boolean,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async getZoomableOfWindow(target_window_required_string) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Safari"
-        return zoomable of ${escapedWindow}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async getZoomedOfWindow(target_window_required_string) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Safari"
-        return zoomed of ${escapedWindow}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async setZoomedOfWindow(target_window_required_string, value_required_boolean) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-    if (value_required_boolean === undefined || value_required_boolean === null) {
-      throw new Error("value_required_boolean is required");
-    }
-
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_boolean, 'boolean');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Safari"
-        set zoomed of ${castedWindow} to ${valueForScript}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_boolean,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async getDocumentOfWindow(target_window_required_string) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Safari"
-        return document of ${escapedWindow}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async addReadingListItem(direct_parameter_required_text, and_preview_text_optional_text, with_title_optional_text) {
-    if (direct_parameter_required_text === undefined || direct_parameter_required_text === null) {
-      throw new Error("direct_parameter_required_text is required");
-    }
-
-    const castedDirect_parameter = direct_parameter_required_text ? castAndEscape(direct_parameter_required_text) : null;
-    const castedAnd_preview_text = and_preview_text_optional_text ? castAndEscape(and_preview_text_optional_text) : null;
-    const castedWith_title = with_title_optional_text ? castAndEscape(with_title_optional_text) : null;
-
-    const script = `
-      tell application "Safari"
-        add reading list item "${castedDirect_parameter}"${and_preview_text_optional_text ? ' and preview text "' + castedAnd_preview_text + '"' : ''}${with_title_optional_text ? ' with title "' + castedWith_title + '"' : ''}
-      end tell
-    `;
+const { parseArgs } = require('util');
+const {
+  createOsascriptExecutor,
+  createFakeExecutor,
+  checkSafariAvailable,
+  CancelledError
+} = require('./executor');
+const { SafariSimulator, createSimulatorExecutor } = require('./simulator');
+const { loadRegistry } = require('./registry');
+const { buildTools } = require('./tools');
+const { buildExplorerTools } = require('./explorer');
+const { buildQueryTool } = require('./query');
+const { RESOURCE_TEMPLATES, listResources, readResource } = require('./resources');
+const { ResourceMonitor } = require('./subscriptions');
+const { PROMPTS } = require('./prompts');
+const { complete } = require('./completion');
+const { LEVELS, Logger, isLevel } = require('./logger');
+const { HttpTransport, DEFAULT_HOST, DEFAULT_PORT } = require('./http');
+const { ERROR_CODES, AppleScriptError, errorDetails } = require('./errors');
+const { Scheduler, buildDiagnosticsTool } = require('./scheduler');
+const { createWorkerExecutor } = require('./worker');
+const {
+  PARSE_ERROR,
+  INVALID_REQUEST,
+  METHOD_NOT_FOUND,
+  INVALID_PARAMS,
+  INTERNAL_ERROR,
+  JsonRpcError,
+  isNotification,
+  validateRequest,
+  responseId,
+  resultResponse,
+  errorResponse
+} = require('./jsonrpc');
+
+// JSON-RPC method → handler; handlers return the result or throw
+const METHODS = {
+  'initialize': 'handleInitialize',
+  'initialized': 'handleInitialized',
+  'notifications/initialized': 'handleInitialized',
+  'notifications/cancelled': 'handleCancelled',
+  'ping': 'handlePing',
+  'tools/list': 'handleToolsList',
+  'tools/call': 'handleToolsCall',
+  'resources/list': 'handleResourcesList',
+  'resources/templates/list': 'handleResourceTemplatesList',
+  'resources/read': 'handleResourcesRead',
+  'resources/subscribe': 'handleResourcesSubscribe',
+  'resources/unsubscribe': 'handleResourcesUnsubscribe',
+  'prompts/list': 'handlePromptsList',
+  'prompts/get': 'handlePromptsGet',
+  'logging/setLevel': 'handleLoggingSetLevel',
+  'completion/complete': 'handleCompletionComplete'
+};
+
+// Protocol revisions understood, newest first. Clients that ask for none get
+// the oldest, which every client speaks.
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const FALLBACK_PROTOCOL_VERSION = '2024-11-05';
+
+// Revision that introduced each optional feature
+const FEATURE_VERSIONS = {
+  annotations: '2025-03-26',
+  structuredContent: '2025-06-18'
+};
+
+// The version to speak: the client's if supported, otherwise the newest
+function negotiateProtocolVersion(requested) {
+  if (typeof requested !== 'string' || !requested) return FALLBACK_PROTOCOL_VERSION;
+  return PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0];
+}
 
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      direct_parameter: direct_parameter_required_text || null,
-      and_preview_text: and_preview_text_optional_text || null,
-      with_title: with_title_optional_text || null
-    };
-  }
+// A tool result as MCP text content, plus structuredContent for clients that
+// read outputSchema; failures are flagged for the client
+function toolContent(result, structured) {
+  const content = {
+    content: [{
+      type: 'text',
+      text: JSON.stringify(result, null, 2)
+    }],
+    isError: result.success === false
+  };
+  if (structured) {
+    content.structuredContent = result;
+  }
+  return content;
+}
 
-  async doJavascript(direct_parameter_required_text) {
-    if (direct_parameter_required_text === undefined || direct_parameter_required_text === null) {
-      throw new Error("direct_parameter_required_text is required");
+// MCP server implementation
+// Options:
+//   executor - object with execute(script, {signal}) → Promise<stdout>; defaults to osascript.
+//              Scripts go through a Scheduler: pass one to share it between servers
+//   concurrency - scripts run at once when the server creates its own Scheduler
+//   clientId - name of this server's client in the Scheduler's queue
+//   output   - stream responses are written to; defaults to process.stdout
+//   stdio    - set to false to skip reading requests from process.stdin
+//   registry - scripting model tools are derived from; defaults to sdef/Safari.sdef
+//   pollInterval - milliseconds between checks of subscribed resources
+//   stderrLogLevel - minimum level logged to stderr, null for none; defaults
+//              to SAFARI_MCP_LOG_STDERR
+class SafariMCPServer {
+  constructor(options = {}) {
+    this.initialized = false;
+    // Until initialize says otherwise, assume a current client
+    this.protocolVersion = PROTOCOL_VERSIONS[0];
+    // Request id → AbortController of requests still being handled
+    this.pending = new Map();
+    this.logger = new Logger({
+      stderrLevel: options.stderrLogLevel,
+      notify: params => this.sendNotification('notifications/message', params)
+    });
+    const executor = options.executor || createOsascriptExecutor();
+    this.scheduler = executor instanceof Scheduler ? executor : new Scheduler(executor, { concurrency: options.concurrency });
+    this.executor = this.scheduler.forClient(options.clientId || 'stdio');
+    this.output = options.output || process.stdout;
+    this.registry = options.registry || loadRegistry();
+    const applicationTools = buildTools(this.registry).concat(buildQueryTool(this.registry));
+    this.tools = applicationTools
+      .concat(buildExplorerTools(this.registry, applicationTools))
+      .concat(buildDiagnosticsTool(this.registry, this.scheduler));
+    this.toolsByName = new Map(this.tools.map(tool => [tool.name, tool]));
+    this.monitor = new ResourceMonitor({
+      registry: this.registry,
+      executor: this.executor,
+      logger: this.logger,
+      interval: options.pollInterval,
+      notify: (method, params) => this.sendNotification(method, params)
+    });
+    if (options.stdio !== false) {
+      this.setupStdio();
     }
-
-    const castedDirect_parameter = direct_parameter_required_text ? castAndEscape(direct_parameter_required_text) : null;
-
-    const script = `
-      tell application "Safari"
-        do JavaScript "${castedDirect_parameter}"
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      direct_parameter: direct_parameter_required_text || null
-    };
   }
 
-  async doJavascriptForDocument(direct_parameter_required_text, target_document_required_string) {
-    if (direct_parameter_required_text === undefined || direct_parameter_required_text === null) {
-      throw new Error("direct_parameter_required_text is required");
-    }
-    if (!target_document_required_string || typeof target_document_required_string !== "string") {
-      throw new Error("target_document_required_string is required and must be a string");
-    }
-
-    const castedDirect_parameter = castAndEscape(direct_parameter_required_text);
-    const valueForScriptDirect_parameter = castedDirect_parameter && typeof castedDirect_parameter === 'string' && !castedDirect_parameter.startsWith('{') && !castedDirect_parameter.startsWith('date') ? `"${castedDirect_parameter.replace(/"/g, "'")}"` : castedDirect_parameter;
-    const castedDocument = castAndEscape(target_document_required_string);
-
-    // Helper function to build properties record from individual property parameters
-    function buildPropertiesRecord(propertyParams) {
-      const definedProps = propertyParams.filter(p => p.value !== undefined && p.value !== null && p.value !== '');
-      if (definedProps.length === 0) return '';
-      const propStrings = definedProps.map(p => {
-        const castedValue = castAndEscape(p.value, p.type || null);
-        // For strings that got escaped, wrap in quotes and replace inner quotes
-        if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-          return `${p.prop}:"${castedValue.replace(/"/g, "'")}"`;
+  setupStdio() {
+    process.stdin.setEncoding('utf8');
+    
+    let buffer = '';
+    process.stdin.on('data', (data) => {
+      buffer += data;
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || ''; // Keep incomplete line in buffer
+      
+      lines.forEach(line => {
+        if (line.trim()) {
+          this.handleMessage(line.trim());
         }
-        // For numbers, booleans, lists, records, dates - no quotes
-        return `${p.prop}:${castedValue}`;
       });
-      return ` with properties {${propStrings.join(', ')}}`;
-    }
-
-    const script = `
-      tell application "Safari"
-        do JavaScript ${valueForScriptDirect_parameter} in ${castedDocument}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      direct_parameter: direct_parameter_required_text,
-      document: target_document_required_string
-    };
+    });
   }
 
-  async doJavascriptForTabOfWindow(direct_parameter_required_text, target_tab_required_string, target_window_required_string) {
-    if (direct_parameter_required_text === undefined || direct_parameter_required_text === null) {
-      throw new Error("direct_parameter_required_text is required");
-    }
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
+  async handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      this.logger.warning('Unparsable message', { error: error.message });
+      this.sendResponse(errorResponse(null, new JsonRpcError(PARSE_ERROR, `Parse error: ${error.message}`)));
+      return;
     }
 
-    const castedDirect_parameter = castAndEscape(direct_parameter_required_text);
-    const valueForScriptDirect_parameter = castedDirect_parameter && typeof castedDirect_parameter === 'string' && !castedDirect_parameter.startsWith('{') && !castedDirect_parameter.startsWith('date') ? `"${castedDirect_parameter.replace(/"/g, "'")}"` : castedDirect_parameter;
-    const castedTab = castAndEscape(target_tab_required_string);
-    const castedWindow = castAndEscape(target_window_required_string);
-
-    // Helper function to build properties record from individual property parameters
-    function buildPropertiesRecord(propertyParams) {
-      const definedProps = propertyParams.filter(p => p.value !== undefined && p.value !== null && p.value !== '');
-      if (definedProps.length === 0) return '';
-      const propStrings = definedProps.map(p => {
-        const castedValue = castAndEscape(p.value, p.type || null);
-        // For strings that got escaped, wrap in quotes and replace inner quotes
-        if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-          return `${p.prop}:"${castedValue.replace(/"/g, "'")}"`;
-        }
-        // For numbers, booleans, lists, records, dates - no quotes
-        return `${p.prop}:${castedValue}`;
-      });
-      return ` with properties {${propStrings.join(', ')}}`;
+    const response = await this.dispatch(message);
+    if (response) {
+      this.sendResponse(response);
     }
-
-    const script = `
-      tell application "Safari"
-        do JavaScript ${valueForScriptDirect_parameter} in (${castedTab} of ${castedWindow})
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      direct_parameter: direct_parameter_required_text,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
-  }
-
-  async emailContents() {
-    const script = `
-      tell application "Safari"
-        email contents
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script
-    };
   }
 
-  async emailContentsForDocument(target_document_required_string) {
-    if (!target_document_required_string || typeof target_document_required_string !== "string") {
-      throw new Error("target_document_required_string is required and must be a string");
-    }
-
-    const castedDocument = castAndEscape(target_document_required_string);
-
-    // Helper function to build properties record from individual property parameters
-    function buildPropertiesRecord(propertyParams) {
-      const definedProps = propertyParams.filter(p => p.value !== undefined && p.value !== null && p.value !== '');
-      if (definedProps.length === 0) return '';
-      const propStrings = definedProps.map(p => {
-        const castedValue = castAndEscape(p.value, p.type || null);
-        // For strings that got escaped, wrap in quotes and replace inner quotes
-        if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-          return `${p.prop}:"${castedValue.replace(/"/g, "'")}"`;
-        }
-        // For numbers, booleans, lists, records, dates - no quotes
-        return `${p.prop}:${castedValue}`;
-      });
-      return ` with properties {${propStrings.join(', ')}}`;
+  // Handle a parsed message or batch; returns what to send back, or null
+  // when nothing is owed. Transports that own their replies (HTTP) call this
+  // instead of handleMessage.
+  async dispatch(message) {
+    // Batch: answer every request in one array, or not at all if the batch
+    // held only notifications
+    if (Array.isArray(message)) {
+      if (message.length === 0) {
+        return errorResponse(null, new JsonRpcError(INVALID_REQUEST, 'Invalid Request: empty batch'));
+      }
+      const responses = await Promise.all(message.map(item => this.handleRequest(item)));
+      const replies = responses.filter(Boolean);
+      return replies.length ? replies : null;
     }
-
-    const script = `
-      tell application "Safari"
-        email contents of ${castedDocument}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      document: target_document_required_string
-    };
+    return this.handleRequest(message);
   }
 
-  async emailContentsForTabOfWindow(target_tab_required_string, target_window_required_string) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
+  // Dispatch one request; returns its response, or null for notifications
+  async handleRequest(message) {
+    try {
+      validateRequest(message);
+    } catch (error) {
+      this.logger.warning('Invalid request', { error: error.message });
+      return errorResponse(responseId(message), error);
     }
 
-    const castedTab = castAndEscape(target_tab_required_string);
-    const castedWindow = castAndEscape(target_window_required_string);
-
-    // Helper function to build properties record from individual property parameters
-    function buildPropertiesRecord(propertyParams) {
-      const definedProps = propertyParams.filter(p => p.value !== undefined && p.value !== null && p.value !== '');
-      if (definedProps.length === 0) return '';
-      const propStrings = definedProps.map(p => {
-        const castedValue = castAndEscape(p.value, p.type || null);
-        // For strings that got escaped, wrap in quotes and replace inner quotes
-        if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-          return `${p.prop}:"${castedValue.replace(/"/g, "'")}"`;
-        }
-        // For numbers, booleans, lists, records, dates - no quotes
-        return `${p.prop}:${castedValue}`;
-      });
-      return ` with properties {${propStrings.join(', ')}}`;
+    // Requests can be cancelled by id until they finish; a cancelled
+    // request gets no response at all
+    const notification = isNotification(message);
+    const controller = notification ? null : new AbortController();
+    if (controller) {
+      this.pending.set(message.id, controller);
     }
-
-    const script = `
-      tell application "Safari"
-        email contents of (${castedTab} of ${castedWindow})
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
-  }
-
-  async searchTheWeb(forParam_required_text) {
-    if (forParam_required_text === undefined || forParam_required_text === null) {
-      throw new Error("forParam_required_text is required");
+    const context = { signal: controller ? controller.signal : undefined };
+    try {
+      this.logger.debug(`Received ${message.method}`, { id: message.id });
+      const handler = METHODS[message.method];
+      if (!handler) {
+        throw new JsonRpcError(METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+      }
+      const result = await this[handler](message, context);
+      if (notification || controller.signal.aborted) return null;
+      return resultResponse(message.id, result);
+    } catch (error) {
+      if (notification || controller.signal.aborted) {
+        this.logger.info(`${message.method} ${notification ? 'notification failed' : 'cancelled'}`, { error: error.message });
+        return null;
+      }
+      // Protocol errors are the client's mistake; anything else is ours
+      const level = error instanceof JsonRpcError ? 'warning' : 'error';
+      this.logger.log(level, `Error processing ${message.method}`, { id: message.id, error: error.message });
+      return errorResponse(message.id, error);
+    } finally {
+      if (controller && this.pending.get(message.id) === controller) {
+        this.pending.delete(message.id);
+      }
     }
-
-    const castedFor = forParam_required_text ? castAndEscape(forParam_required_text) : null;
-
-    const script = `
-      tell application "Safari"
-        search the web for "${castedFor}"
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      for: forParam_required_text || null
-    };
   }
 
-  async searchTheWebForDocument(target_document_required_string, forParam_required_text) {
-    if (!target_document_required_string || typeof target_document_required_string !== "string") {
-      throw new Error("target_document_required_string is required and must be a string");
-    }
-    if (forParam_required_text === undefined || forParam_required_text === null) {
-      throw new Error("forParam_required_text is required");
-    }
-
-    const castedDocument = castAndEscape(target_document_required_string);
-    const castedFor = forParam_required_text ? castAndEscape(forParam_required_text) : null;
-    const valueForScriptFor = castedFor && typeof castedFor === 'string' && !castedFor.startsWith('{') && !castedFor.startsWith('date') ? `"${castedFor.replace(/"/g, "'")}"` : castedFor;
-
-    // Helper function to build properties record from individual property parameters
-    function buildPropertiesRecord(propertyParams) {
-      const definedProps = propertyParams.filter(p => p.value !== undefined && p.value !== null && p.value !== '');
-      if (definedProps.length === 0) return '';
-      const propStrings = definedProps.map(p => {
-        const castedValue = castAndEscape(p.value, p.type || null);
-        // For strings that got escaped, wrap in quotes and replace inner quotes
-        if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-          return `${p.prop}:"${castedValue.replace(/"/g, "'")}"`;
-        }
-        // For numbers, booleans, lists, records, dates - no quotes
-        return `${p.prop}:${castedValue}`;
-      });
-      return ` with properties {${propStrings.join(', ')}}`;
-    }
-
-    const script = `
-      tell application "Safari"
-        search the web for ${valueForScriptFor} in ${castedDocument}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      document: target_document_required_string,
-      for: forParam_required_text || null
-    };
+  async handlePing(request) {
+    return {};
   }
 
-  async searchTheWebForTabOfWindow(target_tab_required_string, target_window_required_string, forParam_required_text) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-    if (forParam_required_text === undefined || forParam_required_text === null) {
-      throw new Error("forParam_required_text is required");
-    }
-
-    const castedTab = castAndEscape(target_tab_required_string);
-    const castedWindow = castAndEscape(target_window_required_string);
-    const castedFor = forParam_required_text ? castAndEscape(forParam_required_text) : null;
-    const valueForScriptFor = castedFor && typeof castedFor === 'string' && !castedFor.startsWith('{') && !castedFor.startsWith('date') ? `"${castedFor.replace(/"/g, "'")}"` : castedFor;
-
-    // Helper function to build properties record from individual property parameters
-    function buildPropertiesRecord(propertyParams) {
-      const definedProps = propertyParams.filter(p => p.value !== undefined && p.value !== null && p.value !== '');
-      if (definedProps.length === 0) return '';
-      const propStrings = definedProps.map(p => {
-        const castedValue = castAndEscape(p.value, p.type || null);
-        // For strings that got escaped, wrap in quotes and replace inner quotes
-        if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-          return `${p.prop}:"${castedValue.replace(/"/g, "'")}"`;
-        }
-        // For numbers, booleans, lists, records, dates - no quotes
-        return `${p.prop}:${castedValue}`;
-      });
-      return ` with properties {${propStrings.join(', ')}}`;
+  // notifications/cancelled: abort the request's script, if still running
+  async handleCancelled(request) {
+    const { requestId, reason } = request.params || {};
+    const controller = this.pending.get(requestId);
+    if (!controller) {
+      this.logger.debug('Cancellation for unknown or finished request', { requestId });
+      return;
     }
-
-    const script = `
-      tell application "Safari"
-        search the web for ${valueForScriptFor} in (${castedTab} of ${castedWindow})
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string,
-      for: forParam_required_text || null
-    };
-  }
-
-  async showBookmarks() {
-    const script = `
-      tell application "Safari"
-        show bookmarks
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script
-    };
+    this.logger.info('Cancelling request', { requestId, reason });
+    controller.abort(new CancelledError(reason ? `Request cancelled: ${reason}` : undefined));
   }
 
-  async showExtensionsPreferences(direct_parameter_required_text) {
-    if (direct_parameter_required_text === undefined || direct_parameter_required_text === null) {
-      throw new Error("direct_parameter_required_text is required");
-    }
-
-    const castedDirect_parameter = direct_parameter_required_text ? castAndEscape(direct_parameter_required_text) : null;
-
-    const script = `
-      tell application "Safari"
-        show extensions preferences "${castedDirect_parameter}"
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      direct_parameter: direct_parameter_required_text || null
+  async handleInitialize(request) {
+    const { protocolVersion } = request.params || {};
+    this.protocolVersion = negotiateProtocolVersion(protocolVersion);
+    this.logger.info('Negotiated protocol version', { requested: protocolVersion, version: this.protocolVersion });
+    return {
+      protocolVersion: this.protocolVersion,
+      capabilities: {
+        tools: {},
+        resources: {
+          subscribe: true,
+          listChanged: true
+        },
+        prompts: {},
+        logging: {},
+        completions: {}
+      },
+      serverInfo: {
+        name: 'safari-applescript',
+        version: '0.1.0'
+      }
     };
   }
 
-  async dispatchMessageToExtension(direct_parameter_required_any) {
-    if (direct_parameter_required_any === undefined || direct_parameter_required_any === null) {
-      throw new Error("direct_parameter_required_any is required");
+  async handleLoggingSetLevel(request) {
+    const { level } = request.params || {};
+    if (!isLevel(level)) {
+      throw new JsonRpcError(INVALID_PARAMS, `Invalid log level ${JSON.stringify(level)}; expected one of: ${LEVELS.join(', ')}`);
     }
-
-    const castedDirect_parameter = direct_parameter_required_any ? castAndEscape(direct_parameter_required_any) : null;
-
-    const script = `
-      tell application "Safari"
-        dispatch message to extension ${castedDirect_parameter}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      direct_parameter: direct_parameter_required_any || null
-    };
+    this.logger.setLevel(level);
+    return {};
   }
 
-  async syncAllPlistToDisk() {
-    const script = `
-      tell application "Safari"
-        sync all plist to disk
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script
-    };
+  async handleInitialized(request) {
+    this.initialized = true;
   }
 
-  async showPrivacyReport() {
-    const script = `
-      tell application "Safari"
-        show privacy report
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script
-    };
+  // Whether the negotiated protocol version has an optional feature
+  supports(feature) {
+    return this.protocolVersion >= FEATURE_VERSIONS[feature];
   }
 
-  async showCreditCardSettings() {
-    const script = `
-      tell application "Safari"
-        show credit card settings
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
+  async handleToolsList(request) {
     return {
-      success: result !== "Error",
-      message: result,
-      script: script
+      tools: this.tools.map(tool => {
+        const listed = {
+          name: tool.name,
+          description: tool.description,
+          inputSchema: tool.inputSchema
+        };
+        if (this.supports('annotations')) listed.annotations = tool.annotations;
+        if (this.supports('structuredContent')) listed.outputSchema = tool.outputSchema;
+        return listed;
+      })
     };
   }
 
-  async getCurrentTabOfWindow(target_window_required_string) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Safari"
-        return current tab of ${escapedWindow}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      window: target_window_required_string
-    };
-  }
+  async handleToolsCall(request, context = {}) {
+    const params = request.params || {};
+    const { name } = params;
+    const args = params.arguments === undefined ? {} : params.arguments;
+    this.logger.debug('Calling tool', { tool: name });
 
-  async setCurrentTabOfWindow(target_window_required_string, value_required_tab) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
+    if (typeof name !== 'string') {
+      throw new JsonRpcError(INVALID_PARAMS, 'Invalid params: name must be a string');
     }
-    if (value_required_tab === undefined || value_required_tab === null) {
-      throw new Error("value_required_tab is required");
+    const tool = this.toolsByName.get(name);
+    if (!tool) {
+      throw new JsonRpcError(INVALID_PARAMS, `Unknown tool: ${name}`);
     }
-
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_tab, 'tab');
-    // Determine value format for AppleScript
-    let valueForScript;
-    // Property type 'tab' is a class reference - treat as object
-    valueForScript = castedValue; // Object reference - no quotes
-
-    const script = `
-      tell application "Safari"
-        set current tab of ${castedWindow} to ${valueForScript}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_tab,
-      script: script,
-      window: target_window_required_string
-    };
+    return toolContent(await this.callTool(tool, args, context.signal), this.supports('structuredContent'));
   }
 
-  async getSourceOfDocument(target_document_required_string) {
-    if (!target_document_required_string || typeof target_document_required_string !== "string") {
-      throw new Error("target_document_required_string is required and must be a string");
+  // Run `tool` for tools/call and for prompts, resolving to its result
+  // object; a failed run resolves to {success: false, error, code, ...}
+  async callTool(tool, args, signal) {
+    // Arguments are checked and the script built before anything runs, so
+    // bad arguments are a protocol error rather than a failed call
+    let script;
+    try {
+      tool.check(args);
+      if (!tool.run) {
+        script = tool.script(args);
+      }
+    } catch (error) {
+      throw new JsonRpcError(INVALID_PARAMS, `Invalid arguments for tool ${tool.name}: ${error.message}`, { tool: tool.name });
     }
 
-    const escapedDocument = escapeForAppleScript(target_document_required_string);
-
-    const script = `
-      tell application "Safari"
-        return source of ${escapedDocument}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      document: target_document_required_string
-    };
-  }
+    try {
+      // Check app availability for every tool that runs a script
+      if (!tool.run) {
+        const isSafariAvailable = await checkSafariAvailable(this.executor, { signal, logger: this.logger, priority: 'high' });
+        if (!isSafariAvailable) {
+          return Object.assign({
+            success: false,
+            error: 'Application is not available or not running',
+            number: -600
+          }, ERROR_CODES['-600']);
+        }
+      }
 
-  async getUrlOfDocument(target_document_required_string) {
-    if (!target_document_required_string || typeof target_document_required_string !== "string") {
-      throw new Error("target_document_required_string is required and must be a string");
+      return await this.runTool(tool, args, script, signal);
+    } catch (error) {
+      if (error instanceof CancelledError) throw error;
+      this.logger.error(`Tool ${tool.name} failed`, Object.assign({ error: error.message }, errorDetails(error)));
+      return Object.assign({
+        success: false,
+        error: error.message
+      }, errorDetails(error), {
+        tool: tool.name,
+        args
+      });
     }
-
-    const escapedDocument = escapeForAppleScript(target_document_required_string);
-
-    const script = `
-      tell application "Safari"
-        return URL of ${escapedDocument}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      document: target_document_required_string
-    };
   }
 
-  async setUrlOfDocument(target_document_required_string, value_required_text) {
-    if (!target_document_required_string || typeof target_document_required_string !== "string") {
-      throw new Error("target_document_required_string is required and must be a string");
-    }
-    if (value_required_text === undefined || value_required_text === null) {
-      throw new Error("value_required_text is required");
-    }
-
-    const castedDocument = castAndEscape(target_document_required_string, 'string');
-    const castedValue = castAndEscape(value_required_text, 'text');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Safari"
-        set URL of ${castedDocument} to ${valueForScript}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_text,
-      script: script,
-      document: target_document_required_string
-    };
+  async handleResourcesList(request, context = {}) {
+    const resources = await listResources(this.registry, this.executor, { signal: context.signal, logger: this.logger });
+    this.monitor.watchList();
+    return { resources };
   }
 
-  async getTextOfDocument(target_document_required_string) {
-    if (!target_document_required_string || typeof target_document_required_string !== "string") {
-      throw new Error("target_document_required_string is required and must be a string");
-    }
-
-    const escapedDocument = escapeForAppleScript(target_document_required_string);
-
-    const script = `
-      tell application "Safari"
-        return text of ${escapedDocument}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
+  async handleResourceTemplatesList(request) {
     return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      document: target_document_required_string
+      resourceTemplates: RESOURCE_TEMPLATES
     };
   }
 
-  async getSourceOfTabOfWindow(target_tab_required_string, target_window_required_string) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedTab = escapeForAppleScript(target_tab_required_string);
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Safari"
-        return source of ${escapedTab} of ${escapedWindow}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
+  async handleResourcesRead(request, context = {}) {
+    const { uri } = request.params || {};
+    return readResource(this.registry, this.executor, uri, { signal: context.signal, logger: this.logger });
   }
 
-  async getUrlOfTabOfWindow(target_tab_required_string, target_window_required_string) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedTab = escapeForAppleScript(target_tab_required_string);
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Safari"
-        return URL of ${escapedTab} of ${escapedWindow}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
+  async handleResourcesSubscribe(request) {
+    const { uri } = request.params || {};
+    this.logger.debug('Subscribing', { uri });
+    await this.monitor.subscribe(uri);
+    return {};
   }
 
-  async setUrlOfTabOfWindow(target_tab_required_string, target_window_required_string, value_required_text) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-    if (value_required_text === undefined || value_required_text === null) {
-      throw new Error("value_required_text is required");
-    }
-
-    const castedTab = castAndEscape(target_tab_required_string, 'string');
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_text, 'text');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Safari"
-        set URL of ${castedTab} of ${castedWindow} to ${valueForScript}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_text,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
+  async handleResourcesUnsubscribe(request) {
+    const { uri } = request.params || {};
+    this.logger.debug('Unsubscribing', { uri });
+    this.monitor.unsubscribe(uri);
+    return {};
   }
 
-  async getIndexOfTabOfWindow(target_tab_required_string, target_window_required_string) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedTab = escapeForAppleScript(target_tab_required_string);
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Safari"
-        return index of ${escapedTab} of ${escapedWindow}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
+  async handlePromptsList(request) {
     return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
+      prompts: PROMPTS.map(prompt => ({
+        name: prompt.name,
+        description: prompt.description,
+        arguments: prompt.arguments
+      }))
     };
   }
 
-  async getTextOfTabOfWindow(target_tab_required_string, target_window_required_string) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedTab = escapeForAppleScript(target_tab_required_string);
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Safari"
-        return text of ${escapedTab} of ${escapedWindow}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
-  }
+  async handlePromptsGet(request, context = {}) {
+    const params = request.params || {};
+    const args = params.arguments || {};
 
-  async getVisibleOfTabOfWindow(target_tab_required_string, target_window_required_string) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
+    const prompt = PROMPTS.find(candidate => candidate.name === params.name);
+    if (!prompt) {
+      throw new JsonRpcError(INVALID_PARAMS, `Unknown prompt: ${params.name}`);
     }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
+    for (const argument of prompt.arguments) {
+      if (argument.required && (args[argument.name] === undefined || args[argument.name] === '')) {
+        throw new JsonRpcError(INVALID_PARAMS, `Missing required argument ${argument.name} for prompt ${prompt.name}`);
+      }
     }
 
-    const escapedTab = escapeForAppleScript(target_tab_required_string);
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Safari"
-        return visible of ${escapedTab} of ${escapedWindow}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
+    // Prompts read Safari through the tools, as tools/call runs them:
+    // arguments a tool rejects fail the prompt with INVALID_PARAMS, and a
+    // failed call with the tool's failure fields as the error data
+    const callTool = async (name, toolArgs) => {
+      const result = await this.callTool(this.toolsByName.get(name), toolArgs, context.signal);
+      if (!result.success) {
+        throw new JsonRpcError(INTERNAL_ERROR, `${name} failed: ${result.error || result.message}`, result);
+      }
+      return result;
     };
+    return prompt.render(args, callTool);
   }
 
-  async getNameOfTabOfWindow(target_tab_required_string, target_window_required_string) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
+  // `ref` names a prompt, a resource template or (beyond the MCP spec, which
+  // completes only those two) a tool
+  async handleCompletionComplete(request, context = {}) {
+    const { ref, argument, context: completionContext } = request.params || {};
+    if (!ref || !argument || typeof argument.name !== 'string') {
+      throw new JsonRpcError(INVALID_PARAMS, 'Invalid params: ref and argument.name are required');
     }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
+    let target;
+    switch (ref.type) {
+      case 'ref/prompt': {
+        const prompt = PROMPTS.find(candidate => candidate.name === ref.name);
+        if (!prompt) throw new JsonRpcError(INVALID_PARAMS, `Unknown prompt: ${ref.name}`);
+        target = { kind: 'prompt', prompt };
+        break;
+      }
+      case 'ref/resource': {
+        const template = RESOURCE_TEMPLATES.find(candidate => candidate.uriTemplate === ref.uri);
+        if (!template) throw new JsonRpcError(INVALID_PARAMS, `Unknown resource template: ${ref.uri}`);
+        target = { kind: 'resource', template };
+        break;
+      }
+      case 'ref/tool': {
+        const tool = this.toolsByName.get(ref.name);
+        if (!tool) throw new JsonRpcError(INVALID_PARAMS, `Unknown tool: ${ref.name}`);
+        target = { kind: 'tool', tool };
+        break;
+      }
+      default:
+        throw new JsonRpcError(INVALID_PARAMS, `Unknown reference type: ${ref.type}`);
     }
-
-    const escapedTab = escapeForAppleScript(target_tab_required_string);
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Safari"
-        return name of ${escapedTab} of ${escapedWindow}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
+    const known = (completionContext && completionContext.arguments) || {};
     return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
+      completion: await complete(this.registry, this.executor, target, argument, known, { signal: context.signal, logger: this.logger })
     };
   }
 
-  async getPidOfTabOfWindow(target_tab_required_string, target_window_required_string) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
+  // Run a local tool, or execute the tool's script and shape the output.
+  // The script is retried as the tool's retry class allows; the number of
+  // attempts goes into the result, or onto the error.
+  async runTool(tool, args, script, signal) {
+    if (tool.run) {
+      return tool.run(args);
     }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
+    script = script || tool.script(args);
+    let attempts = 0;
+    let output;
+    try {
+      output = await this.executor.execute(script, {
+        signal,
+        logger: this.logger,
+        retry: tool.retry,
+        priority: tool.priority,
+        // timeout_ms bounds the whole call, time queued and retries
+        // included; without it the scheduler's budget does
+        timeout: args.timeout_ms || tool.timeout,
+        budget: args.timeout_ms || this.scheduler.budget,
+        onAttempt: attempt => { attempts = attempt; }
+      });
+    } catch (error) {
+      if (error instanceof AppleScriptError && !error.attempts) error.attempts = attempts;
+      throw error;
     }
+    return Object.assign(tool.result(output, args, script), { attempts });
+  }
 
-    const escapedTab = escapeForAppleScript(target_tab_required_string);
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Safari"
-        return pid of ${escapedTab} of ${escapedWindow}
-      end tell
-    `;
+  // Notifications are written without logging, since log messages are
+  // notifications themselves
+  sendNotification(method, params) {
+    this.output.write(JSON.stringify({ jsonrpc: '2.0', method, params }) + '\n');
+  }
 
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
+  // Stop background work such as resource polling
+  close() {
+    this.monitor.stop();
   }
 
   sendResponse(response) {
     const responseStr = JSON.stringify(response);
-    console.error("Sending response:", response.method || 'result', response.id);
-    process.stdout.write(responseStr + '\n');
+    if (Array.isArray(response)) {
+      this.logger.debug('Sending batch response', { ids: response.map(item => item.id) });
+    } else {
+      this.logger.debug(`Sending ${response.error ? 'error' : 'result'}`, { id: response.id });
+    }
+    this.output.write(responseStr + '\n');
+  }
+}
+
+// Pick the executor backend from SAFARI_MCP_EXECUTOR: 'worker' (default)
+// keeps one osascript process running, 'osascript' starts one per script and
+// 'simulator' runs without Safari. SAFARI_MCP_TIMEOUT_BUDGET caps the ms one
+// script may take across all its retries.
+function createExecutorFromEnv(env = process.env) {
+  const backend = (env.SAFARI_MCP_EXECUTOR || 'worker').toLowerCase();
+  const budget = Number(env.SAFARI_MCP_TIMEOUT_BUDGET) || undefined;
+  switch (backend) {
+    case 'worker':
+      return createWorkerExecutor({ budget });
+    case 'osascript':
+      return createOsascriptExecutor({ budget });
+    case 'simulator':
+      return createSimulatorExecutor(new SafariSimulator({
+        windows: [{ tabs: [{ url: 'https://www.apple.com/' }] }]
+      }));
+    default:
+      throw new Error(`Unknown SAFARI_MCP_EXECUTOR backend: ${backend}`);
   }
 }
 
+// Transport settings from the command line, falling back to the environment:
+//   --http, SAFARI_MCP_TRANSPORT=http   serve Streamable HTTP instead of stdio
+//   --host, SAFARI_MCP_HOST             bind address (default 127.0.0.1)
+//   --port, SAFARI_MCP_PORT             port (default 3000); implies --http
+//   SAFARI_MCP_TOKEN                    bearer token HTTP clients must send;
+//                                       required unless bound to loopback
+function parseTransportOptions(argv = process.argv.slice(2), env = process.env) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      http: { type: 'boolean' },
+      host: { type: 'string' },
+      port: { type: 'string' }
+    },
+    strict: true
+  });
+  const port = values.port !== undefined ? values.port : env.SAFARI_MCP_PORT;
+  const http = values.http || values.port !== undefined || (env.SAFARI_MCP_TRANSPORT || '').toLowerCase() === 'http';
+  if (port !== undefined && !/^\d+$/.test(String(port))) {
+    throw new Error(`Invalid port: ${port}`);
+  }
+  return {
+    transport: http ? 'http' : 'stdio',
+    host: values.host || env.SAFARI_MCP_HOST || DEFAULT_HOST,
+    port: port !== undefined ? Number(port) : DEFAULT_PORT,
+    token: env.SAFARI_MCP_TOKEN || null
+  };
+}
+
 // Start the server
 async function startServer() {
-  console.error("Testing Safari availability...");
-  await checkSafariAvailable();
-  
-  console.error("Creating Safari MCP server...");
-  const server = new SafariMCPServer();
+  const logger = new Logger();
+  logger.info('Safari AppleScript MCP server starting');
+  const transport = parseTransportOptions();
+  // One queue for every client; SAFARI_MCP_CONCURRENCY scripts run at once,
+  // except on the worker, which runs one
+  const concurrency = Number(process.env.SAFARI_MCP_CONCURRENCY) || undefined;
+  const executor = new Scheduler(createExecutorFromEnv(), { concurrency });
+  if (concurrency > executor.concurrency) {
+    logger.notice('SAFARI_MCP_CONCURRENCY is capped for this executor', { executor: executor.name, concurrency: executor.concurrency });
+  }
+
+  logger.info('Testing Safari availability');
+  try {
+    if (!(await checkSafariAvailable(executor, { logger }))) logger.warning('Safari is not running');
+  } catch (error) {
+    logger.warning('Safari availability check failed', { error: error.message, code: error.code });
+  }
   
-  console.error("Safari AppleScript MCP server running on stdio");
+  const serverOptions = {
+    executor,
+    registry: loadRegistry(),
+    pollInterval: Number(process.env.SAFARI_MCP_POLL_INTERVAL) || undefined
+  };
+  let shutdown;
+  if (transport.transport === 'http') {
+    const httpTransport = new HttpTransport({
+      host: transport.host,
+      port: transport.port,
+      token: transport.token,
+      logger,
+      createServer: (output, session) => new SafariMCPServer(Object.assign({}, serverOptions, { output, stdio: false, clientId: session }))
+    });
+    await httpTransport.listen();
+    shutdown = () => {
+      httpTransport.close();
+      executor.close();
+    };
+  } else {
+    const server = new SafariMCPServer(serverOptions);
+    logger.info('Safari AppleScript MCP server running on stdio');
+    shutdown = () => {
+      server.close();
+      executor.close();
+    };
+  }
   
   // Keep the process alive
   process.on('SIGINT', () => {
-    console.error("Shutting down Safari AppleScript MCP server");
+    logger.info('Shutting down Safari AppleScript MCP server');
+    shutdown();
     process.exit(0);
   });
   
   process.on('SIGTERM', () => {
-    console.error("Shutting down Safari AppleScript MCP server");
+    logger.info('Shutting down Safari AppleScript MCP server');
+    shutdown();
     process.exit(0);
   });
 }
 
-startServer().catch(error => {
-  console.error("Fatal error starting server:", error);
-  process.exit(1);
-});
+if (require.main === module) {
+  startServer().catch(error => {
+    console.error("Fatal error starting server:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  SafariMCPServer,
+  startServer,
+  parseTransportOptions,
+  HttpTransport,
+  createExecutorFromEnv,
+  createOsascriptExecutor,
+  createFakeExecutor,
+  createSimulatorExecutor,
+  SafariSimulator,
+  loadRegistry
+};
@@ -0,0 +1,77 @@
+// JSON-RPC 2.0 framing: error codes, request validation and response
+// envelopes. The server's handlers return results or throw; everything that
+// goes on the wire is built here.
+
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+class JsonRpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'JsonRpcError';
+    this.code = code;
+    if (data !== undefined) this.data = data;
+  }
+}
+
+function isValidId(id) {
+  return id === null || typeof id === 'string' || (typeof id === 'number' && Number.isFinite(id));
+}
+
+// Notifications carry no id and never get a response, not even an error
+function isNotification(message) {
+  return Boolean(message) && typeof message === 'object' && !Array.isArray(message) && !('id' in message);
+}
+
+// Throws INVALID_REQUEST for anything that is not a well-formed request or
+// notification
+function validateRequest(message) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    throw new JsonRpcError(INVALID_REQUEST, 'Invalid Request: expected an object');
+  }
+  if (message.jsonrpc !== '2.0') {
+    throw new JsonRpcError(INVALID_REQUEST, 'Invalid Request: jsonrpc must be "2.0"');
+  }
+  if (typeof message.method !== 'string' || !message.method) {
+    throw new JsonRpcError(INVALID_REQUEST, 'Invalid Request: method must be a non-empty string');
+  }
+  if ('id' in message && !isValidId(message.id)) {
+    throw new JsonRpcError(INVALID_REQUEST, 'Invalid Request: id must be a string, number or null');
+  }
+  if ('params' in message && (!message.params || typeof message.params !== 'object')) {
+    throw new JsonRpcError(INVALID_REQUEST, 'Invalid Request: params must be an object or array');
+  }
+}
+
+// The id to answer with; null when the request's own id is unusable
+function responseId(message) {
+  return message && typeof message === 'object' && isValidId(message.id) ? message.id : null;
+}
+
+function resultResponse(id, result) {
+  return { jsonrpc: '2.0', id, result };
+}
+
+function errorResponse(id, error) {
+  const code = error instanceof JsonRpcError ? error.code : INTERNAL_ERROR;
+  const body = { code, message: error.message || String(error) };
+  if (error instanceof JsonRpcError && error.data !== undefined) body.data = error.data;
+  return { jsonrpc: '2.0', id, error: body };
+}
+
+module.exports = {
+  PARSE_ERROR,
+  INVALID_REQUEST,
+  METHOD_NOT_FOUND,
+  INVALID_PARAMS,
+  INTERNAL_ERROR,
+  JsonRpcError,
+  isNotification,
+  validateRequest,
+  responseId,
+  resultResponse,
+  errorResponse
+};
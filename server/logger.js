@@ -0,0 +1,75 @@
+// Leveled logging for the MCP `logging` capability.
+//
+// Messages at or above the client's level (set with logging/setLevel) are
+// sent as notifications/message. Nothing is written to stderr unless
+// SAFARI_MCP_LOG_STDERR names a level ("debug", "info", ...) or is "1"/"true"
+// for info; stdout carries the protocol and is never logged to.
+
+// RFC 5424 severities, least severe first, as MCP uses them
+const LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+// Level sent to clients that never call logging/setLevel
+const DEFAULT_LEVEL = 'warning';
+
+function isLevel(level) {
+  return LEVELS.includes(level);
+}
+
+// Level for stderr output from the environment; null when disabled
+function stderrLevelFromEnv(env = process.env) {
+  const value = String(env.SAFARI_MCP_LOG_STDERR || '').trim().toLowerCase();
+  if (!value || value === '0' || value === 'false') return null;
+  if (value === '1' || value === 'true') return 'info';
+  return isLevel(value) ? value : 'info';
+}
+
+class Logger {
+  // notify(params) sends a notifications/message; stderrLevel null disables
+  // stderr output
+  constructor(options = {}) {
+    this.name = options.name || 'safari-applescript';
+    this.level = options.level || DEFAULT_LEVEL;
+    this.stderrLevel = options.stderrLevel !== undefined ? options.stderrLevel : stderrLevelFromEnv();
+    this.notify = options.notify || null;
+  }
+
+  setLevel(level) {
+    if (!isLevel(level)) {
+      throw new Error(`Unknown log level ${JSON.stringify(level)}; expected one of: ${LEVELS.join(', ')}`);
+    }
+    this.level = level;
+  }
+
+  // `data` is structured detail, e.g. {script} or {error}
+  log(level, message, data) {
+    const severity = LEVELS.indexOf(level);
+    if (this.stderrLevel && severity >= LEVELS.indexOf(this.stderrLevel)) {
+      if (data === undefined) {
+        console.error(`[${level}] ${message}`);
+      } else {
+        console.error(`[${level}] ${message}`, data);
+      }
+    }
+    if (this.notify && severity >= LEVELS.indexOf(this.level)) {
+      this.notify({
+        level,
+        logger: this.name,
+        data: data === undefined ? message : Object.assign({ message }, data)
+      });
+    }
+  }
+
+  debug(message, data) { this.log('debug', message, data); }
+  info(message, data) { this.log('info', message, data); }
+  notice(message, data) { this.log('notice', message, data); }
+  warning(message, data) { this.log('warning', message, data); }
+  error(message, data) { this.log('error', message, data); }
+}
+
+module.exports = {
+  LEVELS,
+  DEFAULT_LEVEL,
+  Logger,
+  isLevel,
+  stderrLevelFromEnv
+};
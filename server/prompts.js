@@ -0,0 +1,138 @@
+// MCP prompts: parameterized workflows built on the server's own tools.
+//
+// Each prompt declares its arguments and a render(args, callTool) that
+// returns the prompt messages. callTool(name, args) runs a tool exactly as a
+// tools/call would and resolves to its result object, so page content is
+// fetched when the prompt is requested and embedded in the messages.
+
+const { tabUri } = require('./resources');
+
+// Page text beyond these lengths is cut to keep prompts within context
+const MAX_PAGE_TEXT = 20000;
+const MAX_COMPARED_TEXT = 4000;
+const MAX_COMPARED_TABS = 10;
+
+const WINDOW_ARGUMENT = {
+  name: 'window',
+  description: 'Window to use (e.g., "front window", "window id 4512"); defaults to the front window',
+  required: false
+};
+
+function truncate(text, limit) {
+  const value = text === null || text === undefined ? '' : String(text);
+  return value.length > limit ? `${value.slice(0, limit)}\n[… ${value.length - limit} more characters]` : value;
+}
+
+function userText(text) {
+  return { role: 'user', content: { type: 'text', text } };
+}
+
+// Read the window's current tab: its address as a resource and its contents
+async function readCurrentTab(callTool, window) {
+  const current = await callTool('get_current_tab_of_window', { target_window_required_string: window });
+  const tab = current.value;
+  if (!tab || typeof tab !== 'object' || !tab.window || tab.window.id === undefined) {
+    throw new Error(`${window} has no current tab`);
+  }
+  const target = {
+    target_tab_required_string: `tab ${tab.index}`,
+    target_window_required_string: `window id ${tab.window.id}`
+  };
+  const [name, url, text] = await Promise.all([
+    callTool('get_name_of_tab_of_window', target),
+    callTool('get_url_of_tab_of_window', target),
+    callTool('get_text_of_tab_of_window', target)
+  ]);
+  return {
+    uri: tabUri(tab.window.id, tab.index, 'text'),
+    name: name.value,
+    url: url.value,
+    text: text.value
+  };
+}
+
+const PROMPTS = [
+  {
+    name: 'summarize_current_tab',
+    description: 'Summarize the page in the current tab of a window.',
+    arguments: [
+      WINDOW_ARGUMENT,
+      { name: 'focus', description: 'What the summary should concentrate on', required: false }
+    ],
+    async render(args, callTool) {
+      const page = await readCurrentTab(callTool, args.window || 'front window');
+      const focus = args.focus ? ` Concentrate on: ${args.focus}.` : '';
+      return {
+        description: `Summarize "${page.name}"`,
+        messages: [
+          userText(`Summarize the web page "${page.name}" (${page.url}). Its text follows.${focus}`),
+          {
+            role: 'user',
+            content: {
+              type: 'resource',
+              resource: { uri: page.uri, mimeType: 'text/plain', text: truncate(page.text, MAX_PAGE_TEXT) }
+            }
+          }
+        ]
+      };
+    }
+  },
+  {
+    name: 'compare_tabs',
+    description: 'Compare the pages open in the tabs of a window.',
+    arguments: [WINDOW_ARGUMENT],
+    async render(args, callTool) {
+      const window = args.window || 'front window';
+      const counted = await callTool('count_tab_of_window', { target_window_required_string: window });
+      const count = Math.min(Number(counted.message) || 0, MAX_COMPARED_TABS);
+      if (count === 0) {
+        throw new Error(`${window} has no tabs`);
+      }
+      const sections = [];
+      for (let index = 1; index <= count; index++) {
+        const target = { target_tab_required_string: `tab ${index}`, target_window_required_string: window };
+        const [name, url, text] = await Promise.all([
+          callTool('get_name_of_tab_of_window', target),
+          callTool('get_url_of_tab_of_window', target),
+          callTool('get_text_of_tab_of_window', target)
+        ]);
+        sections.push(`## Tab ${index}: ${name.value}\n${url.value}\n\n${truncate(text.value, MAX_COMPARED_TEXT)}`);
+      }
+      const skipped = Number(counted.message) > count ? ` Only the first ${count} tabs are included.` : '';
+      return {
+        description: `Compare ${count} tabs of ${window}`,
+        messages: [
+          userText(`Compare the following ${count} web pages open in ${window}. Point out what they have in common, where they differ or disagree, and which is most useful.${skipped}\n\n${sections.join('\n\n')}`)
+        ]
+      };
+    }
+  },
+  {
+    name: 'research_topic',
+    description: 'Research a topic by searching the web in Safari and reading the results.',
+    arguments: [
+      { name: 'topic', description: 'Topic or question to research', required: true },
+      { name: 'sources', description: 'Number of results to read (default 3)', required: false }
+    ],
+    async render(args) {
+      const sources = Math.max(1, Math.min(Number(args.sources) || 3, MAX_COMPARED_TABS));
+      return {
+        description: `Research "${args.topic}"`,
+        messages: [
+          userText([
+            `Research the following topic using Safari: ${args.topic}`,
+            '',
+            `1. Call search_the_web with forParam_required_text set to a good search query.`,
+            `2. Read the results page with get_text_of_tab_of_window (target_tab_required_string "current tab", target_window_required_string "front window") and pick the ${sources} most relevant links.`,
+            '3. Open each link with set_url_of_tab_of_window or make_tab_of_window and read it with get_text_of_tab_of_window.',
+            '4. Write a summary of what you found, citing the URL of every source.'
+          ].join('\n'))
+        ]
+      };
+    }
+  }
+];
+
+module.exports = {
+  PROMPTS
+};
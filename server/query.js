@@ -0,0 +1,232 @@
+// The query tool: find objects by predicate in one round trip.
+//
+// Filters compile into a whose clause over every element of the class, e.g.
+// `every tab of every window whose URL contains "github.com"`, and the
+// requested properties are fetched in the same script. Regular expressions
+// have no AppleScript equivalent, so `matches` filters run here on the
+// fetched values instead.
+
+const { decodeAppleScriptValue, toRectangle } = require('./values');
+const { buildSpecifier, testableProperties } = require('./specifiers');
+const { defineTool, encodeArgument } = require('./tools');
+
+// Filter operator → AppleScript comparison; null means evaluated in Node
+const OPERATORS = {
+  'equals': 'is',
+  'not equals': 'is not',
+  'contains': 'contains',
+  'does not contain': 'does not contain',
+  'begins with': 'begins with',
+  'ends with': 'ends with',
+  'matches': null
+};
+
+// Regular expression flags a `matches` filter accepts. g and y make test()
+// resume from the last match, so they are dropped: each value is tested
+// from its start.
+const REGEXP_FLAGS = 'imsuv';
+const STATEFUL_FLAGS = /[gy]/g;
+
+function parseList(value, name) {
+  if (value === undefined || value === null || value === '') return [];
+  let list = value;
+  if (typeof value === 'string') {
+    try {
+      list = JSON.parse(value);
+    } catch (error) {
+      throw new Error(`${name} must be a JSON array`);
+    }
+  }
+  if (!Array.isArray(list)) {
+    throw new Error(`${name} must be an array`);
+  }
+  return list;
+}
+
+// Validate filters against the class model
+function compileFilters(registry, cls, value) {
+  return parseList(value, 'filters_optional_list').map((filter, index) => {
+    const where = `filters_optional_list[${index}]`;
+    if (!filter || typeof filter !== 'object') {
+      throw new Error(`${where} must be an object with property, operator and value`);
+    }
+    const property = registry.property(cls, filter.property || '');
+    if (!property) {
+      const names = registry.properties(cls).map(candidate => candidate.name);
+      throw new Error(`${where}: ${cls} has no property ${JSON.stringify(filter.property)}; expected one of: ${names.join(', ')}`);
+    }
+    const operator = String(filter.operator || '').toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(OPERATORS, operator)) {
+      throw new Error(`${where}: unknown operator ${JSON.stringify(filter.operator)}; expected one of: ${Object.keys(OPERATORS).join(', ')}`);
+    }
+    if (filter.value === undefined || filter.value === null) {
+      throw new Error(`${where}: value is required`);
+    }
+    if (operator === 'matches') {
+      const flags = String(filter.flags || '').replace(STATEFUL_FLAGS, '');
+      const unknown = [...flags].find(flag => !REGEXP_FLAGS.includes(flag));
+      if (unknown) {
+        throw new Error(`${where}: unknown regular expression flag ${JSON.stringify(unknown)}; expected any of: ${[...REGEXP_FLAGS].join(', ')}`);
+      }
+      let pattern;
+      try {
+        pattern = new RegExp(String(filter.value), flags);
+      } catch (error) {
+        throw new Error(`${where}: ${error.message}`);
+      }
+      return { property, operator, pattern };
+    }
+    const encoded = encodeArgument(registry, { name: where, type: property.type }, filter.value);
+    return { property, operator, test: `${property.name} ${OPERATORS[operator]} ${encoded}` };
+  });
+}
+
+function selectProperties(registry, cls, value, filters) {
+  const requested = parseList(value, 'properties_optional_list_of_text');
+  const names = requested.length ? requested : testableProperties(registry, cls);
+  const properties = names.map(name => {
+    const property = registry.property(cls, name);
+    if (!property) {
+      throw new Error(`${cls} has no property ${JSON.stringify(name)}`);
+    }
+    return property;
+  });
+  // Regex filters need their property fetched
+  for (const filter of filters) {
+    if (filter.pattern && !properties.includes(filter.property)) properties.push(filter.property);
+  }
+  return properties;
+}
+
+// `every tab of every window`, optionally filtered
+function elementsExpression(registry, cls, filters) {
+  const expression = registry.path(cls).map(name => `every ${name}`).join(' of ');
+  const tests = filters.filter(filter => filter.test).map(filter => filter.test);
+  return tests.length ? `(${expression} whose ${tests.join(' and ')})` : `(${expression})`;
+}
+
+// Results come back nested one list per container level
+function flatten(value, depth) {
+  if (!Array.isArray(value)) return value === null || value === undefined ? [] : [value];
+  if (depth <= 0) return value;
+  return value.reduce((items, item) => items.concat(flatten(item, depth - 1)), []);
+}
+
+function buildQueryTool(registry) {
+  const classes = registry.elementClasses();
+  const prepare = args => {
+    const cls = String(args.class_name_required_text).trim().toLowerCase();
+    if (!classes.includes(cls)) {
+      throw new Error(`Cannot query ${JSON.stringify(args.class_name_required_text)}; expected one of: ${classes.join(', ')}`);
+    }
+    const filters = compileFilters(registry, cls, args.filters_optional_list);
+    const properties = selectProperties(registry, cls, args.properties_optional_list_of_text, filters);
+    return { cls, filters, properties };
+  };
+
+  const tool = defineTool(registry, {
+    name: 'query',
+    description: 'Find tabs, windows or documents whose properties match filters (equals, not equals, contains, does not contain, begins with, ends with, matches regex) in a single script, returning each match\'s specifier and properties.',
+    kind: 'query',
+    // Filtering on text or source reads every page
+    timeout: 30000,
+    arguments: [
+      {
+        name: 'class_name_required_text',
+        key: 'class_name',
+        type: 'text',
+        optional: false,
+        schema: {
+          type: 'string',
+          enum: classes,
+          description: 'Class of the objects to find'
+        }
+      },
+      {
+        name: 'filters_optional_list',
+        key: 'filters',
+        type: 'list',
+        optional: true,
+        schema: {
+          type: 'array',
+          description: 'Filters that must all match, e.g. [{"property": "URL", "operator": "contains", "value": "github.com"}]. "matches" takes a JavaScript regular expression and optional "flags" (i, m, s, u, v).',
+          items: {
+            type: 'object',
+            properties: {
+              property: { type: 'string' },
+              operator: { type: 'string', enum: Object.keys(OPERATORS) },
+              value: {},
+              flags: { type: 'string' }
+            },
+            required: ['property', 'operator', 'value']
+          }
+        }
+      },
+      {
+        name: 'properties_optional_list_of_text',
+        key: 'properties',
+        type: 'list of text',
+        optional: true,
+        schema: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Properties to return for each match; defaults to a summary such as name, URL and index'
+        }
+      }
+    ],
+    output: {
+      class: { type: 'string' },
+      count: { type: 'number', description: 'Number of matches' },
+      matches: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            object: { type: 'string', description: 'The match as a specifier string, usable as a target argument' },
+            specifier: { type: 'object', description: 'The match as a parsed specifier' },
+            properties: { type: 'object', description: 'Requested properties by name' }
+          }
+        }
+      }
+    },
+    statement: args => {
+      const { cls, filters, properties } = prepare(args);
+      const elements = elementsExpression(registry, cls, filters);
+      const parts = [elements].concat(properties.map(property => `${property.name} of ${elements}`));
+      return `return {${parts.join(', ')}}`;
+    },
+    shape: (output, args, script) => {
+      const { cls, filters, properties } = prepare(args);
+      const depth = registry.path(cls).length - 1;
+      const decoded = decodeAppleScriptValue(output) || [];
+      const columns = (Array.isArray(decoded) ? decoded : []).map(column => flatten(column, depth));
+      const specifiers = columns[0] || [];
+      const matches = specifiers.map((specifier, row) => {
+        const values = {};
+        properties.forEach((property, column) => {
+          const value = (columns[column + 1] || [])[row];
+          values[property.name] = property.type === 'rectangle' ? toRectangle(value) : (value === undefined ? null : value);
+        });
+        return {
+          object: specifier && typeof specifier === 'object' && specifier.type ? buildSpecifier(specifier) : specifier,
+          specifier,
+          properties: values
+        };
+      }).filter(match => filters.every(filter =>
+        !filter.pattern || filter.pattern.test(String(match.properties[filter.property.name] === null ? '' : match.properties[filter.property.name]))));
+      return {
+        success: true,
+        class: cls,
+        count: matches.length,
+        matches,
+        script: script
+      };
+    }
+  });
+  return tool;
+}
+
+module.exports = {
+  OPERATORS,
+  buildQueryTool
+};
@@ -0,0 +1,114 @@
+// The scripting model of an application: its classes, properties, commands
+// and types, as read from an sdef. Tools, scripts and validation are all
+// derived from one Registry, so supporting a new property means adding it to
+// the dictionary rather than writing code for it.
+
+const { loadSdef, parseSdef, DEFAULT_SDEF } = require('./sdef');
+
+// Classes that stand for the application itself and are never targeted
+const ROOT_CLASS = 'application';
+
+class Registry {
+  // model: result of parseSdef; options.application: name used in `tell`
+  constructor(model, options = {}) {
+    this.title = model.title;
+    this.suites = model.suites;
+    this.classes = model.classes;
+    this.commands = model.commands;
+    this.enumerations = model.enumerations;
+    this.recordTypes = model.recordTypes;
+    this.application = options.application || 'Safari';
+  }
+
+  getClass(name) {
+    return this.classes[name] || null;
+  }
+
+  isClass(type) {
+    return Boolean(this.classes[type]);
+  }
+
+  getCommand(name) {
+    return this.commands[name] || null;
+  }
+
+  // Own and inherited properties, nearest declaration first
+  properties(className) {
+    const properties = [];
+    const seen = new Set();
+    for (let cls = this.getClass(className); cls; cls = cls.inherits ? this.getClass(cls.inherits) : null) {
+      for (const property of cls.properties) {
+        if (!seen.has(property.name)) {
+          seen.add(property.name);
+          properties.push(property);
+        }
+      }
+    }
+    return properties;
+  }
+
+  // Property lookup ignoring case and treating underscores as spaces
+  property(className, name) {
+    const wanted = String(name).replace(/_/g, ' ').toLowerCase();
+    return this.properties(className).find(property => property.name.toLowerCase() === wanted) || null;
+  }
+
+  // The class whose elements include `className`; null at the top level
+  containerOf(className) {
+    for (const cls of Object.values(this.classes)) {
+      if (cls.elements.some(element => element.type === className)) {
+        return cls.name === ROOT_CLASS ? null : cls.name;
+      }
+    }
+    return null;
+  }
+
+  // Containment chain from a class outwards, e.g. ['tab', 'window']
+  path(className) {
+    const chain = [];
+    for (let cls = className; cls && cls !== ROOT_CLASS; cls = this.containerOf(cls)) {
+      if (chain.includes(cls)) break;
+      chain.push(cls);
+    }
+    return chain;
+  }
+
+  // Classes that are elements of another class, alphabetically
+  elementClasses() {
+    const names = new Set();
+    for (const cls of Object.values(this.classes)) {
+      for (const element of cls.elements) {
+        if (this.isClass(element.type)) names.add(element.type);
+      }
+    }
+    return [...names].sort();
+  }
+
+  // Classes that respond to a command and can be targeted, alphabetically
+  respondents(commandName) {
+    return Object.values(this.classes)
+      .filter(cls => cls.name !== ROOT_CLASS && cls.respondsTo.includes(commandName))
+      .map(cls => cls.name)
+      .sort();
+  }
+
+  enumerators(type) {
+    const enumeration = this.enumerations[type];
+    return enumeration ? enumeration.enumerators.map(enumerator => enumerator.name) : null;
+  }
+}
+
+function createRegistry(xml, options) {
+  return new Registry(parseSdef(xml), options);
+}
+
+function loadRegistry(file = DEFAULT_SDEF, options) {
+  return new Registry(loadSdef(file), options);
+}
+
+module.exports = {
+  ROOT_CLASS,
+  Registry,
+  createRegistry,
+  loadRegistry
+};
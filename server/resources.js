@@ -0,0 +1,137 @@
+// Open tabs as MCP resources.
+//
+//   safari://window/<window id>/tab/<index>          summary (JSON)
+//   safari://window/<window id>/tab/<index>/text     page text
+//   safari://window/<window id>/tab/<index>/source   page HTML
+//   safari://window/<window id>/tab/<index>/url      page URL
+//
+// Windows are addressed by id so a URI keeps pointing at the same window when
+// others are opened or reordered; tabs by their index in that window.
+
+const { decodeAppleScriptValue } = require('./values');
+const { buildSpecifier } = require('./specifiers');
+const { tellScript, retryFor, timeoutFor } = require('./tools');
+const { JsonRpcError, INVALID_PARAMS } = require('./jsonrpc');
+
+// MCP's code for a resource that does not exist
+const RESOURCE_NOT_FOUND = -32002;
+
+const URI_PATTERN = /^safari:\/\/window\/(\d+)\/tab\/(\d+)(?:\/(text|source|url))?\/?$/;
+
+// Variant → what it reads and how it is served
+const VARIANTS = {
+  summary: { suffix: '', mimeType: 'application/json', description: 'Title and URL of the tab' },
+  text: { suffix: '/text', property: 'text', mimeType: 'text/plain', description: 'Text content of the page' },
+  source: { suffix: '/source', property: 'source', mimeType: 'text/html', description: 'HTML source of the page' },
+  url: { suffix: '/url', property: 'URL', mimeType: 'text/plain', description: 'URL of the page' }
+};
+
+const RESOURCE_TEMPLATES = Object.keys(VARIANTS).map(variant => ({
+  uriTemplate: `safari://window/{window_id}/tab/{tab_index}${VARIANTS[variant].suffix}`,
+  name: variant === 'summary' ? 'Safari tab' : `Safari tab ${variant}`,
+  description: `${VARIANTS[variant].description}, for the tab at {tab_index} (1-based) of the window with id {window_id}`,
+  mimeType: VARIANTS[variant].mimeType
+}));
+
+function tabUri(windowId, index, variant = 'summary') {
+  return `safari://window/${windowId}/tab/${index}${VARIANTS[variant].suffix}`;
+}
+
+// URI → {windowId, index, variant}; throws INVALID_PARAMS for anything else
+function parseTabUri(uri) {
+  const match = typeof uri === 'string' ? URI_PATTERN.exec(uri) : null;
+  if (!match || Number(match[2]) < 1) {
+    throw new JsonRpcError(INVALID_PARAMS, `Invalid resource URI ${JSON.stringify(uri)}; expected safari://window/<id>/tab/<index>[/text|/source|/url]`);
+  }
+  return { windowId: Number(match[1]), index: Number(match[2]), variant: match[3] || 'summary' };
+}
+
+function tabSpecifier(windowId, index) {
+  return buildSpecifier({ type: 'tab', index, window: { type: 'window', id: windowId } });
+}
+
+// Run a script reading `property`, with the time limit and retry class a
+// get tool for it would have
+function execute(executor, script, property, options) {
+  return executor.execute(script, {
+    signal: options.signal,
+    logger: options.logger,
+    priority: options.priority,
+    retry: retryFor('get'),
+    timeout: timeoutFor('get', null, property)
+  });
+}
+
+// Every open tab as {windowId, index, name, url}, in window order
+async function listTabs(registry, executor, options = {}) {
+  const script = tellScript(registry, 'return {id of every window, name of every tab of every window, URL of every tab of every window}');
+  const [ids, names, urls] = decodeAppleScriptValue(await execute(executor, script, 'URL', options)) || [];
+  const tabs = [];
+  (ids || []).forEach((windowId, position) => {
+    const windowNames = (names && names[position]) || [];
+    const windowUrls = (urls && urls[position]) || [];
+    windowNames.forEach((name, offset) => {
+      tabs.push({ windowId, index: offset + 1, name, url: windowUrls[offset] });
+    });
+  });
+  return tabs;
+}
+
+function describeTab(tab) {
+  const title = tab.name || tab.url || `Tab ${tab.index}`;
+  return Object.keys(VARIANTS).map(variant => ({
+    uri: tabUri(tab.windowId, tab.index, variant),
+    name: variant === 'summary' ? title : `${title} (${variant})`,
+    description: `${VARIANTS[variant].description} — ${tabSpecifier(tab.windowId, tab.index)}`,
+    mimeType: VARIANTS[variant].mimeType
+  }));
+}
+
+async function listResources(registry, executor, options = {}) {
+  const tabs = await listTabs(registry, executor, options);
+  return tabs.reduce((resources, tab) => resources.concat(describeTab(tab)), []);
+}
+
+// Script errors for a tab that is gone become RESOURCE_NOT_FOUND
+function isMissingObject(error) {
+  return error.code === 'object_not_found';
+}
+
+async function readResource(registry, executor, uri, options = {}) {
+  const { windowId, index, variant } = parseTabUri(uri);
+  const tab = tabSpecifier(windowId, index);
+  const { property, mimeType } = VARIANTS[variant];
+  const statement = property
+    ? `return ${property} of ${tab}`
+    : `return {name of ${tab}, URL of ${tab}}`;
+
+  let output;
+  try {
+    output = await execute(executor, tellScript(registry, statement), property || 'URL', options);
+  } catch (error) {
+    if (isMissingObject(error)) {
+      throw new JsonRpcError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, { uri });
+    }
+    throw error;
+  }
+
+  const value = decodeAppleScriptValue(output);
+  let text;
+  if (property) {
+    text = value === null || value === undefined ? '' : String(value);
+  } else {
+    const [name, url] = value || [];
+    text = JSON.stringify({ window: { id: windowId }, tab: index, specifier: tab, name, URL: url }, null, 2);
+  }
+  return { contents: [{ uri, mimeType, text }] };
+}
+
+module.exports = {
+  RESOURCE_NOT_FOUND,
+  RESOURCE_TEMPLATES,
+  tabUri,
+  parseTabUri,
+  listTabs,
+  listResources,
+  readResource
+};
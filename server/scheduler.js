@@ -0,0 +1,242 @@
+// Execution scheduler for scripts.
+//
+// Safari serves one Apple Event at a time; scripts run side by side
+// interleave (a set_current_tab between another call's reads of current
+// tab) or time out. The scheduler wraps an executor, runs at most
+// `concurrency` scripts at once (default 1) and queues the rest:
+//
+//   - by priority: 'high' for cheap reads, 'normal', then 'low' for
+//     background polling. A job waiting longer than the aging limit moves
+//     up a level, so a stream of reads cannot hold back a write for good.
+//   - within a priority, by client: the client served least recently goes
+//     first, so one busy client cannot hold back the others.
+//
+// An executor that can only run one script at a time, such as the
+// persistent worker, sets `maxConcurrency` and the scheduler never runs more
+// than that, whatever `concurrency` asks for.
+//
+// Clients are the servers sharing a scheduler, one per stdio connection or
+// HTTP session; forClient(id) gives each its own executor.
+//
+// A script's budget counts from when it is queued: a script still waiting
+// when it runs out fails with a timeout, and one that starts gets only what
+// is left of it. Scripts without `options.budget` get the scheduler's: its
+// `budget` option, else the executor's, else TIMEOUT_BUDGET.
+
+const { defineTool } = require('./tools');
+const { TIMEOUT_BUDGET, CancelledError, throwIfCancelled } = require('./executor');
+const { timeoutError } = require('./errors');
+
+const PRIORITIES = ['high', 'normal', 'low'];
+const DEFAULT_PRIORITY = 'normal';
+const DEFAULT_CONCURRENCY = 1;
+const AGING_LIMIT = 5000; // 5 seconds per level
+const DEFAULT_CLIENT = 'default';
+
+class Scheduler {
+  constructor(executor, options = {}) {
+    this.executor = executor;
+    this.name = executor.name;
+    this.concurrency = Math.min(
+      Math.max(1, Math.floor(options.concurrency) || DEFAULT_CONCURRENCY),
+      executor.maxConcurrency || Infinity
+    );
+    this.agingLimit = options.agingLimit || AGING_LIMIT;
+    this.budget = options.budget || executor.budget || TIMEOUT_BUDGET;
+    // Jobs waiting to run, oldest first
+    this.queue = [];
+    this.running = 0;
+    // Client → when it was last served, as a dispatch count; only for
+    // clients with work queued
+    this.lastServed = new Map();
+    this.dispatched = 0;
+    this.metrics = { started: 0, completed: 0, failed: 0, cancelled: 0, timedOut: 0, peakQueued: 0, totalWait: 0, maxWait: 0 };
+  }
+
+  // Same interface as the wrapped executor; `options.priority` and
+  // `options.client` place the script in the queue
+  execute(script, options = {}) {
+    return new Promise((resolve, reject) => {
+      // Thrown here, an aborted signal rejects the promise
+      throwIfCancelled(options.signal);
+      const budget = options.budget || this.budget;
+      const queuedAt = Date.now();
+      const job = {
+        script,
+        options,
+        budget,
+        client: options.client || DEFAULT_CLIENT,
+        priority: PRIORITIES.includes(options.priority) ? options.priority : DEFAULT_PRIORITY,
+        queuedAt,
+        deadline: queuedAt + budget,
+        resolve,
+        reject
+      };
+      if (options.signal) {
+        job.onAbort = () => this.cancel(job);
+        options.signal.addEventListener('abort', job.onAbort, { once: true });
+      }
+      job.timer = setTimeout(() => this.expire(job), budget);
+      this.queue.push(job);
+      this.metrics.peakQueued = Math.max(this.metrics.peakQueued, this.queue.length);
+      this.drain();
+    });
+  }
+
+  // An executor that runs everything as `client`
+  forClient(client) {
+    return {
+      name: this.name,
+      scheduler: this,
+      execute: (script, options = {}) => this.execute(script, Object.assign({ client }, options))
+    };
+  }
+
+  // Queued jobs are dropped here; a running one is stopped by the wrapped
+  // executor, which sees the same signal
+  cancel(job) {
+    if (!this.dequeue(job)) return;
+    this.metrics.cancelled++;
+    job.reject(new CancelledError());
+  }
+
+  // A job whose budget ran out while it waited
+  expire(job) {
+    if (!this.dequeue(job)) return;
+    this.metrics.timedOut++;
+    job.reject(timeoutError(job.budget));
+  }
+
+  // Take a job out of the queue before it runs; false once it has started
+  dequeue(job) {
+    const position = this.queue.indexOf(job);
+    if (position === -1) return false;
+    this.queue.splice(position, 1);
+    clearTimeout(job.timer);
+    if (job.onAbort) job.options.signal.removeEventListener('abort', job.onAbort);
+    this.forgetIdle(job.client);
+    return true;
+  }
+
+  // Priority level after aging; 0 is the highest
+  level(job, now) {
+    const waited = Math.floor((now - job.queuedAt) / this.agingLimit);
+    return Math.max(0, PRIORITIES.indexOf(job.priority) - waited);
+  }
+
+  // The job to run next: highest level, then the client served least
+  // recently, then the oldest
+  next() {
+    const now = Date.now();
+    let best = null;
+    let bestLevel;
+    for (const job of this.queue) {
+      const level = this.level(job, now);
+      if (!best || level < bestLevel ||
+          (level === bestLevel && (this.lastServed.get(job.client) || 0) < (this.lastServed.get(best.client) || 0))) {
+        best = job;
+        bestLevel = level;
+      }
+    }
+    return best;
+  }
+
+  drain() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      const job = this.next();
+      this.queue.splice(this.queue.indexOf(job), 1);
+      this.run(job);
+    }
+  }
+
+  async run(job) {
+    this.running++;
+    this.lastServed.set(job.client, ++this.dispatched);
+    clearTimeout(job.timer);
+    if (job.onAbort) job.options.signal.removeEventListener('abort', job.onAbort);
+    const wait = Date.now() - job.queuedAt;
+    this.metrics.started++;
+    this.metrics.totalWait += wait;
+    this.metrics.maxWait = Math.max(this.metrics.maxWait, wait);
+    // The time spent waiting comes out of the budget
+    const remaining = Math.max(1, job.deadline - Date.now());
+    const options = Object.assign({}, job.options, {
+      budget: remaining,
+      timeout: Math.min(job.options.timeout || remaining, remaining)
+    });
+    try {
+      const output = await this.executor.execute(job.script, options);
+      this.metrics.completed++;
+      job.resolve(output);
+    } catch (error) {
+      if (error instanceof CancelledError) {
+        this.metrics.cancelled++;
+      } else {
+        this.metrics.failed++;
+      }
+      job.reject(error);
+    } finally {
+      this.running--;
+      this.forgetIdle(job.client);
+      this.drain();
+    }
+  }
+
+  // A client with nothing queued starts afresh next time, ahead of clients
+  // that kept the queue busy
+  forgetIdle(client) {
+    if (!this.queue.some(job => job.client === client)) this.lastServed.delete(client);
+  }
+
+  // Stop the wrapped executor's background processes, if it has any
+  close() {
+    if (this.executor.close) this.executor.close();
+  }
+
+  // Queue depth and counters for the diagnostics tool
+  stats() {
+    const byPriority = {};
+    for (const priority of PRIORITIES) byPriority[priority] = 0;
+    const byClient = {};
+    for (const job of this.queue) {
+      byPriority[job.priority]++;
+      byClient[job.client] = (byClient[job.client] || 0) + 1;
+    }
+    return {
+      executor: this.name,
+      concurrency: this.concurrency,
+      running: this.running,
+      queued: this.queue.length,
+      queued_by_priority: byPriority,
+      queued_by_client: byClient,
+      peak_queued: this.metrics.peakQueued,
+      completed: this.metrics.completed,
+      failed: this.metrics.failed,
+      cancelled: this.metrics.cancelled,
+      timed_out_in_queue: this.metrics.timedOut,
+      average_wait_ms: this.metrics.started > 0 ? Math.round(this.metrics.totalWait / this.metrics.started) : 0,
+      max_wait_ms: this.metrics.maxWait
+    };
+  }
+}
+
+function buildDiagnosticsTool(registry, scheduler) {
+  return defineTool(registry, {
+    name: 'diagnostics',
+    description: 'Report the state of the script queue: scripts running and waiting (by priority and by client), the peak queue depth, completed, failed and cancelled scripts, scripts that timed out before they could run, and how long scripts waited to run.',
+    kind: 'explore',
+    arguments: [],
+    output: { scheduler: { type: 'object' } },
+    run: () => ({
+      success: true,
+      scheduler: scheduler.stats()
+    })
+  });
+}
+
+module.exports = {
+  PRIORITIES,
+  DEFAULT_CONCURRENCY,
+  Scheduler,
+  buildDiagnosticsTool
+};
@@ -0,0 +1,228 @@
+// Loader for scripting definition (.sdef) files.
+//
+// An sdef is the XML dictionary an application publishes for AppleScript
+// (`sdef /Applications/Safari.app` prints it). It is read here into a plain
+// registry of classes, commands, enumerations and record types, which the
+// tool layer derives everything else from.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SDEF = path.join(__dirname, 'sdef', 'Safari.sdef');
+
+class SdefError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SdefError';
+  }
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[entity] !== undefined ? ENTITIES[entity] : match;
+  });
+}
+
+// Just enough XML for sdef files: elements, attributes, comments, processing
+// instructions and a doctype. Text content is kept but unused by the loader.
+function parseXml(xml) {
+  const root = { name: '#document', attributes: {}, children: [] };
+  const stack = [root];
+  let i = 0;
+  while (i < xml.length) {
+    if (xml.startsWith('<!--', i)) {
+      const end = xml.indexOf('-->', i + 4);
+      if (end === -1) throw new SdefError('Unterminated comment');
+      i = end + 3;
+    } else if (xml.startsWith('<?', i) || xml.startsWith('<!', i)) {
+      const end = xml.indexOf('>', i);
+      if (end === -1) throw new SdefError('Unterminated declaration');
+      i = end + 1;
+    } else if (xml.startsWith('</', i)) {
+      const end = xml.indexOf('>', i);
+      const name = xml.slice(i + 2, end).trim();
+      const open = stack.pop();
+      if (!open || open.name !== name) {
+        throw new SdefError(`Unexpected </${name}>`);
+      }
+      i = end + 1;
+    } else if (xml[i] === '<') {
+      const match = /^<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/.exec(xml.slice(i));
+      if (!match) throw new SdefError(`Malformed tag at offset ${i}`);
+      const attributes = {};
+      const pattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+      let attribute;
+      while ((attribute = pattern.exec(match[2]))) {
+        attributes[attribute[1]] = decodeEntities(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+      }
+      const element = { name: match[1], attributes, children: [] };
+      stack[stack.length - 1].children.push(element);
+      if (!match[3]) stack.push(element);
+      i += match[0].length;
+    } else {
+      const end = xml.indexOf('<', i);
+      const text = xml.slice(i, end === -1 ? xml.length : end);
+      if (text.trim()) {
+        stack[stack.length - 1].children.push({ name: '#text', text: decodeEntities(text) });
+      }
+      i = end === -1 ? xml.length : end;
+    }
+  }
+  if (stack.length !== 1) {
+    throw new SdefError(`Unclosed <${stack[stack.length - 1].name}>`);
+  }
+  return root;
+}
+
+function childrenNamed(element, name) {
+  return element.children.filter(child => child.name === name);
+}
+
+// Types come either as a `type` attribute or as nested <type> elements;
+// list="yes" turns a type into `list of <type>`
+function readTypes(element) {
+  if (element.attributes.type) return [element.attributes.type];
+  return childrenNamed(element, 'type').map(type =>
+    type.attributes.list === 'yes' ? `list of ${type.attributes.type}` : type.attributes.type);
+}
+
+function readProperty(element, suite) {
+  return {
+    name: element.attributes.name,
+    code: element.attributes.code || null,
+    type: readTypes(element)[0] || 'any',
+    access: element.attributes.access || 'rw',
+    description: element.attributes.description || '',
+    suite
+  };
+}
+
+function readParameter(element) {
+  return {
+    name: element.attributes.name || 'direct parameter',
+    code: element.attributes.code || null,
+    types: readTypes(element),
+    optional: element.attributes.optional === 'yes',
+    description: element.attributes.description || ''
+  };
+}
+
+function readCommand(element, suite) {
+  const direct = childrenNamed(element, 'direct-parameter')[0];
+  const result = childrenNamed(element, 'result')[0];
+  return {
+    name: element.attributes.name,
+    code: element.attributes.code || null,
+    description: element.attributes.description || '',
+    suite,
+    directParameter: direct ? readParameter(direct) : null,
+    parameters: childrenNamed(element, 'parameter').map(readParameter),
+    result: result ? { types: readTypes(result), description: result.attributes.description || '' } : null
+  };
+}
+
+// Classes and their extensions are merged; every property remembers the
+// suite that declared it so tools keep the dictionary's order.
+function mergeClass(registry, element, suite) {
+  const extending = element.name === 'class-extension';
+  const name = extending ? element.attributes.extends : element.attributes.name;
+  let cls = registry.classes[name];
+  if (!cls) {
+    if (extending) throw new SdefError(`class-extension of unknown class "${name}"`);
+    cls = registry.classes[name] = {
+      name,
+      code: element.attributes.code || null,
+      plural: element.attributes.plural || `${name}s`,
+      description: element.attributes.description || '',
+      suite,
+      inherits: element.attributes.inherits || null,
+      properties: [],
+      elements: [],
+      respondsTo: []
+    };
+  }
+  for (const property of childrenNamed(element, 'property')) {
+    cls.properties.push(readProperty(property, suite));
+  }
+  for (const child of childrenNamed(element, 'element')) {
+    cls.elements.push({ type: child.attributes.type, access: child.attributes.access || 'rw' });
+  }
+  for (const child of childrenNamed(element, 'responds-to')) {
+    cls.respondsTo.push(child.attributes.command || child.attributes.name);
+  }
+}
+
+// Build a registry from sdef XML text
+function parseSdef(xml) {
+  const document = parseXml(xml);
+  const dictionary = childrenNamed(document, 'dictionary')[0];
+  if (!dictionary) throw new SdefError('Missing <dictionary> element');
+
+  const registry = {
+    title: dictionary.attributes.title || '',
+    suites: [],
+    classes: {},
+    commands: {},
+    enumerations: {},
+    recordTypes: {}
+  };
+
+  for (const suiteElement of childrenNamed(dictionary, 'suite')) {
+    const suite = suiteElement.attributes.name;
+    registry.suites.push({
+      name: suite,
+      code: suiteElement.attributes.code || null,
+      description: suiteElement.attributes.description || ''
+    });
+    for (const element of suiteElement.children) {
+      switch (element.name) {
+        case 'command':
+          registry.commands[element.attributes.name] = readCommand(element, suite);
+          break;
+        case 'class':
+        case 'class-extension':
+          mergeClass(registry, element, suite);
+          break;
+        case 'enumeration':
+          registry.enumerations[element.attributes.name] = {
+            name: element.attributes.name,
+            code: element.attributes.code || null,
+            enumerators: childrenNamed(element, 'enumerator').map(enumerator => ({
+              name: enumerator.attributes.name,
+              code: enumerator.attributes.code || null,
+              description: enumerator.attributes.description || ''
+            }))
+          };
+          break;
+        case 'record-type':
+          registry.recordTypes[element.attributes.name] = {
+            name: element.attributes.name,
+            code: element.attributes.code || null,
+            properties: childrenNamed(element, 'property').map(property => readProperty(property, suite))
+          };
+          break;
+        default:
+          break;
+      }
+    }
+  }
+  return registry;
+}
+
+function loadSdef(file = DEFAULT_SDEF) {
+  return parseSdef(fs.readFileSync(file, 'utf8'));
+}
+
+module.exports = {
+  DEFAULT_SDEF,
+  SdefError,
+  parseXml,
+  parseSdef,
+  loadSdef
+};
@@ -0,0 +1,1535 @@
+// In-memory model of Safari that interprets the subset of AppleScript this
+// server generates. Used as an executor backend so tool calls can be exercised
+// end-to-end on machines without Safari or osascript.
+
+const { throwIfCancelled } = require('./executor');
+const { toAppleScriptError } = require('./errors');
+
+const APPLICATION_NAME = 'Safari';
+
+// Multi-word terms are matched greedily before single words
+const MULTI_WORD_PROPERTIES = ['current tab'];
+
+const PROPERTIES = {
+  application: ['name', 'frontmost', 'version'],
+  window: ['name', 'id', 'index', 'bounds', 'closeable', 'miniaturizable', 'miniaturized',
+    'resizable', 'visible', 'zoomable', 'zoomed', 'document', 'current tab'],
+  document: ['name', 'modified', 'file', 'source', 'URL', 'text'],
+  tab: ['source', 'URL', 'index', 'text', 'visible', 'name', 'pid']
+};
+
+const WRITABLE_PROPERTIES = {
+  application: [],
+  window: ['index', 'bounds', 'miniaturized', 'visible', 'zoomed', 'current tab'],
+  document: ['URL'],
+  tab: ['URL']
+};
+
+const CLASS_NAMES = {
+  window: 'window', windows: 'window',
+  document: 'document', documents: 'document',
+  tab: 'tab', tabs: 'tab'
+};
+
+const ORDINALS = {
+  front: 1, first: 1, second: 2, third: 3, fourth: 4, fifth: 5,
+  sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10
+};
+
+// Error raised inside the simulated script, carrying the AppleScript error number
+class SimulatedScriptError extends Error {
+  constructor(message, number, kind = 'execution') {
+    super(message);
+    this.name = 'SimulatedScriptError';
+    this.number = number;
+    this.kind = kind;
+  }
+}
+
+function syntaxError(message) {
+  return new SimulatedScriptError(message, -2741, 'syntax');
+}
+
+// --- Tokenizer ---
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (ch === '\n' || ch === '\r') {
+      tokens.push({ type: 'newline' });
+      i++;
+      continue;
+    }
+    if (ch === '¬') {
+      // Line continuation: swallow up to and including the next line break
+      i++;
+      while (i < source.length && source[i] !== '\n' && source[i] !== '\r') i++;
+      if (source[i] === '\r' && source[i + 1] === '\n') i++;
+      i++;
+      continue;
+    }
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    if (ch === '-' && source[i + 1] === '-') {
+      while (i < source.length && source[i] !== '\n') i++;
+      continue;
+    }
+    if (ch === '(' && source[i + 1] === '*') {
+      const end = source.indexOf('*)', i + 2);
+      i = end === -1 ? source.length : end + 2;
+      continue;
+    }
+    if (ch === '"') {
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== '"') {
+        if (source[i] === '\\' && i + 1 < source.length) {
+          const next = source[i + 1];
+          value += next === 'n' ? '\n' : next === 'r' ? '\r' : next === 't' ? '\t' : next;
+          i += 2;
+        } else {
+          value += source[i];
+          i++;
+        }
+      }
+      if (i >= source.length) {
+        throw syntaxError('Expected “"” but found end of script.');
+      }
+      i++;
+      tokens.push({ type: 'string', value });
+      continue;
+    }
+    if (ch === '|') {
+      const end = source.indexOf('|', i + 1);
+      if (end === -1) throw syntaxError('Expected “|” but found end of script.');
+      tokens.push({ type: 'word', value: source.slice(i + 1, end), quoted: true });
+      i = end + 1;
+      continue;
+    }
+    const number = /^\d+(\.\d+)?(E[+-]?\d+)?/i.exec(source.slice(i));
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]) });
+      i += number[0].length;
+      continue;
+    }
+    const word = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+    if (word) {
+      tokens.push({ type: 'word', value: word[0] });
+      i += word[0].length;
+      continue;
+    }
+    if ('(){},:&=<>≠≤≥-'.includes(ch)) {
+      tokens.push({ type: 'punct', value: ch });
+      i++;
+      continue;
+    }
+    throw syntaxError(`Expected expression but found unknown token “${ch}”.`);
+  }
+  tokens.push({ type: 'newline' });
+  tokens.push({ type: 'eof' });
+  return tokens;
+}
+
+// --- Parser ---
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  isWord(word, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'word' && !token.quoted && token.value.toLowerCase() === word.toLowerCase();
+  }
+
+  isWords(...words) {
+    return words.every((word, offset) => this.isWord(word, offset));
+  }
+
+  isPhrase(phrase) {
+    return this.isWords(...phrase.split(' '));
+  }
+
+  acceptPhrase(phrase) {
+    if (!this.isPhrase(phrase)) return false;
+    this.pos += phrase.split(' ').length;
+    return true;
+  }
+
+  expectPhrase(phrase) {
+    if (!this.acceptPhrase(phrase)) {
+      throw syntaxError(`Expected “${phrase}” but found ${this.describe(this.peek())}.`);
+    }
+  }
+
+  isPunct(value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'punct' && token.value === value;
+  }
+
+  acceptPunct(value) {
+    if (!this.isPunct(value)) return false;
+    this.pos++;
+    return true;
+  }
+
+  expectPunct(value) {
+    if (!this.acceptPunct(value)) {
+      throw syntaxError(`Expected “${value}” but found ${this.describe(this.peek())}.`);
+    }
+  }
+
+  atLineEnd() {
+    const token = this.peek();
+    return token.type === 'newline' || token.type === 'eof';
+  }
+
+  skipNewlines() {
+    while (this.peek().type === 'newline') this.pos++;
+  }
+
+  describe(token) {
+    if (token.type === 'eof') return 'end of script';
+    if (token.type === 'newline') return 'end of line';
+    if (token.type === 'string') return 'string';
+    if (token.type === 'number') return 'number';
+    return `“${token.value}”`;
+  }
+
+  // script := statement*
+  parseScript() {
+    const statements = this.parseBlock([]);
+    if (this.peek().type !== 'eof') {
+      throw syntaxError(`Expected end of script but found ${this.describe(this.peek())}.`);
+    }
+    return statements;
+  }
+
+  parseBlock(terminators) {
+    const statements = [];
+    this.skipNewlines();
+    while (this.peek().type !== 'eof' && !terminators.some(t => this.isPhrase(t))) {
+      statements.push(this.parseStatement());
+      if (!this.atLineEnd()) {
+        throw syntaxError(`Expected end of line but found ${this.describe(this.peek())}.`);
+      }
+      this.skipNewlines();
+    }
+    return statements;
+  }
+
+  parseStatement() {
+    if (this.acceptPhrase('tell')) {
+      const target = this.parseExpression();
+      if (this.acceptPhrase('to')) {
+        return { type: 'tell', target, body: [this.parseStatement()] };
+      }
+      const body = this.parseBlock(['end tell', 'end']);
+      if (!this.acceptPhrase('end tell')) this.expectPhrase('end');
+      return { type: 'tell', target, body };
+    }
+    if (this.acceptPhrase('repeat with')) {
+      const variable = this.next().value;
+      this.expectPhrase('in');
+      const list = this.parseExpression();
+      const body = this.parseBlock(['end repeat', 'end']);
+      if (!this.acceptPhrase('end repeat')) this.expectPhrase('end');
+      return { type: 'repeat', variable, list, body };
+    }
+    if (this.acceptPhrase('if')) {
+      const condition = this.parsePredicate();
+      this.expectPhrase('then');
+      if (!this.atLineEnd()) {
+        return { type: 'if', condition, body: [this.parseStatement()], otherwise: [] };
+      }
+      const body = this.parseBlock(['else', 'end if', 'end']);
+      let otherwise = [];
+      if (this.acceptPhrase('else')) {
+        otherwise = this.parseBlock(['end if', 'end']);
+      }
+      if (!this.acceptPhrase('end if')) this.expectPhrase('end');
+      return { type: 'if', condition, body, otherwise };
+    }
+    if (this.acceptPhrase('return')) {
+      return { type: 'return', value: this.atLineEnd() ? null : this.parseExpression() };
+    }
+    if (this.acceptPhrase('set')) {
+      const target = this.parseReference();
+      this.expectPhrase('to');
+      return { type: 'set', target, value: this.parseExpression() };
+    }
+    if (this.acceptPhrase('copy')) {
+      const value = this.parseExpression();
+      this.expectPhrase('to');
+      return { type: 'set', target: this.parseReference(), value };
+    }
+    return { type: 'expression', value: this.parseCommandOrExpression() };
+  }
+
+  // Application commands; anything else is parsed as a plain expression
+  parseCommandOrExpression() {
+    const command = (name, fields) => Object.assign({ type: 'command', name }, fields);
+
+    if (this.acceptPhrase('count')) {
+      this.acceptPhrase('of');
+      return command('count', { target: this.parseExpression() });
+    }
+    if (this.acceptPhrase('make new')) {
+      const cls = this.parseClassName();
+      const fields = { cls };
+      while (!this.atLineEnd()) {
+        if (this.acceptPhrase('at')) fields.at = this.parseLocation();
+        else if (this.acceptPhrase('with data')) fields.data = this.parseExpression();
+        else if (this.acceptPhrase('with properties')) fields.properties = this.parseExpression();
+        else throw syntaxError(`Expected end of line but found ${this.describe(this.peek())}.`);
+      }
+      return command('make', fields);
+    }
+    if (this.acceptPhrase('close')) {
+      const target = this.parseExpression();
+      const fields = { target };
+      while (!this.atLineEnd()) {
+        if (this.acceptPhrase('saving in')) fields.savingIn = this.parseExpression();
+        else if (this.acceptPhrase('saving')) fields.saving = this.parseExpression();
+        else throw syntaxError(`Expected end of line but found ${this.describe(this.peek())}.`);
+      }
+      return command('close', fields);
+    }
+    if (this.acceptPhrase('save')) {
+      const fields = { target: this.parseExpression() };
+      while (!this.atLineEnd()) {
+        if (this.acceptPhrase('in')) fields.in = this.parseExpression();
+        else if (this.acceptPhrase('as')) fields.as = this.parseExpression();
+        else throw syntaxError(`Expected end of line but found ${this.describe(this.peek())}.`);
+      }
+      return command('save', fields);
+    }
+    if (this.acceptPhrase('print')) {
+      const fields = { target: this.parseExpression() };
+      while (!this.atLineEnd()) {
+        if (this.acceptPhrase('with properties')) fields.properties = this.parseExpression();
+        else if (this.acceptPhrase('print dialog')) fields.dialog = this.parseExpression();
+        else throw syntaxError(`Expected end of line but found ${this.describe(this.peek())}.`);
+      }
+      return command('print', fields);
+    }
+    if (this.acceptPhrase('quit')) {
+      const fields = {};
+      if (this.acceptPhrase('saving')) fields.saving = this.parseExpression();
+      return command('quit', fields);
+    }
+    if (this.acceptPhrase('open')) {
+      return command('open', { target: this.parseExpression() });
+    }
+    if (this.acceptPhrase('delete')) {
+      return command('delete', { target: this.parseExpression() });
+    }
+    if (this.acceptPhrase('exists')) {
+      return command('exists', { target: this.parseExpression() });
+    }
+    if (this.acceptPhrase('duplicate')) {
+      const fields = { target: this.parseExpression() };
+      while (!this.atLineEnd()) {
+        if (this.acceptPhrase('to')) fields.to = this.parseLocation();
+        else if (this.acceptPhrase('with properties')) fields.properties = this.parseExpression();
+        else throw syntaxError(`Expected end of line but found ${this.describe(this.peek())}.`);
+      }
+      return command('duplicate', fields);
+    }
+    if (this.acceptPhrase('move')) {
+      const target = this.parseExpression();
+      this.expectPhrase('to');
+      return command('move', { target, to: this.parseLocation() });
+    }
+    if (this.acceptPhrase('do JavaScript')) {
+      const fields = { code: this.parseExpression() };
+      if (this.acceptPhrase('in')) fields.in = this.parseExpression();
+      return command('doJavaScript', fields);
+    }
+    if (this.acceptPhrase('search the web')) {
+      const fields = {};
+      while (!this.atLineEnd()) {
+        if (this.acceptPhrase('for')) fields.for = this.parseExpression();
+        else if (this.acceptPhrase('in')) fields.in = this.parseExpression();
+        else throw syntaxError(`Expected end of line but found ${this.describe(this.peek())}.`);
+      }
+      return command('searchTheWeb', fields);
+    }
+    if (this.acceptPhrase('email contents')) {
+      const fields = {};
+      if (this.acceptPhrase('of')) fields.of = this.parseExpression();
+      return command('emailContents', fields);
+    }
+    if (this.acceptPhrase('add reading list item')) {
+      const fields = { url: this.parseExpression() };
+      while (!this.atLineEnd()) {
+        if (this.acceptPhrase('and preview text')) fields.previewText = this.parseExpression();
+        else if (this.acceptPhrase('with title')) fields.title = this.parseExpression();
+        else throw syntaxError(`Expected end of line but found ${this.describe(this.peek())}.`);
+      }
+      return command('addReadingListItem', fields);
+    }
+    if (this.acceptPhrase('show extensions preferences')) {
+      return command('showExtensionsPreferences', { extension: this.parseExpression() });
+    }
+    if (this.acceptPhrase('dispatch message to extension')) {
+      return command('dispatchMessageToExtension', { message: this.parseExpression() });
+    }
+    for (const phrase of ['show bookmarks', 'sync all plist to disk', 'show privacy report', 'show credit card settings', 'activate', 'launch']) {
+      if (this.acceptPhrase(phrase)) {
+        return command(phrase, {});
+      }
+    }
+    return this.parseExpression();
+  }
+
+  parseClassName() {
+    const token = this.next();
+    const cls = token.type === 'word' && CLASS_NAMES[token.value.toLowerCase()];
+    if (!cls) {
+      throw syntaxError(`Expected class name but found ${this.describe(token)}.`);
+    }
+    return cls;
+  }
+
+  // location := (beginning | end) of ref | (before | after) ref | ref
+  parseLocation() {
+    for (const position of ['beginning', 'end']) {
+      if (this.isWord(position) && this.isWord('of', 1)) {
+        this.pos += 2;
+        return { type: 'location', position, reference: this.parseReference() };
+      }
+    }
+    for (const position of ['before', 'after']) {
+      if (this.acceptPhrase(position)) {
+        return { type: 'location', position, reference: this.parseReference() };
+      }
+    }
+    return { type: 'location', position: 'end', reference: this.parseReference() };
+  }
+
+  // expression := term ('&' term)*
+  parseExpression() {
+    let left = this.parseReference();
+    while (this.acceptPunct('&')) {
+      left = { type: 'concat', left, right: this.parseReference() };
+    }
+    return left;
+  }
+
+  // reference := primary ('of' primary)* ('whose' predicate)?
+  parseReference() {
+    const parts = [this.parsePrimary()];
+    while (this.acceptPhrase('of')) {
+      parts.push(this.parsePrimary());
+    }
+    let node = parts.pop();
+    while (parts.length) {
+      node = { type: 'of', left: parts.pop(), container: node };
+    }
+    if (this.acceptPhrase('whose') || this.acceptPhrase('where')) {
+      node = { type: 'whose', reference: node, predicate: this.parsePredicate() };
+    }
+    return node;
+  }
+
+  // predicate := comparison (('and' | 'or') comparison)*
+  parsePredicate() {
+    let left = this.parseComparison();
+    for (;;) {
+      if (this.acceptPhrase('and')) {
+        left = { type: 'and', left, right: this.parseComparison() };
+      } else if (this.acceptPhrase('or')) {
+        left = { type: 'or', left, right: this.parseComparison() };
+      } else {
+        return left;
+      }
+    }
+  }
+
+  parseComparison() {
+    if (this.acceptPhrase('not')) {
+      return { type: 'not', operand: this.parseComparison() };
+    }
+    if (this.acceptPunct('(')) {
+      const inner = this.parsePredicate();
+      this.expectPunct(')');
+      return inner;
+    }
+    const left = this.parseExpression();
+    const operators = [
+      ['does not contain', 'notContains'], ["doesn't contain", 'notContains'],
+      ['does not start with', 'notStartsWith'], ['does not end with', 'notEndsWith'],
+      ['contains', 'contains'], ['begins with', 'startsWith'], ['starts with', 'startsWith'],
+      ['ends with', 'endsWith'], ['is not equal to', 'notEquals'], ['is not', 'notEquals'],
+      ['is equal to', 'equals'], ['equals', 'equals'], ['is greater than', 'greater'],
+      ['is less than', 'less'], ['is in', 'in'], ['is', 'equals']
+    ];
+    for (const [phrase, operator] of operators) {
+      if (this.acceptPhrase(phrase)) {
+        return { type: 'compare', operator, left, right: this.parseExpression() };
+      }
+    }
+    const symbols = { '=': 'equals', '≠': 'notEquals', '>': 'greater', '<': 'less' };
+    const token = this.peek();
+    if (token.type === 'punct' && symbols[token.value]) {
+      this.pos++;
+      return { type: 'compare', operator: symbols[token.value], left, right: this.parseExpression() };
+    }
+    return { type: 'truthy', value: left };
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+
+    if (token.type === 'string') {
+      this.pos++;
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'number') {
+      this.pos++;
+      return { type: 'literal', value: token.value };
+    }
+    if (this.isPunct('-') && this.peek(1).type === 'number') {
+      this.pos += 2;
+      return { type: 'literal', value: -this.tokens[this.pos - 1].value };
+    }
+    if (this.acceptPunct('(')) {
+      const inner = this.parseExpression();
+      this.expectPunct(')');
+      return inner;
+    }
+    if (this.acceptPunct('{')) {
+      return this.parseListOrRecord();
+    }
+    if (token.type !== 'word') {
+      throw syntaxError(`Expected expression but found ${this.describe(token)}.`);
+    }
+    if (token.quoted) {
+      this.pos++;
+      return { type: 'variable', name: token.value };
+    }
+
+    if (this.acceptPhrase('true')) return { type: 'literal', value: true };
+    if (this.acceptPhrase('false')) return { type: 'literal', value: false };
+    if (this.acceptPhrase('yes')) return { type: 'literal', value: { kind: 'constant', name: 'yes' } };
+    if (this.acceptPhrase('no')) return { type: 'literal', value: { kind: 'constant', name: 'no' } };
+    if (this.acceptPhrase('ask')) return { type: 'literal', value: { kind: 'constant', name: 'ask' } };
+    if (this.acceptPhrase('missing value')) return { type: 'literal', value: null };
+    if (this.acceptPhrase('linefeed')) return { type: 'literal', value: '\n' };
+    if (this.acceptPhrase('return')) return { type: 'literal', value: '\r' };
+    if (this.acceptPhrase('character id')) {
+      return { type: 'characterId', code: this.parsePrimary() };
+    }
+    if (this.acceptPhrase('date')) {
+      return { type: 'date', text: this.parsePrimary() };
+    }
+    if (this.acceptPhrase('POSIX file') || this.acceptPhrase('file')) {
+      return { type: 'file', path: this.parsePrimary() };
+    }
+    if (this.acceptPhrase('application')) {
+      const name = this.peek().type === 'string' ? this.next().value : APPLICATION_NAME;
+      return { type: 'application', name };
+    }
+
+    for (const position of ['every', 'each']) {
+      if (this.acceptPhrase(position)) {
+        return { type: 'every', cls: this.parseClassName() };
+      }
+    }
+    for (const ordinal of [...Object.keys(ORDINALS), 'last', 'middle', 'some']) {
+      if (this.isWord(ordinal) && this.peek(1).type === 'word' && CLASS_NAMES[this.peek(1).value.toLowerCase()]) {
+        this.pos++;
+        return { type: 'ordinal', cls: this.parseClassName(), which: ordinal };
+      }
+    }
+
+    for (const property of MULTI_WORD_PROPERTIES) {
+      if (this.acceptPhrase(property)) {
+        return { type: 'property', name: property };
+      }
+    }
+
+    const word = token.value;
+    const cls = CLASS_NAMES[word.toLowerCase()];
+    if (cls) {
+      this.pos++;
+      const plural = word.toLowerCase() !== cls;
+      if (plural) {
+        return { type: 'every', cls };
+      }
+      if (this.acceptPhrase('id')) {
+        return { type: 'byId', cls, id: this.parsePrimary() };
+      }
+      if (this.acceptPhrase('index')) {
+        return { type: 'byIndex', cls, index: this.parsePrimary() };
+      }
+      if (this.acceptPhrase('named')) {
+        return { type: 'byName', cls, name: this.parsePrimary() };
+      }
+      const key = this.peek();
+      if (key.type === 'number' || (key.type === 'punct' && key.value === '-')) {
+        return { type: 'byIndex', cls, index: this.parsePrimary() };
+      }
+      if (key.type === 'string') {
+        return { type: 'byName', cls, name: this.parsePrimary() };
+      }
+      // A bare class word such as `document` in `document of window 1` is a property
+      return { type: 'property', name: word };
+    }
+
+    this.pos++;
+    return { type: 'name', name: word };
+  }
+
+  parseListOrRecord() {
+    if (this.acceptPunct('}')) {
+      return { type: 'list', items: [] };
+    }
+    const isRecord = this.isRecordKey();
+    if (isRecord) {
+      const fields = [];
+      do {
+        const key = this.parseRecordKey();
+        this.expectPunct(':');
+        fields.push({ key, value: this.parseExpression() });
+      } while (this.acceptPunct(','));
+      this.expectPunct('}');
+      return { type: 'record', fields };
+    }
+    const items = [];
+    do {
+      items.push(this.parseExpression());
+    } while (this.acceptPunct(','));
+    this.expectPunct('}');
+    return { type: 'list', items };
+  }
+
+  isRecordKey() {
+    let offset = 0;
+    while (this.peek(offset).type === 'word') offset++;
+    return offset > 0 && this.isPunct(':', offset);
+  }
+
+  parseRecordKey() {
+    const words = [];
+    while (this.peek().type === 'word') {
+      words.push(this.next().value);
+    }
+    return words.join(' ');
+  }
+}
+
+function parseScript(source) {
+  return new Parser(tokenize(source)).parseScript();
+}
+
+// --- Value formatting ---
+
+function describeReference(ref) {
+  switch (ref.kind) {
+    case 'application':
+      return `application "${APPLICATION_NAME}"`;
+    case 'window':
+      return `window id ${ref.window.id}`;
+    case 'tab':
+      return `tab ${ref.window.tabs.indexOf(ref.tab) + 1} of window id ${ref.window.id}`;
+    case 'document':
+      return `document ${quoteText(currentTab(ref.window) ? currentTab(ref.window).name : '')}`;
+    default:
+      return String(ref.kind);
+  }
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return 'missing value';
+  if (Array.isArray(value)) return value.map(formatValue).join(', ');
+  if (typeof value === 'number') return String(value);
+  if (typeof value === 'boolean') return value ? 'true' : 'false';
+  if (typeof value === 'string') return value;
+  switch (value.kind) {
+    case 'record':
+      return Object.entries(value.fields).map(([key, field]) => `${key}:${formatValue(field)}`).join(', ');
+    case 'date':
+      return `date ${value.text}`;
+    case 'file':
+      return `file ${value.path}`;
+    case 'constant':
+      return value.name;
+    default:
+      return describeReference(value);
+  }
+}
+
+function quoteText(text) {
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// Source form, as printed by `osascript -s s`
+function formatSource(value) {
+  if (value === null || value === undefined) return 'missing value';
+  if (Array.isArray(value)) return `{${value.map(formatSource).join(', ')}}`;
+  if (typeof value === 'number') return String(value);
+  if (typeof value === 'boolean') return value ? 'true' : 'false';
+  if (typeof value === 'string') return quoteText(value);
+  switch (value.kind) {
+    case 'record':
+      return `{${Object.entries(value.fields).map(([key, field]) => `${key}:${formatSource(field)}`).join(', ')}}`;
+    case 'date':
+      return `date ${quoteText(value.text)}`;
+    case 'file':
+      return `file ${quoteText(value.path)}`;
+    case 'constant':
+      return value.name;
+    case 'application':
+      return describeReference(value);
+    default:
+      return `${describeReference(value)} of application "${APPLICATION_NAME}"`;
+  }
+}
+
+function currentTab(window) {
+  return window.tabs[window.currentTab] || null;
+}
+
+// --- Simulator ---
+
+// Options:
+//   windows  - initial windows, front to back: [{ name?, bounds?, tabs: [{ url, name?, text?, source? }], currentTab? }]
+//   pages    - map of URL → { name, text, source } used when a tab navigates
+//   version  - reported application version
+//   javascript(code, target) - result of `do JavaScript`; defaults to missing value
+class SafariSimulator {
+  constructor(options = {}) {
+    this.pages = options.pages || {};
+    this.version = options.version || '18.0';
+    this.javascript = options.javascript || (() => null);
+    this.nextWindowId = 4512;
+    this.nextPid = 700;
+    this.running = true;
+    this.frontmost = true;
+    this.windows = [];
+    this.readingList = [];
+    this.javascriptLog = [];
+    this.emailed = [];
+    this.searches = [];
+    this.scripts = [];
+    (options.windows || []).forEach(spec => {
+      const window = this.createWindow(spec);
+      this.windows.push(window);
+    });
+  }
+
+  // Snapshot of the model as plain JSON, convenient for assertions
+  snapshot() {
+    return {
+      running: this.running,
+      windows: this.windows.map((window, i) => ({
+        id: window.id,
+        index: i + 1,
+        name: currentTab(window) ? currentTab(window).name : '',
+        bounds: window.bounds.slice(),
+        currentTab: window.currentTab + 1,
+        miniaturized: window.miniaturized,
+        visible: window.visible,
+        zoomed: window.zoomed,
+        tabs: window.tabs.map(tab => ({ url: tab.url, name: tab.name }))
+      })),
+      readingList: this.readingList.slice()
+    };
+  }
+
+  createWindow(spec = {}) {
+    const window = {
+      id: spec.id || this.nextWindowId++,
+      bounds: spec.bounds ? spec.bounds.slice() : [0, 25, 1280, 800],
+      closeable: true,
+      miniaturizable: true,
+      miniaturized: Boolean(spec.miniaturized),
+      resizable: true,
+      visible: spec.visible !== false,
+      zoomable: true,
+      zoomed: Boolean(spec.zoomed),
+      tabs: [],
+      currentTab: spec.currentTab ? spec.currentTab - 1 : 0
+    };
+    const tabs = spec.tabs && spec.tabs.length ? spec.tabs : [{}];
+    tabs.forEach(tabSpec => window.tabs.push(this.createTab(tabSpec)));
+    return window;
+  }
+
+  createTab(spec = {}) {
+    const tab = { url: null, name: 'Untitled', text: '', source: '', pid: this.nextPid++ };
+    if (spec.url) {
+      this.navigate(tab, spec.url);
+    }
+    if (spec.name !== undefined) tab.name = spec.name;
+    if (spec.text !== undefined) tab.text = spec.text;
+    if (spec.source !== undefined) tab.source = spec.source;
+    return tab;
+  }
+
+  navigate(tab, url) {
+    const page = this.pages[url] || {};
+    let title = url;
+    try {
+      title = new URL(url).hostname || url;
+    } catch (error) {
+      // Not an absolute URL; keep it as the title
+    }
+    tab.url = url;
+    tab.name = page.name !== undefined ? page.name : title;
+    tab.text = page.text !== undefined ? page.text : '';
+    tab.source = page.source !== undefined ? page.source : `<html><head><title>${tab.name}</title></head><body></body></html>`;
+  }
+
+  // Run a script and return what osascript would print on stdout
+  run(source) {
+    this.scripts.push(source);
+    const statements = parseScript(source);
+    const scope = { variables: {}, result: undefined };
+    try {
+      this.runBlock(statements, scope);
+    } catch (signal) {
+      if (!signal || signal.type !== 'return') throw signal;
+      scope.result = signal.value;
+    }
+    return scope.result === undefined ? '' : formatSource(scope.result);
+  }
+
+  runBlock(statements, scope) {
+    for (const statement of statements) {
+      scope.result = this.runStatement(statement, scope);
+    }
+    return scope.result;
+  }
+
+  runStatement(statement, scope) {
+    switch (statement.type) {
+      case 'tell': {
+        const target = this.evaluate(statement.target, scope);
+        if (!target || target.kind !== 'application') {
+          throw new SimulatedScriptError('Can’t tell anything other than the application.', -1708);
+        }
+        if (!this.running) {
+          this.running = true;
+        }
+        return this.runBlock(statement.body, scope);
+      }
+      case 'repeat': {
+        const list = this.evaluate(statement.list, scope);
+        for (const item of Array.isArray(list) ? list : [list]) {
+          scope.variables[statement.variable.toLowerCase()] = item;
+          this.runBlock(statement.body, scope);
+        }
+        return undefined;
+      }
+      case 'if':
+        return this.runBlock(this.test(statement.condition, scope) ? statement.body : statement.otherwise, scope);
+      case 'return':
+        throw { type: 'return', value: statement.value ? this.evaluate(statement.value, scope) : undefined };
+      case 'set':
+        return this.assign(statement.target, this.evaluate(statement.value, scope), scope);
+      case 'expression':
+        return this.evaluate(statement.value, scope);
+      default:
+        throw syntaxError(`Unsupported statement ${statement.type}.`);
+    }
+  }
+
+  assign(target, value, scope) {
+    if (target.type === 'name' && !this.isPropertyName(target.name)) {
+      scope.variables[target.name.toLowerCase()] = value;
+      return value;
+    }
+    if (target.type === 'variable') {
+      scope.variables[target.name.toLowerCase()] = value;
+      return value;
+    }
+    const propertyName = target.type === 'of' ? this.propertyName(target.left) : this.propertyName(target);
+    if (!propertyName) {
+      throw new SimulatedScriptError(`Can’t set ${this.describeNode(target)} to ${formatValue(value)}.`, -10006);
+    }
+    const owner = target.type === 'of' ? this.evaluate(target.container, scope) : this.application();
+    this.forEachLeaf(owner, ref => this.setProperty(ref, propertyName, value));
+    return value;
+  }
+
+  isPropertyName(name) {
+    const lower = name.toLowerCase();
+    return Object.values(PROPERTIES).some(list => list.some(p => p.toLowerCase() === lower));
+  }
+
+  propertyName(node) {
+    if (node.type === 'property') return node.name;
+    if (node.type === 'name' && this.isPropertyName(node.name)) return node.name;
+    return null;
+  }
+
+  describeNode(node) {
+    switch (node.type) {
+      case 'of':
+        return `${this.describeNode(node.left)} of ${this.describeNode(node.container)}`;
+      case 'property':
+      case 'name':
+      case 'variable':
+        return node.name;
+      case 'byIndex':
+        return `${node.cls} ${this.describeNode(node.index)}`;
+      case 'byId':
+        return `${node.cls} id ${this.describeNode(node.id)}`;
+      case 'byName':
+        return `${node.cls} ${this.describeNode(node.name)}`;
+      case 'every':
+        return `every ${node.cls}`;
+      case 'ordinal':
+        return `${node.which} ${node.cls}`;
+      case 'literal':
+        return typeof node.value === 'string' ? `"${node.value}"` : formatValue(node.value);
+      default:
+        return node.type;
+    }
+  }
+
+  application() {
+    return { kind: 'application' };
+  }
+
+  forEachLeaf(value, fn) {
+    if (Array.isArray(value)) {
+      value.forEach(item => this.forEachLeaf(item, fn));
+    } else {
+      fn(value);
+    }
+  }
+
+  mapLeaves(value, fn) {
+    return Array.isArray(value) ? value.map(item => this.mapLeaves(item, fn)) : fn(value);
+  }
+
+  // --- Expressions ---
+
+  evaluate(node, scope) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+      case 'command':
+        return this.command(node, scope);
+      case 'concat': {
+        const left = this.evaluate(node.left, scope);
+        const right = this.evaluate(node.right, scope);
+        if (Array.isArray(left)) return left.concat(right);
+        if (left && left.kind === 'record' && right && right.kind === 'record') {
+          return { kind: 'record', fields: Object.assign({}, right.fields, left.fields) };
+        }
+        return this.coerceText(left) + this.coerceText(right);
+      }
+      case 'characterId':
+        return String.fromCodePoint(this.evaluate(node.code, scope));
+      case 'date':
+        return { kind: 'date', text: this.evaluate(node.text, scope) };
+      case 'file':
+        return { kind: 'file', path: this.evaluate(node.path, scope) };
+      case 'application':
+        return this.application();
+      case 'list':
+        return node.items.map(item => this.evaluate(item, scope));
+      case 'record': {
+        const fields = {};
+        node.fields.forEach(field => {
+          fields[field.key] = this.evaluate(field.value, scope);
+        });
+        return { kind: 'record', fields };
+      }
+      case 'variable':
+        return this.lookup(node.name, scope);
+      case 'name':
+        if (Object.prototype.hasOwnProperty.call(scope.variables, node.name.toLowerCase())) {
+          return scope.variables[node.name.toLowerCase()];
+        }
+        return this.resolve(node, this.application(), scope);
+      case 'whose': {
+        // `first tab of window 1 whose ...` selects among the matching elements
+        const selector = node.reference.type === 'of' ? node.reference.left : node.reference;
+        if (selector.type === 'ordinal' || selector.type === 'byIndex') {
+          const container = node.reference.type === 'of'
+            ? this.evaluate(node.reference.container, scope) : this.application();
+          if (!Array.isArray(container)) {
+            const matching = this.filter(this.elements(container, selector.cls), node.predicate, scope);
+            const index = selector.type === 'ordinal'
+              ? this.ordinalIndex(selector.which, matching.length)
+              : this.evaluate(selector.index, scope);
+            return this.elementAt(container, selector.cls, matching, index, `${selector.cls} ${index} whose …`);
+          }
+        }
+        const candidates = this.evaluate(node.reference, scope);
+        return this.filter(candidates, node.predicate, scope);
+      }
+      case 'of': {
+        const container = this.evaluate(node.container, scope);
+        return this.resolve(node.left, container, scope);
+      }
+      default:
+        return this.resolve(node, this.application(), scope);
+    }
+  }
+
+  lookup(name, scope) {
+    const key = name.toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(scope.variables, key)) {
+      throw new SimulatedScriptError(`The variable ${name} is not defined.`, -2753);
+    }
+    return scope.variables[key];
+  }
+
+  coerceText(value) {
+    if (typeof value === 'string') return value;
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    if (Array.isArray(value)) return value.map(item => this.coerceText(item)).join('');
+    throw new SimulatedScriptError(`Can’t make ${formatValue(value)} into type text.`, -1700);
+  }
+
+  // Resolve a reference term against a container (application, window, list, ...)
+  resolve(node, container, scope) {
+    if (Array.isArray(container)) {
+      return container.map(item => this.resolve(node, item, scope));
+    }
+    switch (node.type) {
+      case 'property':
+      case 'name': {
+        if (node.type === 'name' && !this.isPropertyName(node.name)) {
+          return this.lookup(node.name, scope);
+        }
+        return this.getProperty(container, node.name);
+      }
+      case 'every':
+        return this.elements(container, node.cls);
+      case 'ordinal': {
+        const elements = this.elements(container, node.cls);
+        const index = this.ordinalIndex(node.which, elements.length);
+        return this.elementAt(container, node.cls, elements, index, `${node.which} ${node.cls}`);
+      }
+      case 'byIndex': {
+        const index = this.evaluate(node.index, scope);
+        const elements = this.elements(container, node.cls);
+        return this.elementAt(container, node.cls, elements, index, `${node.cls} ${index}`);
+      }
+      case 'byId': {
+        const id = this.evaluate(node.id, scope);
+        const match = this.elements(container, node.cls).find(ref => ref.kind === 'window' && ref.window.id === id);
+        if (!match) {
+          throw this.notFound(`${node.cls} id ${id}`, container);
+        }
+        return match;
+      }
+      case 'byName': {
+        const name = this.evaluate(node.name, scope);
+        const match = this.elements(container, node.cls).find(ref => this.getProperty(ref, 'name') === name);
+        if (!match) {
+          throw this.notFound(`${node.cls} "${name}"`, container);
+        }
+        return match;
+      }
+      default:
+        return this.evaluate(node, scope);
+    }
+  }
+
+  notFound(description, container) {
+    const where = container && container.kind && container.kind !== 'application'
+      ? ` of ${describeReference(container)}` : '';
+    return new SimulatedScriptError(`Can’t get ${description}${where}.`, -1728);
+  }
+
+  ordinalIndex(which, length) {
+    return which === 'last' ? length
+      : which === 'middle' ? Math.ceil(length / 2)
+        : which === 'some' ? 1 + Math.floor(Math.random() * length)
+          : ORDINALS[which.toLowerCase()];
+  }
+
+  elementAt(container, cls, elements, index, description) {
+    const position = index < 0 ? elements.length + index : index - 1;
+    if (typeof index !== 'number' || position < 0 || position >= elements.length) {
+      const error = this.notFound(description, container);
+      error.message = error.message.replace(/\.$/, '. Invalid index.');
+      error.number = -1719;
+      throw error;
+    }
+    return elements[position];
+  }
+
+  elements(container, cls) {
+    if (!container || container.kind === 'application') {
+      if (cls === 'window') return this.windows.map(window => ({ kind: 'window', window }));
+      if (cls === 'document') return this.windows.map(window => ({ kind: 'document', window }));
+    }
+    if (container && container.kind === 'window' && cls === 'tab') {
+      return container.window.tabs.map(tab => ({ kind: 'tab', window: container.window, tab }));
+    }
+    throw new SimulatedScriptError(`Can’t get every ${cls} of ${formatValue(container)}.`, -1728);
+  }
+
+  filter(candidates, predicate, scope) {
+    if (Array.isArray(candidates)) {
+      return candidates
+        .map(item => (Array.isArray(item) ? this.filter(item, predicate, scope) : item))
+        .filter(item => Array.isArray(item) || this.matches(item, predicate, scope));
+    }
+    return this.matches(candidates, predicate, scope) ? candidates : [];
+  }
+
+  // Evaluate a whose-clause predicate with the candidate as the implicit container
+  matches(candidate, predicate, scope) {
+    switch (predicate.type) {
+      case 'and':
+        return this.matches(candidate, predicate.left, scope) && this.matches(candidate, predicate.right, scope);
+      case 'or':
+        return this.matches(candidate, predicate.left, scope) || this.matches(candidate, predicate.right, scope);
+      case 'not':
+        return !this.matches(candidate, predicate.operand, scope);
+      case 'truthy':
+        return Boolean(this.resolveIn(predicate.value, candidate, scope));
+      case 'compare':
+        return this.compare(predicate.operator,
+          this.resolveIn(predicate.left, candidate, scope),
+          this.evaluate(predicate.right, scope));
+      default:
+        throw syntaxError(`Unsupported predicate ${predicate.type}.`);
+    }
+  }
+
+  resolveIn(node, candidate, scope) {
+    if (node.type === 'name' || node.type === 'property') {
+      return this.resolve(node, candidate, scope);
+    }
+    if (node.type === 'of') {
+      return this.resolve(node.left, this.resolveIn(node.container, candidate, scope), scope);
+    }
+    return this.evaluate(node, scope);
+  }
+
+  test(condition, scope) {
+    switch (condition.type) {
+      case 'and':
+        return this.test(condition.left, scope) && this.test(condition.right, scope);
+      case 'or':
+        return this.test(condition.left, scope) || this.test(condition.right, scope);
+      case 'not':
+        return !this.test(condition.operand, scope);
+      case 'truthy':
+        return Boolean(this.evaluate(condition.value, scope));
+      case 'compare':
+        return this.compare(condition.operator, this.evaluate(condition.left, scope), this.evaluate(condition.right, scope));
+      default:
+        throw syntaxError(`Unsupported condition ${condition.type}.`);
+    }
+  }
+
+  compare(operator, left, right) {
+    const text = value => (value === null || value === undefined ? '' : String(value));
+    switch (operator) {
+      case 'equals':
+        return this.same(left, right);
+      case 'notEquals':
+        return !this.same(left, right);
+      case 'contains':
+        return Array.isArray(left) ? left.some(item => this.same(item, right)) : text(left).includes(text(right));
+      case 'notContains':
+        return !this.compare('contains', left, right);
+      case 'startsWith':
+        return text(left).startsWith(text(right));
+      case 'notStartsWith':
+        return !text(left).startsWith(text(right));
+      case 'endsWith':
+        return text(left).endsWith(text(right));
+      case 'notEndsWith':
+        return !text(left).endsWith(text(right));
+      case 'greater':
+        return left > right;
+      case 'less':
+        return left < right;
+      case 'in':
+        return this.compare('contains', right, left);
+      default:
+        throw syntaxError(`Unsupported operator ${operator}.`);
+    }
+  }
+
+  same(left, right) {
+    if (left && right && typeof left === 'object' && typeof right === 'object') {
+      return formatValue(left) === formatValue(right);
+    }
+    if (typeof left === 'string' && typeof right === 'string') {
+      return left.toLowerCase() === right.toLowerCase();
+    }
+    return left === right;
+  }
+
+  // --- Properties ---
+
+  classOf(ref) {
+    return ref && ref.kind;
+  }
+
+  findProperty(cls, name) {
+    const list = PROPERTIES[cls] || [];
+    return list.find(p => p.toLowerCase() === name.toLowerCase());
+  }
+
+  getProperty(ref, name) {
+    const cls = this.classOf(ref) || 'application';
+    const property = this.findProperty(cls, name);
+    if (!property) {
+      throw new SimulatedScriptError(`Can’t get ${name} of ${formatValue(ref)}.`, -1728);
+    }
+    switch (cls) {
+      case 'application':
+        if (property === 'name') return APPLICATION_NAME;
+        if (property === 'version') return this.version;
+        return this.frontmost;
+      case 'window': {
+        const window = this.liveWindow(ref);
+        const tab = currentTab(window);
+        switch (property) {
+          case 'name': return tab ? tab.name : '';
+          case 'id': return window.id;
+          case 'index': return this.windows.indexOf(window) + 1;
+          case 'bounds': return window.bounds.slice();
+          case 'document': return { kind: 'document', window };
+          case 'current tab': return { kind: 'tab', window, tab };
+          default: return window[property];
+        }
+      }
+      case 'document': {
+        const window = this.liveWindow(ref);
+        const tab = currentTab(window);
+        switch (property) {
+          case 'name': return tab.name;
+          case 'modified': return false;
+          case 'file': return null;
+          case 'URL': return tab.url;
+          default: return tab[property];
+        }
+      }
+      case 'tab': {
+        const tab = this.liveTab(ref);
+        switch (property) {
+          case 'URL': return tab.url;
+          case 'index': return ref.window.tabs.indexOf(tab) + 1;
+          case 'visible': return currentTab(ref.window) === tab && ref.window.visible;
+          default: return tab[property];
+        }
+      }
+      default:
+        throw new SimulatedScriptError(`Can’t get ${name} of ${formatValue(ref)}.`, -1728);
+    }
+  }
+
+  setProperty(ref, name, value) {
+    const cls = this.classOf(ref) || 'application';
+    const property = this.findProperty(cls, name);
+    const writable = property && WRITABLE_PROPERTIES[cls].includes(property);
+    if (!writable) {
+      throw new SimulatedScriptError(`Can’t set ${name} of ${formatValue(ref)} to ${formatValue(value)}.`, -10006);
+    }
+    if (cls === 'tab') {
+      this.navigate(this.liveTab(ref), this.coerceText(value));
+      return;
+    }
+    const window = this.liveWindow(ref);
+    if (cls === 'document') {
+      this.navigate(currentTab(window), this.coerceText(value));
+      return;
+    }
+    switch (property) {
+      case 'index': {
+        const index = Math.max(1, Math.min(this.windows.length, Number(value)));
+        this.windows.splice(this.windows.indexOf(window), 1);
+        this.windows.splice(index - 1, 0, window);
+        return;
+      }
+      case 'bounds':
+        if (!Array.isArray(value) || value.length !== 4 || !value.every(n => typeof n === 'number')) {
+          throw new SimulatedScriptError(`Can’t make ${formatValue(value)} into type rectangle.`, -1700);
+        }
+        window.bounds = value.slice();
+        return;
+      case 'current tab': {
+        if (!value || value.kind !== 'tab' || value.window !== window) {
+          throw new SimulatedScriptError(`Can’t set current tab of ${describeReference(ref)} to ${formatValue(value)}.`, -10006);
+        }
+        window.currentTab = window.tabs.indexOf(this.liveTab(value));
+        return;
+      }
+      default:
+        if (typeof value !== 'boolean') {
+          throw new SimulatedScriptError(`Can’t make ${formatValue(value)} into type boolean.`, -1700);
+        }
+        window[property] = value;
+    }
+  }
+
+  liveWindow(ref) {
+    if (!this.windows.includes(ref.window)) {
+      throw new SimulatedScriptError(`Can’t get ${describeReference(ref)}.`, -1728);
+    }
+    return ref.window;
+  }
+
+  liveTab(ref) {
+    this.liveWindow(ref);
+    if (!ref.window.tabs.includes(ref.tab)) {
+      throw new SimulatedScriptError(`Can’t get tab of ${describeReference({ kind: 'window', window: ref.window })}.`, -1728);
+    }
+    return ref.tab;
+  }
+
+  // --- Commands ---
+
+  command(node, scope) {
+    const value = field => (node[field] === undefined ? undefined : this.evaluate(node[field], scope));
+    switch (node.name) {
+      case 'count': {
+        const target = value('target');
+        return Array.isArray(target) ? target.length : this.coerceText(target).length;
+      }
+      case 'make':
+        return this.make(node.cls, node.at ? this.location(node.at, scope) : null, value('properties'));
+      case 'close':
+        this.forEachLeaf(value('target'), ref => this.close(ref));
+        return undefined;
+      case 'delete':
+        this.forEachLeaf(value('target'), ref => this.close(ref));
+        return undefined;
+      case 'exists':
+        try {
+          const target = value('target');
+          if (Array.isArray(target)) return target.length > 0;
+          if (target && target.kind === 'tab') this.liveTab(target);
+          else if (target && target.kind) this.liveWindow(target);
+          return true;
+        } catch (error) {
+          if (error instanceof SimulatedScriptError && (error.number === -1728 || error.number === -1719)) return false;
+          throw error;
+        }
+      case 'duplicate': {
+        const target = value('target');
+        if (!target || target.kind !== 'tab') {
+          throw new SimulatedScriptError('Safari got an error: AppleEvent handler failed.', -10000);
+        }
+        const destination = node.to ? this.location(node.to, scope) : { window: target.window, position: 'end' };
+        return this.insertTab(destination, this.createTab({ url: this.liveTab(target).url }));
+      }
+      case 'move': {
+        const target = value('target');
+        if (!target || target.kind !== 'tab') {
+          throw new SimulatedScriptError('Safari got an error: AppleEvent handler failed.', -10000);
+        }
+        const tab = this.liveTab(target);
+        const destination = this.location(node.to, scope);
+        target.window.tabs.splice(target.window.tabs.indexOf(tab), 1);
+        this.fixCurrentTab(target.window);
+        const moved = this.insertTab(destination, tab);
+        if (!target.window.tabs.length) this.removeWindow(target.window);
+        return moved;
+      }
+      case 'open': {
+        const target = value('target');
+        const path = target && target.kind === 'file' ? target.path : this.coerceText(target);
+        const window = this.createWindow({ tabs: [{ url: path.startsWith('file://') ? path : `file://${path}` }] });
+        this.windows.unshift(window);
+        return { kind: 'document', window };
+      }
+      case 'quit':
+        this.windows = [];
+        this.running = false;
+        return undefined;
+      case 'save':
+      case 'print':
+        this.forEachLeaf(value('target'), ref => (ref && ref.kind ? this.liveWindow(ref) : ref));
+        return undefined;
+      case 'doJavaScript': {
+        const code = this.coerceText(value('code'));
+        const target = node.in ? value('in') : this.frontDocument();
+        if (target && target.kind === 'tab') this.liveTab(target);
+        else if (target) this.liveWindow(target);
+        this.javascriptLog.push({ code, target: target ? describeReference(target) : null });
+        const result = this.javascript(code, target);
+        return result === undefined ? null : result;
+      }
+      case 'searchTheWeb': {
+        const query = this.coerceText(value('for'));
+        const target = node.in ? value('in') : null;
+        this.searches.push(query);
+        const url = `https://www.google.com/search?q=${encodeURIComponent(query)}`;
+        if (target && target.kind === 'tab') {
+          this.navigate(this.liveTab(target), url);
+        } else if (target) {
+          this.navigate(currentTab(this.liveWindow(target)), url);
+        } else {
+          const window = this.createWindow({ tabs: [{ url }] });
+          this.windows.unshift(window);
+        }
+        return undefined;
+      }
+      case 'emailContents': {
+        const target = node.of ? value('of') : this.frontDocument();
+        this.emailed.push(target ? describeReference(target) : null);
+        return undefined;
+      }
+      case 'addReadingListItem':
+        this.readingList.push({
+          url: this.coerceText(value('url')),
+          title: node.title ? this.coerceText(value('title')) : null,
+          previewText: node.previewText ? this.coerceText(value('previewText')) : null
+        });
+        return undefined;
+      case 'activate':
+      case 'launch':
+        this.running = true;
+        this.frontmost = node.name === 'activate' ? true : this.frontmost;
+        return undefined;
+      default:
+        return undefined;
+    }
+  }
+
+  frontDocument() {
+    return this.windows.length ? { kind: 'document', window: this.windows[0] } : null;
+  }
+
+  location(node, scope) {
+    const reference = this.evaluate(node.reference, scope);
+    if (Array.isArray(reference)) {
+      // `end of tabs of window 1` evaluates to the list of tabs of that window
+      const first = reference[0];
+      if (first && first.kind === 'tab') {
+        return { window: first.window, position: node.position };
+      }
+      throw new SimulatedScriptError('Can’t make a location from an empty list.', -1728);
+    }
+    if (reference && reference.kind === 'tab') {
+      return { window: reference.window, position: node.position, tab: this.liveTab(reference) };
+    }
+    if (reference && (reference.kind === 'window' || reference.kind === 'document')) {
+      return { window: this.liveWindow(reference), position: node.position };
+    }
+    return { window: null, position: node.position };
+  }
+
+  insertTab(destination, tab) {
+    const window = destination.window;
+    if (!window) {
+      throw new SimulatedScriptError('Can’t make a new tab without a window.', -10000);
+    }
+    let index = window.tabs.length;
+    if (destination.tab) {
+      index = window.tabs.indexOf(destination.tab) + (destination.position === 'after' ? 1 : 0);
+    } else if (destination.position === 'beginning') {
+      index = 0;
+    }
+    const current = currentTab(window);
+    window.tabs.splice(index, 0, tab);
+    if (current) window.currentTab = window.tabs.indexOf(current);
+    return { kind: 'tab', window, tab };
+  }
+
+  make(cls, destination, properties) {
+    const fields = properties && properties.kind === 'record' ? properties.fields : {};
+    const field = name => {
+      const key = Object.keys(fields).find(k => k.toLowerCase() === name.toLowerCase());
+      return key === undefined ? undefined : fields[key];
+    };
+    if (cls === 'tab') {
+      const url = field('URL');
+      const tab = this.createTab(url !== undefined ? { url: this.coerceText(url) } : {});
+      const target = destination || (this.windows.length ? { window: this.windows[0], position: 'end' } : null);
+      return this.insertTab(target || {}, tab);
+    }
+    const url = field('URL');
+    const window = this.createWindow({ tabs: [url !== undefined ? { url: this.coerceText(url) } : {}] });
+    this.windows.unshift(window);
+    const ref = { kind: 'window', window };
+    Object.keys(fields).forEach(key => {
+      if (key.toLowerCase() !== 'url' && cls === 'window') {
+        this.setProperty(ref, key, fields[key]);
+      }
+    });
+    return cls === 'document' ? { kind: 'document', window } : ref;
+  }
+
+  close(ref) {
+    if (!ref || !ref.kind || ref.kind === 'application') {
+      throw new SimulatedScriptError(`Can’t close ${formatValue(ref)}.`, -1708);
+    }
+    if (ref.kind === 'tab') {
+      const tab = this.liveTab(ref);
+      ref.window.tabs.splice(ref.window.tabs.indexOf(tab), 1);
+      if (!ref.window.tabs.length) {
+        this.removeWindow(ref.window);
+      } else {
+        this.fixCurrentTab(ref.window);
+      }
+      return;
+    }
+    this.removeWindow(this.liveWindow(ref));
+  }
+
+  removeWindow(window) {
+    const index = this.windows.indexOf(window);
+    if (index !== -1) this.windows.splice(index, 1);
+  }
+
+  fixCurrentTab(window) {
+    if (window.currentTab >= window.tabs.length) {
+      window.currentTab = window.tabs.length - 1;
+    }
+  }
+}
+
+// Executor that runs scripts against a SafariSimulator instead of osascript.
+// Failures are reported the way osascript reports them on stderr.
+function createSimulatorExecutor(simulator = new SafariSimulator()) {
+  return {
+    name: 'simulator',
+    simulator,
+    scripts: simulator.scripts,
+    async execute(script, options = {}) {
+      throwIfCancelled(options.signal);
+      if (options.logger) options.logger.debug('Running AppleScript', { script });
+      if (options.onAttempt) options.onAttempt(1);
+      try {
+        return simulator.run(script).trim();
+      } catch (error) {
+        if (!(error instanceof SimulatedScriptError)) throw error;
+        const stderr = error.kind === 'syntax'
+          ? `syntax error: ${error.message} (${error.number})`
+          : `execution error: ${APPLICATION_NAME} got an error: ${error.message} (${error.number})`;
+        throw toAppleScriptError({ message: stderr, stderr });
+      }
+    }
+  };
+}
+
+module.exports = {
+  SafariSimulator,
+  SimulatedScriptError,
+  createSimulatorExecutor,
+  parseScript,
+  tokenize
+};
@@ -0,0 +1,515 @@
+// Grammar for the object specifiers accepted in target_window / target_tab /
+// target_document and similar arguments. Arguments are parsed into a small
+// tree, validated against the registry's containment rules and rebuilt from that
+// tree, so nothing the caller typed reaches a script verbatim.
+//
+//   specifier := element ('of' element)*
+//   element   := ordinal CLASS                     front window, last tab
+//              | 'current tab'
+//              | CLASS integer                     window 1, tab -1
+//              | CLASS 'id' integer                window id 4512
+//              | CLASS string                      window "GitHub"
+//              | [ordinal] CLASS 'whose' test      tab whose URL contains "github"
+//   test      := property operator (string | number | boolean)
+//   location  := ('beginning' | 'end') 'of' specifier
+//              | ('before' | 'after') specifier
+//              | specifier
+//
+// Parsed specifiers share the shape of decoded results, e.g.
+// { type: 'tab', index: 3, window: { type: 'window', id: 4512 } }.
+
+const { quoteAppleScriptString } = require('./values');
+
+const ORDINALS = ['front', 'first', 'second', 'third', 'fourth', 'fifth',
+  'sixth', 'seventh', 'eighth', 'ninth', 'tenth', 'middle', 'last'];
+
+// Property types a whose-clause can compare with a literal
+const TESTABLE_TYPES = ['text', 'integer', 'real', 'number', 'boolean'];
+// Page contents are text too, but too large to compare or fetch by default
+const PAGE_CONTENTS = ['source', 'text'];
+
+// Registry → its grammar: the classes a specifier can name, where each
+// lives, their plurals, which have ids and the properties a whose-clause may
+// test. Built once per registry.
+const grammars = new WeakMap();
+
+function grammarOf(registry) {
+  if (!grammars.has(registry)) {
+    const classes = registry.elementClasses();
+    const grammar = {
+      classes,
+      containers: Object.fromEntries(classes.map(cls => [cls, registry.containerOf(cls)])),
+      plurals: Object.fromEntries(classes.map(cls => [registry.getClass(cls).plural, cls])),
+      identified: classes.filter(cls => registry.property(cls, 'id')),
+      testable: Object.fromEntries(classes.map(cls => [cls, registry.properties(cls)
+        .filter(property => TESTABLE_TYPES.includes(property.type) && !PAGE_CONTENTS.includes(property.name))
+        .map(property => property.name)]))
+    };
+    grammars.set(registry, grammar);
+  }
+  return grammars.get(registry);
+}
+
+// Properties a whose-clause on `cls` may test
+function testableProperties(registry, cls) {
+  return grammarOf(registry).testable[cls] || [];
+}
+
+// Operator keyword → canonical name, longest phrases first
+const OPERATORS = [
+  ['does not contain', 'does not contain'],
+  ['is not equal to', 'is not'],
+  ['is equal to', 'is'],
+  ['begins with', 'begins with'],
+  ['starts with', 'begins with'],
+  ['ends with', 'ends with'],
+  ['contains', 'contains'],
+  ['is not', 'is not'],
+  ['equals', 'is'],
+  ['is', 'is'],
+  ['!=', 'is not'],
+  ['≠', 'is not'],
+  ['=', 'is']
+];
+
+// Shown in error messages and tool descriptions
+const EXAMPLES = {
+  window: ['front window', 'window 1', 'window id 4512', 'window "name"'],
+  document: ['front document', 'document 1', 'document "name"'],
+  tab: ['current tab', 'tab 1', 'last tab', 'tab whose URL contains "text"']
+};
+
+class SpecifierError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SpecifierError';
+  }
+}
+
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+  while (i < input.length) {
+    const ch = input[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    if (ch === '"' || ch === '“') {
+      const close = ch === '"' ? '"' : '”';
+      let value = '';
+      i++;
+      while (i < input.length && input[i] !== close) {
+        if (input[i] === '\\' && i + 1 < input.length) {
+          value += input[i + 1];
+          i += 2;
+        } else {
+          value += input[i];
+          i++;
+        }
+      }
+      if (i >= input.length) {
+        throw new SpecifierError('unterminated string');
+      }
+      i++;
+      tokens.push({ type: 'string', value });
+      continue;
+    }
+    const number = /^-?\d+/.exec(input.slice(i));
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]) });
+      i += number[0].length;
+      continue;
+    }
+    const word = /^[A-Za-z]+/.exec(input.slice(i));
+    if (word) {
+      tokens.push({ type: 'word', value: word[0].toLowerCase(), text: word[0] });
+      i += word[0].length;
+      continue;
+    }
+    const symbol = /^(!=|≠|=)/.exec(input.slice(i));
+    if (symbol) {
+      tokens.push({ type: 'word', value: symbol[0], text: symbol[0] });
+      i += symbol[0].length;
+      continue;
+    }
+    throw new SpecifierError(`unexpected character "${ch}"`);
+  }
+  tokens.push({ type: 'end' });
+  return tokens;
+}
+
+class SpecifierParser {
+  constructor(input, grammar) {
+    this.grammar = grammar;
+    this.tokens = tokenize(input);
+    this.pos = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+  }
+
+  isWord(word, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'word' && token.value === word;
+  }
+
+  acceptPhrase(phrase) {
+    const words = phrase.split(' ');
+    if (!words.every((word, offset) => this.isWord(word, offset))) return false;
+    this.pos += words.length;
+    return true;
+  }
+
+  describe(token) {
+    if (token.type === 'end') return 'end of input';
+    if (token.type === 'string') return `"${token.value}"`;
+    return String(token.text !== undefined ? token.text : token.value);
+  }
+
+  expectEnd() {
+    if (this.peek().type !== 'end') {
+      throw new SpecifierError(`unexpected ${this.describe(this.peek())}`);
+    }
+  }
+
+  // Innermost element first, containers follow `of`
+  parseChain(allowEvery) {
+    const chain = [this.parseElement(allowEvery)];
+    while (this.acceptPhrase('of')) {
+      chain.push(this.parseElement(false));
+    }
+    return chain;
+  }
+
+  parseClass() {
+    const token = this.peek();
+    const { classes } = this.grammar;
+    if (token.type !== 'word' || !classes.includes(token.value)) {
+      throw new SpecifierError(`expected ${classes.slice(0, -1).join(', ')} or ${classes[classes.length - 1]} but found ${this.describe(token)}`);
+    }
+    this.pos++;
+    return token.value;
+  }
+
+  parseElement(allowEvery) {
+    if (this.acceptPhrase('current tab')) {
+      return { type: 'tab', position: 'current' };
+    }
+    const token = this.peek();
+    const { plurals } = this.grammar;
+    if (allowEvery && token.type === 'word' && Object.prototype.hasOwnProperty.call(plurals, token.value)) {
+      this.pos++;
+      return { type: plurals[token.value], every: true };
+    }
+    if (token.type === 'word' && ORDINALS.includes(token.value)) {
+      this.pos++;
+      const element = { type: this.parseClass(), position: token.value };
+      if (this.acceptPhrase('whose') || this.acceptPhrase('where')) {
+        element.whose = this.parseTest(element.type);
+      }
+      return element;
+    }
+    const type = this.parseClass();
+    const key = this.peek();
+    if (key.type === 'number') {
+      this.pos++;
+      if (key.value === 0) {
+        throw new SpecifierError(`${type} index must not be 0`);
+      }
+      return { type, index: key.value };
+    }
+    if (key.type === 'string') {
+      this.pos++;
+      return { type, name: key.value };
+    }
+    if (this.acceptPhrase('id')) {
+      const id = this.peek();
+      if (id.type !== 'number') {
+        throw new SpecifierError(`expected a number after "${type} id" but found ${this.describe(id)}`);
+      }
+      this.pos++;
+      return { type, id: id.value };
+    }
+    if (this.acceptPhrase('whose') || this.acceptPhrase('where')) {
+      return { type, whose: this.parseTest(type) };
+    }
+    throw new SpecifierError(`expected an index, id, name or whose clause after "${type}" but found ${this.describe(key)}`);
+  }
+
+  parseTest(type) {
+    const token = this.peek();
+    const testable = this.grammar.testable[type];
+    const property = token.type === 'word'
+      && testable.find(p => p.toLowerCase() === token.value);
+    if (!property) {
+      throw new SpecifierError(`${type} whose clause must test one of: ${testable.join(', ')}`);
+    }
+    this.pos++;
+    const operator = OPERATORS.find(([phrase]) => this.acceptPhrase(phrase));
+    if (!operator) {
+      throw new SpecifierError(`expected a comparison after "${property}" but found ${this.describe(this.peek())}`);
+    }
+    const value = this.peek();
+    this.pos++;
+    if (value.type === 'string' || value.type === 'number') {
+      return { property, operator: operator[1], value: value.value };
+    }
+    if (value.type === 'word' && (value.value === 'true' || value.value === 'false')) {
+      return { property, operator: operator[1], value: value.value === 'true' };
+    }
+    throw new SpecifierError(`expected a quoted string, number or boolean but found ${this.describe(value)}`);
+  }
+}
+
+// Turn an innermost-first chain into nested { type, ..., <container>: {...} }
+function linkChain(chain) {
+  let node = null;
+  for (let i = chain.length - 1; i >= 0; i--) {
+    const element = Object.assign({}, chain[i]);
+    if (node) element[node.type] = node;
+    node = element;
+  }
+  return node;
+}
+
+const KEYS = ['index', 'id', 'name', 'position', 'whose', 'every'];
+
+// Validate a specifier tree (parsed or supplied as JSON) against the classes
+// of `registry` and return a clean copy
+function validateSpecifier(registry, node, path = 'specifier') {
+  const grammar = grammarOf(registry);
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    throw new SpecifierError(`${path} must be an object`);
+  }
+  if (!grammar.classes.includes(node.type)) {
+    throw new SpecifierError(`${path} has unsupported class ${JSON.stringify(node.type)}`);
+  }
+  const type = node.type;
+  const keys = KEYS.filter(key => node[key] !== undefined && !(key === 'whose' && node.position));
+  if (keys.length !== 1) {
+    throw new SpecifierError(`${type} needs exactly one of index, id, name, position or whose`);
+  }
+  const clean = { type };
+  switch (keys[0]) {
+    case 'index':
+      if (!Number.isInteger(node.index) || node.index === 0) {
+        throw new SpecifierError(`${type} index must be a non-zero integer`);
+      }
+      clean.index = node.index;
+      break;
+    case 'id':
+      if (!grammar.identified.includes(type)) {
+        throw new SpecifierError(`${type} elements have no id`);
+      }
+      if (!Number.isInteger(node.id)) {
+        throw new SpecifierError(`${type} id must be an integer`);
+      }
+      clean.id = node.id;
+      break;
+    case 'name':
+      if (typeof node.name !== 'string') {
+        throw new SpecifierError(`${type} name must be a string`);
+      }
+      clean.name = node.name;
+      break;
+    case 'position':
+      if (node.position === 'current' ? type !== 'tab' : !ORDINALS.includes(node.position)) {
+        throw new SpecifierError(`${type} position must be one of ${ORDINALS.join(', ')}${type === 'tab' ? ', current' : ''}`);
+      }
+      clean.position = node.position;
+      break;
+    case 'every':
+      clean.every = true;
+      break;
+    default:
+      break;
+  }
+  if (node.whose !== undefined) {
+    const { property, operator, value } = node.whose || {};
+    if (!grammar.testable[type].includes(property)) {
+      throw new SpecifierError(`${type} whose clause must test one of: ${grammar.testable[type].join(', ')}`);
+    }
+    if (!OPERATORS.some(([, canonical]) => canonical === operator)) {
+      throw new SpecifierError(`unsupported whose operator ${JSON.stringify(operator)}`);
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof value)) {
+      throw new SpecifierError('whose value must be a string, number or boolean');
+    }
+    clean.whose = { property, operator, value };
+  }
+
+  const containerType = grammar.containers[type];
+  const container = containerType ? node[containerType] : null;
+  const stray = grammar.classes.filter(cls => cls !== containerType && node[cls] !== undefined);
+  if (stray.length) {
+    throw new SpecifierError(`${type} cannot be contained in a ${stray[0]}`);
+  }
+  if (containerType && !container) {
+    throw new SpecifierError(`${type} needs a ${containerType}, e.g. "${type === 'tab' ? 'tab 1' : type} of front ${containerType}"`);
+  }
+  if (container) {
+    const inner = validateSpecifier(registry, container, `${type}'s ${containerType}`);
+    if (inner.type !== containerType) {
+      throw new SpecifierError(`${type} must be contained in a ${containerType}, not a ${inner.type}`);
+    }
+    if (inner.every) {
+      throw new SpecifierError(`${containerType} container must be a single ${containerType}`);
+    }
+    clean[containerType] = inner;
+  }
+  return clean;
+}
+
+function describeInput(input) {
+  return typeof input === 'string' ? JSON.stringify(input) : 'specifier object';
+}
+
+// Parse `input` (text or a specifier object) as a specifier of class `cls`.
+// `container` is attached when the element is given without one, e.g. a
+// target_tab of "tab 2" together with a target_window of "window 1".
+function parseSpecifier(registry, input, cls, container) {
+  const grammar = grammarOf(registry);
+  let tree;
+  try {
+    if (typeof input === 'string') {
+      try {
+        tree = parseChainText(grammar, input.trim());
+      } catch (error) {
+        if (!(error instanceof SpecifierError) || !COMPLETION_LABEL.test(input)) throw error;
+        try {
+          tree = parseChainText(grammar, input.replace(COMPLETION_LABEL, '').trim());
+        } catch (labelError) {
+          throw error;
+        }
+      }
+    } else {
+      tree = input;
+    }
+    if (cls && (!tree || tree.type !== cls)) {
+      throw new SpecifierError(`expected a ${cls}`);
+    }
+    const containerType = tree && grammar.containers[tree.type];
+    if (container && containerType && tree[containerType] === undefined) {
+      tree = Object.assign({}, tree, { [containerType]: container });
+    }
+    return validateSpecifier(registry, tree);
+  } catch (error) {
+    if (!(error instanceof SpecifierError)) throw error;
+    const examples = cls ? ` (expected e.g. ${(EXAMPLES[cls] || [`${cls} 1`]).join(', ')})` : '';
+    throw new SpecifierError(`Invalid ${cls || 'object'} specifier ${describeInput(input)}: ${error.message}${examples}`);
+  }
+}
+
+// Completions describe objects as `window id 4512 — "GitHub"`; the label is
+// dropped when what precedes it is a specifier on its own
+const COMPLETION_LABEL = /\s+—\s+".*"\s*$/;
+
+function parseChainText(grammar, text) {
+  const parser = new SpecifierParser(text, grammar);
+  const tree = linkChain(parser.parseChain(false));
+  parser.expectEnd();
+  return tree;
+}
+
+function buildTest(test) {
+  const value = typeof test.value === 'string' ? quoteAppleScriptString(test.value) : String(test.value);
+  return `${test.property} ${test.operator} ${value}`;
+}
+
+// AppleScript source for a validated specifier tree. Its container, if any,
+// is the one key named after the class it holds, e.g. `window` in a tab.
+function buildSpecifier(node) {
+  let text;
+  if (node.every) {
+    text = `${node.type}s`;
+  } else if (node.position === 'current') {
+    text = 'current tab';
+  } else if (node.position) {
+    text = `${node.position} ${node.type}`;
+  } else if (node.index !== undefined) {
+    text = `${node.type} ${node.index}`;
+  } else if (node.id !== undefined) {
+    text = `${node.type} id ${node.id}`;
+  } else if (node.name !== undefined) {
+    text = `${node.type} ${quoteAppleScriptString(node.name)}`;
+  } else {
+    // A bare whose clause means the first match
+    text = `first ${node.type}`;
+  }
+  const containerType = Object.keys(node).find(key => node[key] && node[key].type === key);
+  if (containerType) {
+    text += ` of ${buildSpecifier(node[containerType])}`;
+  }
+  // The filter applies to the whole chain, so keep it from binding further out
+  if (node.whose) {
+    text = `(${text} whose ${buildTest(node.whose)})`;
+  }
+  return text;
+}
+
+// Parse and rebuild in one step; the usual way arguments reach a script
+function formatSpecifier(registry, input, cls, container) {
+  return buildSpecifier(parseSpecifier(registry, input, cls, container));
+}
+
+// Parse an insertion location such as `end of tabs of window 1`, `after tab 2
+// of window 1` or just `window 1`
+function parseLocation(registry, input, cls) {
+  try {
+    if (typeof input !== 'string') {
+      throw new SpecifierError('location must be a string');
+    }
+    const parser = new SpecifierParser(input.trim(), grammarOf(registry));
+    let position = null;
+    for (const candidate of ['beginning', 'end']) {
+      if (parser.isWord(candidate) && parser.isWord('of', 1)) {
+        parser.pos += 2;
+        position = candidate;
+      }
+    }
+    if (!position) {
+      position = ['before', 'after'].find(candidate => parser.acceptPhrase(candidate)) || null;
+    }
+    const tree = linkChain(parser.parseChain(position === 'beginning' || position === 'end'));
+    parser.expectEnd();
+    const reference = validateSpecifier(registry, tree);
+    if ((position === 'before' || position === 'after') && reference.every) {
+      throw new SpecifierError(`"${position}" needs a single element`);
+    }
+    if (cls && !position && reference.type !== cls) {
+      throw new SpecifierError(`expected a ${cls}`);
+    }
+    return { position, reference };
+  } catch (error) {
+    if (!(error instanceof SpecifierError)) throw error;
+    throw new SpecifierError(`Invalid location ${describeInput(input)}: ${error.message} (expected e.g. window 1, end of tabs of window 1, after tab 2 of front window)`);
+  }
+}
+
+function buildLocation(location) {
+  const reference = buildSpecifier(location.reference);
+  if (!location.position) return reference;
+  if (location.position === 'before' || location.position === 'after') {
+    return `${location.position} ${reference}`;
+  }
+  return `${location.position} of ${reference}`;
+}
+
+function formatLocation(registry, input, cls) {
+  return buildLocation(parseLocation(registry, input, cls));
+}
+
+module.exports = {
+  SpecifierError,
+  EXAMPLES,
+  testableProperties,
+  parseSpecifier,
+  validateSpecifier,
+  buildSpecifier,
+  formatSpecifier,
+  parseLocation,
+  buildLocation,
+  formatLocation
+};
@@ -0,0 +1,177 @@
+// Change tracking for tab resources.
+//
+// Safari sends no events, so the monitor polls: every interval it lists the
+// open tabs, and for each subscribed tab it fingerprints the URL, title and a
+// hash of the page text. A changed fingerprint sends
+// notifications/resources/updated for every subscribed URI of that tab; tabs
+// or windows opening or closing send notifications/resources/list_changed.
+// Polling runs at low priority, behind scripts clients are waiting for.
+
+const crypto = require('crypto');
+const { decodeAppleScriptValue } = require('./values');
+const { tellScript } = require('./tools');
+const { parseTabUri, listTabs } = require('./resources');
+const { buildSpecifier } = require('./specifiers');
+
+const DEFAULT_POLL_INTERVAL = 2000; // 2 seconds
+
+function tabKey(windowId, index) {
+  return `${windowId}/${index}`;
+}
+
+function hash(text) {
+  return crypto.createHash('sha1').update(String(text)).digest('hex');
+}
+
+class ResourceMonitor {
+  // notify(method, params) sends a notification to the client
+  constructor({ registry, executor, notify, logger, interval = DEFAULT_POLL_INTERVAL }) {
+    this.registry = registry;
+    this.executor = executor;
+    this.notify = notify;
+    this.logger = logger;
+    this.interval = interval;
+    // URI → tab key, for subscribed URIs
+    this.subscriptions = new Map();
+    // Tab key → fingerprint from the last poll; null once the tab is gone
+    this.fingerprints = new Map();
+    this.tabList = null;
+    this.watchingList = false;
+    this.timer = null;
+    this.polling = null;
+  }
+
+  // Fingerprints the tab before resolving, so a change made right after
+  // subscribing is reported by the next poll
+  async subscribe(uri) {
+    const { windowId, index } = parseTabUri(uri);
+    const key = tabKey(windowId, index);
+    this.subscriptions.set(uri, key);
+    this.start();
+    if (this.fingerprints.has(key)) return;
+    const fingerprint = await this.baseline(windowId, index);
+    // A poll may have got there first, or the client unsubscribed meanwhile
+    if (fingerprint !== undefined && !this.fingerprints.has(key) && this.subscriptions.get(uri) === key) {
+      this.fingerprints.set(key, fingerprint);
+    }
+  }
+
+  unsubscribe(uri) {
+    parseTabUri(uri);
+    const key = this.subscriptions.get(uri);
+    this.subscriptions.delete(uri);
+    if (key && ![...this.subscriptions.values()].includes(key)) {
+      this.fingerprints.delete(key);
+    }
+    this.updateTimer();
+  }
+
+  // Report list changes from now on; called once a client has listed
+  // resources and so has something to invalidate
+  watchList() {
+    this.watchingList = true;
+    this.start();
+  }
+
+  start() {
+    if (this.timer || !this.active()) return;
+    this.timer = setInterval(() => this.poll(), this.interval);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  // Stop watching for good, once the client is gone
+  stop() {
+    this.watchingList = false;
+    this.subscriptions.clear();
+    this.fingerprints.clear();
+    this.tabList = null;
+    this.stopTimer();
+  }
+
+  stopTimer() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  active() {
+    return this.watchingList || this.subscriptions.size > 0;
+  }
+
+  updateTimer() {
+    if (!this.active()) this.stopTimer();
+  }
+
+  // One polling round; overlapping rounds are skipped rather than queued
+  poll() {
+    if (!this.polling) {
+      this.polling = this.check()
+        .catch(error => this.logger.warning('Resource polling failed', { error: error.message }))
+        .finally(() => { this.polling = null; });
+    }
+    return this.polling;
+  }
+
+  async check() {
+    const tabs = await listTabs(this.registry, this.executor, { logger: this.logger, priority: 'low' });
+    const present = new Map(tabs.map(tab => [tabKey(tab.windowId, tab.index), tab]));
+
+    const list = [...present.keys()].join(',');
+    if (this.watchingList && this.tabList !== null && this.tabList !== list) {
+      this.logger.info('Open tabs changed');
+      this.notify('notifications/resources/list_changed', {});
+    }
+    this.tabList = list;
+
+    for (const key of new Set(this.subscriptions.values())) {
+      const tab = present.get(key);
+      const previous = this.fingerprints.get(key);
+      const fingerprint = tab ? await this.fingerprint(tab, previous) : null;
+      this.fingerprints.set(key, fingerprint);
+      if (previous === undefined || previous === fingerprint) continue;
+      for (const [uri, subscribed] of this.subscriptions) {
+        if (subscribed === key) {
+          this.logger.info('Resource changed', { uri });
+          this.notify('notifications/resources/updated', { uri });
+        }
+      }
+    }
+  }
+
+  // Fingerprint of the tab at `index` of window `windowId`: null when it is
+  // not open, undefined when it could not be read
+  async baseline(windowId, index) {
+    const specifier = buildSpecifier({ type: 'tab', index, window: { type: 'window', id: windowId } });
+    let name;
+    let url;
+    try {
+      [name, url] = decodeAppleScriptValue(await this.executor.execute(tellScript(this.registry, `return {name of ${specifier}, URL of ${specifier}}`), { logger: this.logger })) || [];
+    } catch (error) {
+      if (error.code === 'object_not_found') return null;
+      this.logger.warning('Resource fingerprint failed', { tab: tabKey(windowId, index), error: error.message, code: error.code });
+      return undefined;
+    }
+    return this.fingerprint({ windowId, index, name, url }, undefined);
+  }
+
+  // The tab's fingerprint, null once it is gone, or `previous` when it could
+  // not be read this round
+  async fingerprint(tab, previous) {
+    const specifier = buildSpecifier({ type: 'tab', index: tab.index, window: { type: 'window', id: tab.windowId } });
+    let text = '';
+    try {
+      text = decodeAppleScriptValue(await this.executor.execute(tellScript(this.registry, `return text of ${specifier}`), { logger: this.logger, priority: 'low' }));
+    } catch (error) {
+      // Closed between listing and reading; the next round sees it gone
+      if (error.code === 'object_not_found') return null;
+      // A timeout or a busy Safari says nothing about the page
+      this.logger.warning('Resource fingerprint failed', { tab: tabKey(tab.windowId, tab.index), error: error.message, code: error.code });
+      return previous;
+    }
+    return JSON.stringify([tab.url, tab.name, hash(text === null ? '' : text)]);
+  }
+}
+
+module.exports = {
+  DEFAULT_POLL_INTERVAL,
+  ResourceMonitor
+};
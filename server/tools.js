@@ -0,0 +1,761 @@
+// MCP tools derived from a Registry.
+//
+// Every property becomes a get_/set_ tool and every command one or more
+// tools. Names are kept compatible with earlier releases:
+//
+//   get_<property>_of_<class path>          get_url_of_tab_of_window
+//   set_<property>_of_<class path>          set_bounds_of_window
+//   <command>                               quit, do_javascript
+//   <command>_for_<class path>              close_for_tab_of_window
+//   <command>_<class path>                  make_window, count_tab_of_window
+//
+// Arguments are named <parameter>_<required|optional>_<type>, and objects are
+// addressed with target_<class>_required_string arguments parsed by
+// specifiers.js. A tool carries its schema, a script builder and a result
+// builder; the server only looks tools up and runs them.
+
+const { decodeAppleScriptValue, encodeParameter, quoteAppleScriptString, ValueEncodeError } = require('./values');
+const { EXAMPLES, parseSpecifier, buildSpecifier, formatSpecifier, formatLocation } = require('./specifiers');
+const { ROOT_CLASS } = require('./registry');
+const { APPLESCRIPT_TIMEOUT, MAX_TIMEOUT } = require('./executor');
+
+// Argument names that would clash with JavaScript keywords get a suffix
+const RESERVED_WORDS = ['in', 'for'];
+
+// Declared types replaced for encoding. Safari says `any`, but the server
+// only accepts object specifiers there.
+const TYPE_OVERRIDES = {
+  exists: { 'direct parameter': 'specifier' }
+};
+
+// MCP tool annotations by command. Commands not listed change state without
+// destroying anything and are not idempotent. The hints also give each
+// command its retry class (see retryFor).
+const COMMAND_ANNOTATIONS = {
+  'count': { readOnlyHint: true },
+  'exists': { readOnlyHint: true },
+  'close': { destructiveHint: true },
+  'delete': { destructiveHint: true },
+  'quit': { destructiveHint: true },
+  'do JavaScript': { destructiveHint: true },
+  'show bookmarks': { idempotentHint: true },
+  'show extensions preferences': { idempotentHint: true },
+  'show privacy report': { idempotentHint: true },
+  'show credit card settings': { idempotentHint: true },
+  'sync all plist to disk': { idempotentHint: true }
+};
+
+// Time limits in ms for one run of a tool's script. Reading a property is
+// quick, except for the text and source of big pages; commands not listed
+// get APPLESCRIPT_TIMEOUT.
+const READ_TIMEOUT = 5000;
+const PROPERTY_TIMEOUTS = {
+  text: 30000,
+  source: 30000
+};
+const COMMAND_TIMEOUTS = {
+  'count': READ_TIMEOUT,
+  'exists': READ_TIMEOUT,
+  'do JavaScript': 30000,
+  'search the web': 20000,
+  'email contents': 20000,
+  'print': 30000,
+  'save': 30000
+};
+
+// Accepted by every tool that runs a script
+const TIMEOUT_ARGUMENT = {
+  name: 'timeout_ms',
+  optional: true,
+  schema: {
+    type: 'integer',
+    minimum: 1,
+    maximum: MAX_TIMEOUT,
+    description: 'Time limit for the call in milliseconds, retries included; defaults to the tool\'s own limit'
+  }
+};
+
+const JSON_TYPES = {
+  integer: 'number',
+  real: 'number',
+  number: 'number',
+  boolean: 'boolean'
+};
+
+const RECTANGLE_HINT = ' ("left, top, right, bottom" or {x, y, width, height} as JSON)';
+
+function snake(name) {
+  return name.trim().replace(/\s+/g, '_');
+}
+
+function toolWord(name) {
+  return snake(name).toLowerCase();
+}
+
+function argumentWord(name) {
+  const word = snake(name);
+  return RESERVED_WORDS.includes(word) ? `${word}Param` : word;
+}
+
+function argumentName(name, optional, type) {
+  return `${argumentWord(name)}_${optional ? 'optional' : 'required'}_${snake(type)}`;
+}
+
+function targetName(cls) {
+  return `target_${cls}_required_string`;
+}
+
+function present(value) {
+  return value !== undefined && value !== null;
+}
+
+// JSON schema for a value of an AppleScript type
+function schemaFor(registry, type, description) {
+  const schema = { type: JSON_TYPES[type] || 'string' };
+  const enumerators = registry.enumerators(type);
+  if (enumerators) schema.enum = enumerators;
+  schema.description = type === 'rectangle' ? `${description}${RECTANGLE_HINT}` : description;
+  return schema;
+}
+
+function targetArgument(cls) {
+  const examples = EXAMPLES[cls] ? ` (e.g., ${EXAMPLES[cls].map(example => JSON.stringify(example)).join(', ')})` : '';
+  return {
+    name: targetName(cls),
+    key: cls,
+    type: cls,
+    target: true,
+    optional: false,
+    description: `The ${cls} object to access${examples}`
+  };
+}
+
+// Specifier tree for the innermost class of `path` from its target arguments
+function resolveTarget(registry, path, args) {
+  let node;
+  for (const cls of [...path].reverse()) {
+    node = parseSpecifier(registry, args[targetName(cls)], cls, node);
+  }
+  return node;
+}
+
+function tellScript(registry, statement) {
+  return `
+      tell application ${quoteAppleScriptString(registry.application)}
+        ${statement}
+      end tell
+    `;
+}
+
+function encodeArgument(registry, argument, value) {
+  const enumerators = registry.enumerators(argument.type);
+  if (enumerators) {
+    const constant = String(value).trim().toLowerCase();
+    if (!enumerators.includes(constant)) {
+      throw new ValueEncodeError(`${argument.name}: Expected one of ${enumerators.join(', ')}, got ${JSON.stringify(value)}`);
+    }
+    return constant;
+  }
+  return encodeParameter(registry, argument.name, value, argument.type);
+}
+
+function checkArguments(tool, args) {
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    throw new Error('arguments must be an object');
+  }
+  for (const name of Object.keys(args)) {
+    if (!tool.arguments.some(argument => argument.name === name)) {
+      throw new Error(`Unknown argument ${name}`);
+    }
+  }
+  for (const argument of tool.arguments) {
+    if (argument.optional) continue;
+    const value = args[argument.name];
+    if (argument.target) {
+      if (!value || typeof value !== 'string') {
+        throw new Error(`${argument.name} is required and must be a string`);
+      }
+    } else if (!present(value)) {
+      throw new Error(`${argument.name} is required`);
+    }
+  }
+  if (present(args.timeout_ms)) {
+    const timeout = args.timeout_ms;
+    if (!Number.isInteger(timeout) || timeout < 1 || timeout > MAX_TIMEOUT) {
+      throw new Error(`timeout_ms must be an integer from 1 to ${MAX_TIMEOUT}`);
+    }
+  }
+}
+
+// Arguments echoed back in results, keyed by their short name
+function echo(tool, args) {
+  const echoed = {};
+  for (const argument of tool.arguments) {
+    if (!argument.key) continue;
+    echoed[argument.key] = present(args[argument.name]) ? args[argument.name] : null;
+  }
+  return echoed;
+}
+
+// --- Output schemas ---
+
+function nullable(schema) {
+  return Object.assign({}, schema, { type: [schema.type, 'null'] });
+}
+
+const SPECIFIER_SCHEMA = {
+  type: 'object',
+  description: 'Object specifier, e.g. {"type": "tab", "index": 3, "window": {"type": "window", "id": 4512}}',
+  properties: { type: { type: 'string' } },
+  required: ['type']
+};
+
+const RECTANGLE_SCHEMA = {
+  type: 'object',
+  properties: {
+    x: { type: 'number' },
+    y: { type: 'number' },
+    width: { type: 'number' },
+    height: { type: 'number' }
+  }
+};
+
+// JSON schema for a decoded value of an AppleScript type; `missing value`
+// decodes to null, and types without a fixed JSON form accept anything
+function valueSchema(registry, type) {
+  if (!type) return {};
+  if (type.startsWith('list of ')) {
+    return nullable({ type: 'array', items: valueSchema(registry, type.slice('list of '.length)) });
+  }
+  if (type === 'rectangle') return nullable(RECTANGLE_SCHEMA);
+  if (type === 'specifier' || registry.isClass(type)) return nullable(SPECIFIER_SCHEMA);
+  if (JSON_TYPES[type]) return nullable({ type: JSON_TYPES[type] });
+  if (type === 'text' || registry.enumerators(type)) return nullable({ type: 'string' });
+  return {};
+}
+
+// Fields of every result: the outcome, the script and the arguments echoed
+// back, plus `output` for what the tool itself returns. Failures carry
+// `error`, `tool` and `args` instead, and for script errors the typed
+// `code`, the AppleScript error `number` and a `hint`. Tools that run a
+// script report its `attempts` either way.
+function outputSchemaFor(registry, definition) {
+  const properties = {
+    success: { type: 'boolean', description: 'Whether the call succeeded' },
+    error: { type: 'string', description: 'Why the call failed' },
+    code: { type: 'string', description: 'Machine-readable error code, e.g. object_not_found or automation_denied' },
+    number: { type: 'integer', description: 'AppleScript error number' },
+    hint: { type: 'string', description: 'What to do about the error' },
+    tool: { type: 'string' },
+    args: { type: 'object' }
+  };
+  if (!definition.run) {
+    properties.script = { type: 'string', description: 'The AppleScript that was run' };
+    properties.attempts = { type: 'integer', description: 'Times the script was run, counting retries' };
+  }
+  for (const argument of definition.arguments) {
+    if (argument.key) properties[argument.key] = { description: `The ${argument.name} argument as given` };
+  }
+  let output = definition.output;
+  if (!output) {
+    const command = definition.command ? registry.getCommand(definition.command) : null;
+    const result = command && command.result ? command.result.types[0] : null;
+    output = { message: Object.assign(valueSchema(registry, result), { description: 'Result of the command' }) };
+  }
+  return { type: 'object', properties: Object.assign(properties, output), required: ['success'] };
+}
+
+// Hints for clients deciding what needs approval. Getters, queries and
+// dictionary lookups only read; setters can be repeated safely.
+function annotationsFor(kind, command) {
+  if (kind === 'get' || kind === 'query' || kind === 'explore') {
+    return { readOnlyHint: true };
+  }
+  if (kind === 'set') {
+    return { readOnlyHint: false, destructiveHint: false, idempotentHint: true };
+  }
+  const hints = COMMAND_ANNOTATIONS[command] || {};
+  if (hints.readOnlyHint) return { readOnlyHint: true };
+  return {
+    readOnlyHint: false,
+    destructiveHint: Boolean(hints.destructiveHint),
+    idempotentHint: Boolean(hints.idempotentHint)
+  };
+}
+
+// Retry class of a tool's script (see RETRY_CLASSES in executor.js): reads
+// are safe, setters and idempotent commands idempotent, and every other
+// command (make, close, quit, do JavaScript, add reading list item, ...)
+// unsafe
+function retryFor(kind, command) {
+  const annotations = annotationsFor(kind, command);
+  if (annotations.readOnlyHint) return 'safe';
+  return annotations.idempotentHint ? 'idempotent' : 'unsafe';
+}
+
+// Default time limit for one run of a tool's script
+function timeoutFor(kind, command, property) {
+  if (property && PROPERTY_TIMEOUTS[property]) return PROPERTY_TIMEOUTS[property];
+  if (kind === 'get' && property) return READ_TIMEOUT;
+  return COMMAND_TIMEOUTS[command] || APPLESCRIPT_TIMEOUT;
+}
+
+// Assemble a tool; `statement(args)` returns the AppleScript statement and
+// `shape(output, args, script)` the result object. Tools that never talk to
+// the application give `run(args)` instead and get no script. `check(args)`
+// validates arguments without building anything. Tools with a script also
+// take timeout_ms and carry their default `timeout` and their scheduling
+// `priority`: 'high' for cheap reads, else 'normal'.
+function defineTool(registry, definition) {
+  const argumentList = definition.run ? definition.arguments : definition.arguments.concat(TIMEOUT_ARGUMENT);
+  const properties = {};
+  const required = [];
+  for (const argument of argumentList) {
+    properties[argument.name] = argument.schema || schemaFor(registry, argument.type, argument.description);
+    if (!argument.optional) required.push(argument.name);
+  }
+  const tool = Object.assign({}, definition, {
+    annotations: definition.annotations || annotationsFor(definition.kind, definition.command),
+    retry: definition.retry || retryFor(definition.kind, definition.command),
+    arguments: argumentList,
+    inputSchema: {
+      type: 'object',
+      properties,
+      required,
+      additionalProperties: false
+    },
+    outputSchema: outputSchemaFor(registry, definition)
+  });
+  delete tool.statement;
+  delete tool.shape;
+  delete tool.output;
+  tool.check = (args = {}) => checkArguments(tool, args);
+  if (definition.run) {
+    tool.run = (args = {}) => {
+      checkArguments(tool, args);
+      return definition.run(args);
+    };
+    return tool;
+  }
+  tool.timeout = definition.timeout || timeoutFor(definition.kind, definition.command, definition.property);
+  tool.priority = tool.retry === 'safe' && tool.timeout <= READ_TIMEOUT ? 'high' : 'normal';
+  tool.script = (args = {}) => {
+    checkArguments(tool, args);
+    return tellScript(registry, definition.statement(args));
+  };
+  tool.result = (output, args = {}, script) => definition.shape(output, args, script);
+  return tool;
+}
+
+// Results are built only for scripts that returned; failures reject with an
+// AppleScriptError and are reported by the server
+function commandResult(tool, output, args, script) {
+  return Object.assign({
+    success: true,
+    message: decodeAppleScriptValue(output),
+    script: script
+  }, echo(tool, args));
+}
+
+// --- Properties ---
+
+const SET_OUTPUT = {
+  message: { type: 'string' },
+  value: { description: 'The value that was set, as given' }
+};
+
+function propertyTools(registry, cls, property) {
+  const path = registry.path(cls);
+  const targets = path.map(targetArgument);
+  const where = cls === ROOT_CLASS ? 'application' : path.map(toolWord).join('_of_');
+  const suffix = property.description.toLowerCase().includes(cls.toLowerCase()) ? '' : ` of ${cls}`;
+  const reference = args => (path.length
+    ? `${property.name} of ${buildSpecifier(resolveTarget(registry, path, args))}`
+    : property.name);
+
+  const tools = [];
+  const getter = defineTool(registry, {
+    name: `get_${toolWord(property.name)}_of_${where}`,
+    description: `Get ${property.description}${suffix}`,
+    kind: 'get',
+    className: cls,
+    property: property.name,
+    arguments: targets,
+    output: { value: Object.assign(valueSchema(registry, property.type), { description: `The ${property.name} (${property.type})` }) },
+    statement: args => `return ${reference(args)}`,
+    shape: (output, args, script) => Object.assign({
+      success: true,
+      value: decodeAppleScriptValue(output, property.type),
+      script: script
+    }, echo(getter, args))
+  });
+  tools.push(getter);
+
+  if (property.access.includes('w')) {
+    const value = {
+      name: `value_required_${snake(property.type)}`,
+      key: 'value',
+      type: property.type,
+      optional: false,
+      description: `New value for ${property.description}`
+    };
+    const encodeValue = args => {
+      if (!registry.isClass(property.type)) {
+        return encodeArgument(registry, value, args[value.name]);
+      }
+      // A bare "tab 2" refers to an element of the object being changed
+      const container = registry.containerOf(property.type) === cls ? resolveTarget(registry, path, args) : undefined;
+      return formatSpecifier(registry, args[value.name], property.type, container);
+    };
+    const setter = defineTool(registry, {
+      name: `set_${toolWord(property.name)}_of_${where}`,
+      description: `Set ${property.description}${suffix}`,
+      kind: 'set',
+      className: cls,
+      property: property.name,
+      arguments: targets.concat(value),
+      output: SET_OUTPUT,
+      statement: args => `set ${reference(args)} to ${encodeValue(args)}`,
+      shape: (output, args, script) => Object.assign({
+        success: true,
+        message: "Property set successfully",
+        value: args[value.name],
+        script: script
+      }, echo(setter, args))
+    });
+    tools.push(setter);
+  }
+  return tools;
+}
+
+// --- Commands ---
+
+function parameterArguments(command) {
+  const overrides = TYPE_OVERRIDES[command.name] || {};
+  const parameters = (command.directParameter ? [command.directParameter] : []).concat(command.parameters);
+  return parameters.map(parameter => ({
+    name: argumentName(parameter.name, parameter.optional, parameter.types[0] || 'any'),
+    key: snake(parameter.name),
+    type: overrides[parameter.name] || parameter.types[0] || 'any',
+    optional: parameter.optional,
+    description: parameter.description,
+    parameter
+  }));
+}
+
+// `close document 1 saving no`: the direct parameter follows the command,
+// named parameters follow in dictionary order. `values` maps parameter
+// names to encoded text, null when omitted.
+function renderCommand(command, values, head = command.name) {
+  let text = head;
+  const direct = values['direct parameter'];
+  if (present(direct)) text += ` ${direct}`;
+  for (const parameter of command.parameters) {
+    const value = values[parameter.name];
+    if (present(value)) text += ` ${parameter.name} ${value}`;
+  }
+  return text;
+}
+
+function encodeArguments(registry, argumentList, args) {
+  const values = {};
+  for (const argument of argumentList) {
+    if (!argument.parameter) continue;
+    values[argument.parameter.name] = present(args[argument.name])
+      ? encodeArgument(registry, argument, args[argument.name])
+      : null;
+  }
+  return values;
+}
+
+// Mention the targeted class in a command description
+function describeFor(registry, description, path) {
+  const words = path.join(' of ');
+  const mention = new RegExp(`\\ban? (${Object.keys(registry.classes).join('|')})\\b`);
+  const match = description.match(mention);
+  if (match) {
+    // A description already naming the targeted class reads fine as it is
+    return match[1] === path[0] ? description : description.replace(mention, `a ${words}`);
+  }
+  return `${description.replace(/\.$/, '')} for ${words}.`;
+}
+
+function plainTool(registry, command, argumentList, name, description) {
+  const tool = defineTool(registry, {
+    name,
+    description,
+    kind: 'command',
+    command: command.name,
+    arguments: argumentList,
+    statement: args => renderCommand(command, encodeArguments(registry, argumentList, args)),
+    shape: (output, args, script) => commandResult(tool, output, args, script)
+  });
+  return tool;
+}
+
+function targetedTool(registry, command, argumentList, targetArgumentSpec, cls) {
+  const path = registry.path(cls);
+  const others = argumentList.filter(argument => argument !== targetArgumentSpec);
+  const tool = defineTool(registry, {
+    name: `${toolWord(command.name)}_for_${path.map(toolWord).join('_of_')}`,
+    description: describeFor(registry, command.description, path),
+    kind: 'command',
+    command: command.name,
+    className: cls,
+    arguments: path.map(targetArgument).concat(others),
+    statement: args => {
+      const values = encodeArguments(registry, others, args);
+      values[targetArgumentSpec.parameter.name] = buildSpecifier(resolveTarget(registry, path, args));
+      return renderCommand(command, values);
+    },
+    shape: (output, args, script) => commandResult(tool, output, args, script)
+  });
+  return tool;
+}
+
+// Commands such as make and count that take a class (`new`, `each`) get a
+// tool per element class. The element's container is given as the `at`
+// location when the command has one, otherwise as target arguments.
+function elementTool(registry, command, argumentList, typeArgument, cls) {
+  const path = registry.path(cls);
+  const container = registry.containerOf(cls);
+  const containerPath = container ? registry.path(container) : [];
+  const words = path.join(' of ');
+
+  const argumentsForClass = [];
+  const propertyArguments = [];
+  let containerIsTarget = false;
+  for (const argument of argumentList) {
+    if (argument === typeArgument) continue;
+    if (argument.parameter === command.directParameter && argument.type === 'specifier') {
+      // The direct parameter is the container being counted in
+      if (container) {
+        containerIsTarget = true;
+        argumentsForClass.push(...containerPath.map(targetArgument));
+      }
+      continue;
+    }
+    if (argument.type === 'location specifier' && container) {
+      argumentsForClass.push(Object.assign({}, argument, {
+        name: `${argumentWord(argument.parameter.name)}_required_location_specifier_${container}`,
+        optional: false,
+        containerClass: container,
+        description: `The ${container} location where the ${cls} should be created (e.g., "${container} 1")`
+      }));
+      continue;
+    }
+    if (argument.type === 'record' && argument.parameter.name === 'with properties') {
+      for (const property of registry.properties(cls).filter(p => p.access.includes('w'))) {
+        propertyArguments.push({
+          name: `with_properties_optional_${snake(property.type)}_${toolWord(property.name)}`,
+          key: toolWord(property.name),
+          type: property.type,
+          optional: true,
+          description: `Optional ${property.name} property: ${property.description}`,
+          property
+        });
+      }
+      argumentsForClass.push(...propertyArguments);
+      continue;
+    }
+    argumentsForClass.push(argument);
+  }
+
+  const statement = args => {
+    const values = {};
+    for (const argument of argumentsForClass) {
+      if (!argument.parameter || !present(args[argument.name])) continue;
+      values[argument.parameter.name] = argument.containerClass
+        ? formatLocation(registry, args[argument.name], argument.containerClass)
+        : encodeArgument(registry, argument, args[argument.name]);
+    }
+    const assigned = propertyArguments
+      .filter(argument => present(args[argument.name]) && args[argument.name] !== '')
+      .map(argument => {
+        const value = registry.isClass(argument.type)
+          ? formatSpecifier(registry, args[argument.name], argument.type)
+          : encodeArgument(registry, argument, args[argument.name]);
+        return `${argument.property.name}:${value}`;
+      });
+    if (assigned.length) values['with properties'] = `{${assigned.join(', ')}}`;
+
+    let head = `${command.name} ${typeArgument.parameter.name} ${cls}`;
+    if (containerIsTarget) head += ` of ${buildSpecifier(resolveTarget(registry, containerPath, args))}`;
+    return renderCommand(command, values, head);
+  };
+
+  const tool = defineTool(registry, {
+    name: `${toolWord(command.name)}_${path.map(toolWord).join('_of_')}`,
+    description: command.description.replace(/\ban object\b/, `a ${words}`).replace(/\bobject\b/, words),
+    kind: 'command',
+    command: command.name,
+    className: cls,
+    arguments: argumentsForClass,
+    statement,
+    shape: (output, args, script) => commandResult(tool, output, args, script)
+  });
+  return tool;
+}
+
+function commandTools(registry, command) {
+  const argumentList = parameterArguments(command);
+  const name = toolWord(command.name);
+
+  const typeArgument = argumentList.find(argument => argument.type === 'type');
+  if (typeArgument) {
+    return registry.elementClasses().map(cls => elementTool(registry, command, argumentList, typeArgument, cls));
+  }
+
+  const target = argumentList.find(argument => argument.parameter.types.includes('specifier'));
+  const respondents = target ? registry.respondents(command.name) : [];
+  if (respondents.length === 0) {
+    return [plainTool(registry, command, argumentList, name, command.description)];
+  }
+
+  const tools = [];
+  const otherTypes = target.parameter.types.filter(type => type !== 'specifier');
+  if (otherTypes.length) {
+    // e.g. print_file: the direct parameter may also be given as files
+    const type = otherTypes[0];
+    const kind = type.replace(/^list of /, '');
+    const retyped = argumentList.map(argument => (argument === target
+      ? Object.assign({}, argument, { name: argumentName(target.parameter.name, target.optional, type), type })
+      : argument));
+    tools.push(plainTool(registry, command, retyped, `${name}_${snake(kind)}`, `${command.description} (${kind} input)`));
+  } else if (target.optional) {
+    const untargeted = argumentList.filter(argument => argument !== target);
+    tools.push(plainTool(registry, command, untargeted, name, `${command.description} (without target specification)`));
+  }
+  for (const cls of respondents) {
+    tools.push(targetedTool(registry, command, argumentList, target, cls));
+  }
+  return tools;
+}
+
+// --- Generic property access ---
+
+const OBJECT_ARGUMENT = {
+  name: 'object_optional_specifier',
+  key: 'object',
+  type: 'specifier',
+  optional: true,
+  description: 'Path to the object, e.g. "tab 2 of window id 123", "front window" or "document 1"; omit for the application itself'
+};
+
+const PROPERTY_ARGUMENT = {
+  name: 'property_required_text',
+  key: 'property',
+  type: 'text',
+  optional: false,
+  description: 'Name of the property, e.g. "URL", "visible" or "current tab"'
+};
+
+// Parse the object path and look the property up on its class
+function resolveProperty(registry, args, writing) {
+  const object = present(args.object_optional_specifier) && String(args.object_optional_specifier).trim() !== ''
+    ? parseSpecifier(registry, args.object_optional_specifier)
+    : null;
+  const cls = object ? object.type : ROOT_CLASS;
+  const property = registry.property(cls, args.property_required_text);
+  if (!property) {
+    const names = registry.properties(cls).map(candidate => candidate.name);
+    throw new Error(`${cls} has no property ${JSON.stringify(args.property_required_text)}; expected one of: ${names.join(', ')}`);
+  }
+  if (writing && !property.access.includes('w')) {
+    throw new Error(`${property.name} of ${cls} is read-only`);
+  }
+  const reference = object ? `${property.name} of ${buildSpecifier(object)}` : property.name;
+  return { object, cls, property, reference };
+}
+
+function propertyAccessTools(registry) {
+  const getter = defineTool(registry, {
+    name: 'get_property',
+    description: 'Get any property of any object, checked against the class model. Returns the decoded value with its declared type.',
+    kind: 'get',
+    arguments: [OBJECT_ARGUMENT, PROPERTY_ARGUMENT],
+    output: {
+      value: { description: 'The decoded value' },
+      type: { type: 'string', description: 'Declared type of the property' },
+      class: { type: 'string', description: 'Class of the object' },
+      property: { type: 'string', description: 'Property name as declared' }
+    },
+    statement: args => `return ${resolveProperty(registry, args, false).reference}`,
+    shape: (output, args, script) => {
+      const { cls, property } = resolveProperty(registry, args, false);
+      return Object.assign({
+        success: true,
+        value: decodeAppleScriptValue(output, property.type),
+        type: property.type,
+        class: cls,
+        script: script
+      }, echo(getter, args), { property: property.name });
+    }
+  });
+
+  const value = {
+    name: 'value_required_any',
+    key: 'value',
+    type: 'any',
+    optional: false,
+    schema: { description: 'New value, in the form its property type expects (see describe_class)' }
+  };
+  const setter = defineTool(registry, {
+    name: 'set_property',
+    description: 'Set any writable property of any object, checked against the class model.',
+    kind: 'set',
+    arguments: [OBJECT_ARGUMENT, PROPERTY_ARGUMENT, value],
+    output: Object.assign({ property: { type: 'string', description: 'Property name as declared' } }, SET_OUTPUT),
+    statement: args => {
+      const { object, cls, property, reference } = resolveProperty(registry, args, true);
+      const typed = Object.assign({}, value, { type: property.type });
+      let encoded;
+      if (registry.isClass(property.type)) {
+        // A bare "tab 2" refers to an element of the object being changed
+        const container = object && registry.containerOf(property.type) === cls ? object : undefined;
+        encoded = formatSpecifier(registry, args[value.name], property.type, container);
+      } else {
+        encoded = encodeArgument(registry, typed, args[value.name]);
+      }
+      return `set ${reference} to ${encoded}`;
+    },
+    shape: (output, args, script) => Object.assign({
+      success: true,
+      message: "Property set successfully",
+      script: script
+    }, echo(setter, args), { property: resolveProperty(registry, args, true).property.name })
+  });
+
+  return [getter, setter];
+}
+
+// All tools for a registry, suite by suite: commands, then properties
+function buildTools(registry) {
+  const tools = [];
+  for (const suite of registry.suites) {
+    for (const command of Object.values(registry.commands)) {
+      if (command.suite === suite.name) tools.push(...commandTools(registry, command));
+    }
+    for (const cls of Object.values(registry.classes)) {
+      for (const property of cls.properties) {
+        if (property.suite === suite.name) tools.push(...propertyTools(registry, cls.name, property));
+      }
+    }
+  }
+  return tools.concat(propertyAccessTools(registry));
+}
+
+module.exports = {
+  buildTools,
+  annotationsFor,
+  retryFor,
+  timeoutFor,
+  defineTool,
+  schemaFor,
+  targetArgument,
+  targetName,
+  resolveTarget,
+  tellScript,
+  encodeArgument,
+  toolWord
+};
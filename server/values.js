@@ -0,0 +1,581 @@
+// Conversion between AppleScript source-form values and JSON.
+//
+// osascript is run with `-s s`, which prints results the way Script Editor
+// shows them: strings quoted, lists in braces, object specifiers in full.
+// That output is parsed here into plain JSON values. In the other direction,
+// arguments are encoded into AppleScript literals by their declared type.
+
+const { ROOT_CLASS } = require('./registry');
+
+// Reference types that are not classes of the dictionary
+const REFERENCE_TYPES = ['specifier', 'location specifier'];
+
+class ValueParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValueParseError';
+  }
+}
+
+class ValueEncodeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValueEncodeError';
+  }
+}
+
+function tokenizeValue(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    if (ch === '"') {
+      let value = '';
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\' && i + 1 < text.length) {
+          const next = text[i + 1];
+          value += next === 'n' ? '\n' : next === 'r' ? '\r' : next === 't' ? '\t' : next;
+          i += 2;
+        } else {
+          value += text[i];
+          i++;
+        }
+      }
+      if (i >= text.length) throw new ValueParseError('Unterminated string');
+      i++;
+      tokens.push({ type: 'string', value });
+      continue;
+    }
+    if (ch === '|') {
+      const end = text.indexOf('|', i + 1);
+      if (end === -1) throw new ValueParseError('Unterminated |identifier|');
+      tokens.push({ type: 'word', value: text.slice(i + 1, end) });
+      i = end + 1;
+      continue;
+    }
+    if (ch === '«') {
+      const end = text.indexOf('»', i + 1);
+      if (end === -1) throw new ValueParseError('Unterminated «raw code»');
+      tokens.push({ type: 'raw', value: text.slice(i, end + 1) });
+      i = end + 1;
+      continue;
+    }
+    const number = /^-?\d+(\.\d+)?(E[+-]?\d+)?/i.exec(text.slice(i));
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]) });
+      i += number[0].length;
+      continue;
+    }
+    const word = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(i));
+    if (word) {
+      tokens.push({ type: 'word', value: word[0] });
+      i += word[0].length;
+      continue;
+    }
+    if ('{},:'.includes(ch)) {
+      tokens.push({ type: 'punct', value: ch });
+      i++;
+      continue;
+    }
+    throw new ValueParseError(`Unexpected character "${ch}"`);
+  }
+  tokens.push({ type: 'eof' });
+  return tokens;
+}
+
+class ValueParser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset];
+  }
+
+  isWord(word, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'word' && token.value === word;
+  }
+
+  isPunct(value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'punct' && token.value === value;
+  }
+
+  expectPunct(value) {
+    if (!this.isPunct(value)) {
+      throw new ValueParseError(`Expected "${value}"`);
+    }
+    this.pos++;
+  }
+
+  parseAll() {
+    const value = this.parseValue();
+    if (this.peek().type !== 'eof') {
+      throw new ValueParseError('Unexpected trailing input');
+    }
+    return value;
+  }
+
+  parseValue() {
+    const token = this.peek();
+    switch (token.type) {
+      case 'string':
+        this.pos++;
+        return token.value;
+      case 'number':
+        this.pos++;
+        return token.value;
+      case 'raw':
+        this.pos++;
+        return token.value;
+      case 'punct':
+        if (token.value === '{') {
+          this.pos++;
+          return this.parseListOrRecord();
+        }
+        throw new ValueParseError(`Unexpected "${token.value}"`);
+      case 'word':
+        return this.parseWordValue();
+      default:
+        throw new ValueParseError('Unexpected end of value');
+    }
+  }
+
+  parseWordValue() {
+    if (this.isWord('true')) {
+      this.pos++;
+      return true;
+    }
+    if (this.isWord('false')) {
+      this.pos++;
+      return false;
+    }
+    if (this.isWord('missing') && this.isWord('value', 1)) {
+      this.pos += 2;
+      return null;
+    }
+    if (this.isWord('date') && this.peek(1).type === 'string') {
+      this.pos += 2;
+      return { type: 'date', text: this.tokens[this.pos - 1].value };
+    }
+    if (this.isWord('POSIX') && this.isWord('file', 1) && this.peek(2).type === 'string') {
+      this.pos += 3;
+      return { type: 'file', path: this.tokens[this.pos - 1].value };
+    }
+    if ((this.isWord('file') || this.isWord('alias')) && this.peek(1).type === 'string') {
+      this.pos += 2;
+      return { type: this.tokens[this.pos - 2].value, path: this.tokens[this.pos - 1].value };
+    }
+    if (this.classWords(0) > 0) {
+      return this.parseSpecifier();
+    }
+    // Enumerated constants (yes, no, ask, ...) and other bare terms
+    const words = [];
+    while (this.peek().type === 'word') {
+      words.push(this.peek().value);
+      this.pos++;
+    }
+    return words.join(' ');
+  }
+
+  startsElement(offset) {
+    const token = this.peek(offset);
+    return token.type === 'number' || token.type === 'string' || this.isWord('id', offset);
+  }
+
+  // Number of words naming a class at `offset` when an element key follows
+  // them, else 0. Source form always gives references as `<class> <key>`,
+  // so they are recognised without the application's dictionary.
+  classWords(offset) {
+    let count = 0;
+    while (this.peek(offset + count).type === 'word' && !this.isWord('id', offset + count) && !this.isWord('of', offset + count)) {
+      count++;
+    }
+    return count > 0 && this.startsElement(offset + count) ? count : 0;
+  }
+
+  // specifier := element ('of' element)*, innermost first
+  parseSpecifier() {
+    const chain = [this.parseElement()];
+    while (this.isWord('of') && this.classWords(1) > 0) {
+      this.pos++;
+      chain.push(this.parseElement());
+    }
+    return linkSpecifierChain(chain);
+  }
+
+  parseElement() {
+    const words = [];
+    for (let count = this.classWords(0); count > 0; count--) {
+      words.push(this.peek().value);
+      this.pos++;
+    }
+    const type = words.join(' ');
+    const element = { type };
+    if (this.isWord('id')) {
+      this.pos++;
+      element.id = this.parseValue();
+    } else if (this.peek().type === 'number') {
+      element.index = this.peek().value;
+      this.pos++;
+    } else if (this.peek().type === 'string') {
+      element.name = this.peek().value;
+      this.pos++;
+    } else if (type !== ROOT_CLASS) {
+      throw new ValueParseError(`Expected element key after "${type}"`);
+    }
+    return element;
+  }
+
+  parseListOrRecord() {
+    if (this.isPunct('}')) {
+      this.pos++;
+      return [];
+    }
+    if (this.isRecordKey()) {
+      const record = {};
+      do {
+        const words = [];
+        while (this.peek().type === 'word') {
+          words.push(this.peek().value);
+          this.pos++;
+        }
+        this.expectPunct(':');
+        record[words.join(' ')] = this.parseValue();
+      } while (this.acceptComma());
+      this.expectPunct('}');
+      return record;
+    }
+    const items = [];
+    do {
+      items.push(this.parseValue());
+    } while (this.acceptComma());
+    this.expectPunct('}');
+    return items;
+  }
+
+  acceptComma() {
+    if (!this.isPunct(',')) return false;
+    this.pos++;
+    return true;
+  }
+
+  isRecordKey() {
+    let offset = 0;
+    while (this.peek(offset).type === 'word') offset++;
+    return offset > 0 && this.isPunct(':', offset);
+  }
+}
+
+// Nest an innermost-first element chain as { type, key, <container type>: container }.
+// The application container is implied and dropped unless it stands alone.
+function linkSpecifierChain(chain) {
+  const elements = chain.length > 1 && chain[chain.length - 1].type === 'application'
+    ? chain.slice(0, -1) : chain;
+  let node = null;
+  for (let i = elements.length - 1; i >= 0; i--) {
+    const element = Object.assign({}, elements[i]);
+    if (node) element[node.type] = node;
+    node = element;
+  }
+  return node;
+}
+
+// Parse osascript `-s s` output into a JSON value
+function parseAppleScriptValue(text) {
+  return new ValueParser(tokenizeValue(text)).parseAll();
+}
+
+// Rectangles come back as {left, top, right, bottom}
+function toRectangle(value) {
+  if (!Array.isArray(value) || value.length !== 4 || !value.every(n => typeof n === 'number')) {
+    return value;
+  }
+  const [left, top, right, bottom] = value;
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+// Decode raw osascript output, shaping it by the expected type when known.
+// Output that does not parse is returned as the trimmed text.
+function decodeAppleScriptValue(text, type) {
+  if (text === undefined || text === null) return null;
+  const trimmed = String(text).trim();
+  if (trimmed === '') return null;
+  let value;
+  try {
+    value = parseAppleScriptValue(trimmed);
+  } catch (error) {
+    if (!(error instanceof ValueParseError)) throw error;
+    return trimmed;
+  }
+  if (type === 'rectangle') return toRectangle(value);
+  return value;
+}
+
+// --- Encoding ---
+
+function describeInput(value) {
+  return typeof value === 'string' ? JSON.stringify(value) : String(JSON.stringify(value));
+}
+
+// Characters that cannot appear literally inside a quoted literal: control
+// characters (NUL cannot even be passed to osascript), line and paragraph
+// separators, curly quotes, the byte order mark and unpaired surrogates.
+const UNQUOTABLE = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F\u2028\u2029\u201C\u201D\uFEFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g;
+
+function escapeLiteral(text) {
+  return `"${text
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t')}"`;
+}
+
+// AppleScript string literal for arbitrary text. This is the only place user
+// text is turned into script source; characters a literal cannot hold are
+// spliced in as `(character id N)`, in which case the whole expression is
+// parenthesised so it stays a single operand.
+function quoteAppleScriptString(text) {
+  const value = String(text);
+  const parts = [];
+  let last = 0;
+  for (const match of value.matchAll(UNQUOTABLE)) {
+    if (match.index > last) parts.push(escapeLiteral(value.slice(last, match.index)));
+    parts.push(`(character id ${match[0].charCodeAt(0)})`);
+    last = match.index + match[0].length;
+  }
+  if (parts.length === 0) return escapeLiteral(value);
+  if (last < value.length) parts.push(escapeLiteral(value.slice(last)));
+  return `(${parts.join(' & ')})`;
+}
+
+function encodeNumber(value, integer) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number) || (integer && !Number.isInteger(number))) {
+    throw new ValueEncodeError(`Expected ${integer ? 'an integer' : 'a number'}, got ${describeInput(value)}`);
+  }
+  return String(number);
+}
+
+function encodeBoolean(value) {
+  if (value === true || value === 'true') return 'true';
+  if (value === false || value === 'false') return 'false';
+  throw new ValueEncodeError(`Expected a boolean, got ${describeInput(value)}`);
+}
+
+const RECTANGLE_KEYS = ['x', 'y', 'width', 'height'];
+
+// Accepts [left, top, right, bottom], {x, y, width, height} or "left, top, right, bottom"
+function encodeRectangle(value) {
+  let bounds = value;
+  if (typeof value === 'string' && /^\s*(\[|\{\s*")/.test(value)) {
+    return encodeRectangle(parseJsonInput(value, 'a rectangle'));
+  }
+  if (typeof value === 'string') {
+    bounds = value.replace(/^\s*[{[]|[}\]]\s*$/g, '').split(',').map(part => part.trim());
+  } else if (value && !Array.isArray(value) && typeof value === 'object') {
+    const missing = RECTANGLE_KEYS.filter(key => value[key] === undefined || value[key] === null);
+    if (missing.length > 0) {
+      throw new ValueEncodeError(`Expected a rectangle as {x, y, width, height}, missing ${missing.join(', ')}`);
+    }
+    // Numbers given as strings are added, not concatenated
+    const [x, y, width, height] = RECTANGLE_KEYS.map(key => Number(encodeNumber(value[key], false)));
+    bounds = [x, y, x + width, y + height];
+  }
+  if (!Array.isArray(bounds) || bounds.length !== 4) {
+    throw new ValueEncodeError(`Expected a rectangle of four numbers, got ${describeInput(value)}`);
+  }
+  return `{${bounds.map(n => encodeNumber(n, false)).join(', ')}}`;
+}
+
+function parseJsonInput(value, expected) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new ValueEncodeError(`Expected ${expected} as JSON, got ${describeInput(value)}`);
+  }
+}
+
+function encodeList(registry, value, itemType) {
+  let items = value;
+  if (typeof value === 'string') {
+    items = value.trim().startsWith('[') ? parseJsonInput(value, 'a list') : [value];
+  }
+  if (!Array.isArray(items)) items = [items];
+  return `{${items.map(item => encodeAppleScriptValue(registry, item, itemType)).join(', ')}}`;
+}
+
+function encodeRecordKey(key) {
+  if (/^[A-Za-z][A-Za-z0-9_]*( [A-Za-z][A-Za-z0-9_]*)*$/.test(key)) return key;
+  if (/[|\\]/.test(key) || new RegExp(UNQUOTABLE.source).test(key) || /[\t\n\r]/.test(key)) {
+    throw new ValueEncodeError(`Record key ${describeInput(key)} cannot contain "|", "\\" or control characters`);
+  }
+  return `|${key}|`;
+}
+
+function encodeRecord(value) {
+  const record = parseJsonInput(value, 'a record');
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    throw new ValueEncodeError(`Expected a record, got ${describeInput(value)}`);
+  }
+  const fields = Object.entries(record).map(([key, field]) => `${encodeRecordKey(key)}:${encodeAny(field)}`);
+  return `{${fields.join(', ')}}`;
+}
+
+// Dates are written in the long US form, which AppleScript's date parser accepts
+function encodeDate(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    if (typeof value === 'string' && value.trim() !== '') {
+      return `date ${quoteAppleScriptString(value)}`;
+    }
+    throw new ValueEncodeError(`Expected a date, got ${describeInput(value)}`);
+  }
+  const text = date.toLocaleString('en-US', {
+    weekday: 'long', year: 'numeric', month: 'long', day: 'numeric',
+    hour: 'numeric', minute: '2-digit', second: '2-digit'
+  }).replace(/, (\d{1,2}:\d{2})/, ' at $1');
+  return `date ${quoteAppleScriptString(text)}`;
+}
+
+function encodeFile(value) {
+  let path = value && typeof value === 'object' ? value.path : value;
+  if (typeof path !== 'string' || path === '') {
+    throw new ValueEncodeError(`Expected a file path, got ${describeInput(value)}`);
+  }
+  if (path.startsWith('file://')) {
+    path = decodeURIComponent(new URL(path).pathname);
+  }
+  return `POSIX file ${quoteAppleScriptString(path)}`;
+}
+
+function encodeEnumeration(allowed, value) {
+  const constant = String(value).trim().toLowerCase();
+  if (!allowed.includes(constant)) {
+    throw new ValueEncodeError(`Expected one of ${allowed.join(', ')}, got ${describeInput(value)}`);
+  }
+  return constant;
+}
+
+function encodeAny(value) {
+  if (value === null || value === undefined) return 'missing value';
+  if (typeof value === 'string') return quoteAppleScriptString(value);
+  if (typeof value === 'number') return encodeNumber(value, false);
+  if (typeof value === 'boolean') return encodeBoolean(value);
+  if (Array.isArray(value)) return `{${value.map(encodeAny).join(', ')}}`;
+  if (value instanceof Date) return encodeDate(value);
+  return encodeRecord(value);
+}
+
+// Encode a JSON value as an AppleScript literal of the given declared type.
+// Enumerations and object references are checked against `registry`.
+function encodeAppleScriptValue(registry, value, type) {
+  if (type.startsWith('list of ')) {
+    return encodeList(registry, value, type.slice('list of '.length));
+  }
+  const enumerators = registry.enumerators(type);
+  if (enumerators) {
+    return encodeEnumeration(enumerators, value);
+  }
+  if (REFERENCE_TYPES.includes(type) || (registry.isClass(type) && type !== ROOT_CLASS)) {
+    // Required lazily: specifiers.js builds on quoteAppleScriptString
+    const { formatSpecifier, formatLocation, SpecifierError } = require('./specifiers');
+    try {
+      if (type === 'location specifier') return formatLocation(registry, value);
+      return formatSpecifier(registry, value, type === 'specifier' ? undefined : type);
+    } catch (error) {
+      if (error instanceof SpecifierError) throw new ValueEncodeError(error.message);
+      throw error;
+    }
+  }
+  switch (type) {
+    case 'text':
+    case 'saveable file format':
+      return quoteAppleScriptString(typeof value === 'string' ? value : JSON.stringify(value));
+    case 'integer':
+      return encodeNumber(value, true);
+    case 'real':
+    case 'number':
+      return encodeNumber(value, false);
+    case 'boolean':
+      return encodeBoolean(value);
+    case 'rectangle':
+      return encodeRectangle(value);
+    case 'list':
+      return encodeList(registry, value, 'any');
+    case 'record':
+    case 'print settings':
+      return encodeRecord(value);
+    case 'date':
+      return encodeDate(value);
+    case 'file':
+      return encodeFile(value);
+    case 'any':
+      return encodeAny(value);
+    default:
+      throw new ValueEncodeError(`Unknown parameter type "${type}"`);
+  }
+}
+
+// Property types that prefix a `with_properties_<type>_<property>` parameter
+const PROPERTY_TYPES = ['text', 'integer', 'real', 'boolean', 'rectangle', 'tab', 'window', 'document', 'date', 'file'];
+
+// Declared type from a parameter name such as `value_required_rectangle`,
+// `direct_parameter_required_list_of_file` or `with_properties_optional_text_url`
+function parameterType(name) {
+  const match = /_(?:required|optional)_(.+)$/.exec(name);
+  if (!match) {
+    throw new ValueEncodeError(`Parameter "${name}" does not declare a type`);
+  }
+  const declared = match[1];
+  if (name.startsWith('target_')) {
+    return name.split('_')[1];
+  }
+  if (name.startsWith('with_properties_')) {
+    const prefix = PROPERTY_TYPES.find(type => declared.startsWith(`${type}_`));
+    if (prefix) return prefix;
+  }
+  if (declared.startsWith('location_specifier')) {
+    return 'location specifier';
+  }
+  if (declared === 'string') {
+    return 'text';
+  }
+  return declared.replace(/_/g, ' ');
+}
+
+// Encode a tool argument by its declared type, read from the name unless
+// given; absent values stay null
+function encodeParameter(registry, name, value, type = parameterType(name)) {
+  if (value === undefined || value === null) return null;
+  try {
+    return encodeAppleScriptValue(registry, value, type);
+  } catch (error) {
+    if (error instanceof ValueEncodeError) {
+      throw new ValueEncodeError(`${name}: ${error.message}`);
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  ValueParseError,
+  ValueEncodeError,
+  parseAppleScriptValue,
+  decodeAppleScriptValue,
+  linkSpecifierChain,
+  toRectangle,
+  quoteAppleScriptString,
+  encodeAppleScriptValue,
+  encodeParameter,
+  parameterType
+};
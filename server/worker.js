@@ -0,0 +1,250 @@
+// Persistent osascript worker.
+//
+// The one-shot executor starts an osascript process for every script, and
+// every tool call runs at least two (the availability check, then the
+// tool's own). The worker executor keeps one process open instead:
+// osascript-worker.jxa reads JSON requests from stdin, compiles each script
+// with OSAKit (once per distinct source) and answers on stdout with the
+// result in source form or the error as osascript prints it, so results,
+// typed errors, retries and timeouts behave as with osascript -s s.
+//
+// The process is started on first use and again after it dies. A script
+// that times out or is cancelled cannot be interrupted inside the worker,
+// so the process is killed and the next script starts a new one. When the
+// worker cannot be started, scripts run through one-shot osascript; after
+// MAX_FAILED_STARTS failures in a row, or one where the command could not be
+// run at all, it is not tried again.
+//
+// The worker answers one script at a time, so the executor reports
+// `maxConcurrency: 1` and a scheduler in front of it keeps the others queued
+// (where their budget is counted) whatever SAFARI_MCP_CONCURRENCY says. The
+// time limit of a run starts when its script is sent to the process.
+//
+// `command` and `args` choose the worker process, so anything speaking the
+// same line protocol can stand in for it, e.g. a Node script on Linux.
+
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+const { Logger } = require('./logger');
+const { AppleScriptError, isLaunchFailure, timeoutError } = require('./errors');
+const {
+  MAX_RETRIES,
+  TIMEOUT_BUDGET,
+  CancelledError,
+  throwIfCancelled,
+  runOsascript,
+  executeWithRetries
+} = require('./executor');
+
+const WORKER_SCRIPT = path.join(__dirname, 'osascript-worker.jxa');
+const START_TIMEOUT = 10000; // 10 seconds
+const MAX_FAILED_STARTS = 3;
+
+const defaultLogger = new Logger();
+
+// Failure of the worker process itself rather than of a script. It is not a
+// permanent code, so safe scripts are retried on a new process.
+function workerError(message) {
+  return new AppleScriptError(`AppleScript error: ${message}`, {
+    code: 'script_error',
+    hint: 'The osascript worker stopped unexpectedly; it is restarted for the next script.'
+  });
+}
+
+class OsascriptWorker {
+  constructor(options = {}) {
+    this.command = options.command || 'osascript';
+    this.args = options.args || ['-l', 'JavaScript', WORKER_SCRIPT];
+    this.startTimeout = options.startTimeout || START_TIMEOUT;
+    this.logger = options.logger || defaultLogger;
+    this.child = null;
+    // Resolves once the running process said it is ready
+    this.starting = null;
+    // The request being answered: {id, child, resolve, reject}
+    this.current = null;
+    // Requests are sent one at a time; each waits for the one before
+    this.idle = Promise.resolve();
+    this.nextId = 1;
+    this.failedStarts = 0;
+  }
+
+  // Whether to keep trying the worker rather than one-shot osascript
+  get usable() {
+    return this.failedStarts < MAX_FAILED_STARTS;
+  }
+
+  start() {
+    if (this.starting) return this.starting;
+    const child = spawn(this.command, this.args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    this.child = child;
+    this.starting = new Promise((resolve, reject) => {
+      let ready = false;
+      const timer = setTimeout(() => {
+        reject(new Error(`worker did not start within ${this.startTimeout} ms`));
+      }, this.startTimeout);
+
+      readline.createInterface({ input: child.stdout }).on('line', line => {
+        let message;
+        try {
+          message = JSON.parse(line);
+        } catch (error) {
+          this.logger.notice('AppleScript worker output', { line });
+          return;
+        }
+        if (!ready && message.ready) {
+          ready = true;
+          clearTimeout(timer);
+          this.failedStarts = 0;
+          this.logger.info('AppleScript worker started', { pid: child.pid });
+          resolve();
+          return;
+        }
+        this.answer(child, message);
+      });
+      child.stderr.setEncoding('utf8');
+      child.stderr.on('data', data => this.logger.notice('AppleScript stderr', { stderr: data.trim() }));
+      // Writes to a process that just died fail here and through 'exit'
+      child.stdin.on('error', () => {});
+
+      child.on('error', error => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      child.on('exit', (code, signal) => {
+        clearTimeout(timer);
+        const how = signal || `code ${code}`;
+        if (!ready) {
+          reject(new Error(`worker exited during startup (${how})`));
+          return;
+        }
+        this.logger.info('AppleScript worker exited', { code, signal });
+        this.retire(child);
+        if (this.current && this.current.child === child) {
+          this.current.reject(workerError(`osascript worker exited (${how})`));
+          this.current = null;
+        }
+      });
+    });
+    this.starting.catch(error => {
+      // A command that cannot be run at all will not start on a later try
+      this.failedStarts = isLaunchFailure(error) ? MAX_FAILED_STARTS : this.failedStarts + 1;
+      this.logger.warning('AppleScript worker failed to start', { error: error.message, failures: this.failedStarts });
+      this.retire(child);
+    });
+    return this.starting;
+  }
+
+  answer(child, message) {
+    const request = this.current;
+    if (!request || request.child !== child || message.id !== request.id) {
+      this.logger.notice('Unexpected AppleScript worker message', { message });
+      return;
+    }
+    this.current = null;
+    if (typeof message.error === 'string') {
+      // Decoded by executeWithRetries exactly like osascript's stderr
+      request.reject(Object.assign(new Error(message.error), { stderr: message.error }));
+    } else {
+      request.resolve({ stdout: String(message.output === undefined ? '' : message.output), stderr: '' });
+    }
+  }
+
+  // One run of `script`, with the signature of runOsascript. A timeout or
+  // cancellation kills the process.
+  run(script, timeout, signal) {
+    const turn = this.idle.then(() => this.send(script, timeout, signal));
+    this.idle = turn.catch(() => {});
+    return turn;
+  }
+
+  async send(script, timeout, signal) {
+    throwIfCancelled(signal);
+    await this.start();
+    throwIfCancelled(signal);
+    const child = this.child;
+    if (!child) throw workerError('osascript worker exited before the script was sent');
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      const finish = () => {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+      const stop = error => {
+        finish();
+        if (this.current && this.current.id === id) this.current = null;
+        this.retire(child);
+        reject(error);
+      };
+      const timer = setTimeout(() => stop(timeoutError(timeout)), timeout);
+      const onAbort = () => stop(new CancelledError());
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      this.current = {
+        id,
+        child,
+        resolve: value => { finish(); resolve(value); },
+        reject: error => { finish(); reject(error); }
+      };
+      child.stdin.write(JSON.stringify({ id, script }) + '\n');
+    });
+  }
+
+  // Stop `child` and make the next script start a new process
+  retire(child) {
+    if (this.child === child) {
+      this.child = null;
+      this.starting = null;
+    }
+    if (child.exitCode === null && child.signalCode === null) child.kill();
+  }
+
+  stop() {
+    if (this.child) {
+      this.child.stdin.end();
+      this.retire(this.child);
+    }
+  }
+}
+
+// Executor running scripts on a persistent worker, falling back to one-shot
+// osascript while the worker cannot be started. Options are those of
+// createOsascriptExecutor plus `command`, `args` and `logger` for the worker.
+function createWorkerExecutor(options = {}) {
+  const retries = options.retries !== undefined ? options.retries : MAX_RETRIES;
+  const budget = options.budget || TIMEOUT_BUDGET;
+  const worker = new OsascriptWorker(options);
+
+  async function run(script, timeout, signal) {
+    if (worker.usable) {
+      try {
+        await worker.start();
+      } catch (error) {
+        // Logged by start; this script runs one-shot instead
+      }
+      if (worker.child) return worker.run(script, timeout, signal);
+    }
+    return runOsascript(script, timeout, signal);
+  }
+
+  return {
+    name: 'osascript-worker',
+    budget,
+    maxConcurrency: 1,
+    worker,
+    execute(script, executeOptions = {}) {
+      return executeWithRetries(run, script, retries, Object.assign({}, executeOptions, {
+        budget: executeOptions.budget || budget
+      }));
+    },
+    close() {
+      worker.stop();
+    }
+  };
+}
+
+module.exports = {
+  WORKER_SCRIPT,
+  MAX_FAILED_STARTS,
+  OsascriptWorker,
+  createWorkerExecutor
+};
@@ -0,0 +1,67 @@
+// ping and notifications/cancelled: a cancelled request stops its script and
+// gets no response.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { SafariMCPServer, createFakeExecutor } = require('../server/index');
+
+function createServer(executor) {
+  const sent = [];
+  const server = new SafariMCPServer({
+    executor,
+    stdio: false,
+    output: {
+      write: line => {
+        const message = JSON.parse(line);
+        if ('id' in message) sent.push(message);
+      }
+    }
+  });
+  return { server, sent };
+}
+
+function send(server, message) {
+  return server.handleMessage(JSON.stringify(Object.assign({ jsonrpc: '2.0' }, message)));
+}
+
+const READ_TEXT = {
+  name: 'get_text_of_tab_of_window',
+  arguments: { target_tab_required_string: 'tab 1', target_window_required_string: 'window 1' }
+};
+
+test('ping is answered with an empty result', async () => {
+  const { server, sent } = createServer(createFakeExecutor());
+  await send(server, { id: 'p', method: 'ping' });
+  assert.deepStrictEqual(sent, [{ jsonrpc: '2.0', id: 'p', result: {} }]);
+  server.close();
+});
+
+test('a cancelled tool call stops its script and is not answered', async () => {
+  let signal;
+  const executor = createFakeExecutor();
+  executor.execute = (original => (script, options = {}) => {
+    if (script.includes('text of')) signal = options.signal;
+    return original(script, options);
+  })(executor.execute);
+  executor.respond('text of', () => new Promise(() => {}));
+  const { server, sent } = createServer(executor);
+
+  const running = send(server, { id: 7, method: 'tools/call', params: READ_TEXT });
+  while (!signal) await new Promise(resolve => setImmediate(resolve));
+  await send(server, { method: 'notifications/cancelled', params: { requestId: 7, reason: 'user' } });
+  await running;
+
+  assert.strictEqual(signal.aborted, true);
+  assert.deepStrictEqual(sent, []);
+  assert.strictEqual(server.pending.size, 0);
+  server.close();
+});
+
+test('cancelling an unknown or finished request changes nothing', async () => {
+  const { server, sent } = createServer(createFakeExecutor());
+  await send(server, { id: 1, method: 'ping' });
+  await send(server, { method: 'notifications/cancelled', params: { requestId: 1 } });
+  await send(server, { method: 'notifications/cancelled', params: { requestId: 'unknown' } });
+  assert.deepStrictEqual(sent, [{ jsonrpc: '2.0', id: 1, result: {} }]);
+  server.close();
+});
@@ -0,0 +1,52 @@
+// Argument completion: live objects from the simulator, enum values and
+// suggestions for free-text types.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  SafariMCPServer,
+  SafariSimulator,
+  createSimulatorExecutor,
+  createFakeExecutor
+} = require('../server/index');
+
+function createServer(executor) {
+  return new SafariMCPServer({ executor, stdio: false, output: { write() {} } });
+}
+
+async function complete(server, tool, name, value, context) {
+  const result = await server.handleCompletionComplete({
+    params: { ref: { type: 'ref/tool', name: tool }, argument: { name, value }, context }
+  });
+  return result.completion.values;
+}
+
+test('windows complete to their ids labelled with their names', async () => {
+  const simulator = new SafariSimulator({ windows: [{ tabs: [{ url: 'https://example.com/', name: 'Example' }] }] });
+  const server = createServer(createSimulatorExecutor(simulator));
+  const values = await complete(server, 'get_url_of_tab_of_window', 'target_window_required_string', '');
+  assert.deepStrictEqual(values, ['front window', `window id ${simulator.windows[0].id} — "Example"`]);
+  server.close();
+});
+
+test('enumerated arguments complete to their constants', async () => {
+  const server = createServer(createFakeExecutor());
+  assert.deepStrictEqual(await complete(server, 'close_for_document', 'saving_optional_save_options', 'a'), ['ask']);
+  server.close();
+});
+
+test('save formats complete to suggestions and are sent as text', async () => {
+  const executor = createFakeExecutor();
+  const server = createServer(executor);
+  const values = await complete(server, 'save_for_document', 'as_optional_saveable_file_format', 'web');
+  assert.deepStrictEqual(values, ['com.apple.webarchive']);
+
+  await server.handleToolsCall({
+    params: {
+      name: 'save_for_document',
+      arguments: { target_document_required_string: 'document 1', as_optional_saveable_file_format: values[0] }
+    }
+  });
+  assert.match(executor.lastScript(), /save document 1 as "com\.apple\.webarchive"\n/);
+  server.close();
+});
@@ -0,0 +1,128 @@
+// executeWithRetries: which failures are retried, how many runs a script
+// gets and how long each may take, with a scripted `run` in place of
+// osascript.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { MAX_TIMEOUT, createFakeExecutor, executeWithRetries } = require('../server/executor');
+const { SafariMCPServer } = require('../server/index');
+const { OsascriptWorker } = require('../server/worker');
+const { Logger } = require('../server/logger');
+
+const logger = new Logger({ stderrLevel: null });
+
+// A run failing with each of `errors` in turn, then succeeding
+function scripted(errors) {
+  const run = async () => {
+    run.calls++;
+    if (run.calls <= errors.length) throw errors[run.calls - 1];
+    return { stdout: '"done"\n', stderr: '' };
+  };
+  run.calls = 0;
+  return run;
+}
+
+function spawnError(errno) {
+  return Object.assign(new Error(`spawn osascript ${errno}`), { code: errno, syscall: 'spawn osascript' });
+}
+
+test('osascript that cannot be started fails at once', async () => {
+  for (const errno of ['ENOENT', 'EACCES']) {
+    const run = scripted([spawnError(errno)]);
+    await assert.rejects(
+      executeWithRetries(run, 'return 1', 2, { logger }),
+      error => error.code === 'launch_failed' && error.attempts === 1 && error.number === null
+    );
+    assert.strictEqual(run.calls, 1);
+  }
+});
+
+test('a worker command that cannot be run is not started again', async () => {
+  const worker = new OsascriptWorker({ command: '/nonexistent/osascript', args: [], logger });
+  await assert.rejects(worker.start(), error => error.code === 'ENOENT');
+  assert.strictEqual(worker.usable, false);
+});
+
+// A failure as osascript prints it on stderr
+function scriptError(number) {
+  return Object.assign(new Error('Command failed'), { stderr: `0:10: execution error: Safari got an error: Failed. (${number})` });
+}
+
+test('safe and idempotent scripts are retried after a passing failure', async () => {
+  for (const retry of ['safe', 'idempotent']) {
+    const run = scripted([scriptError(-1712)]);
+    assert.strictEqual(await executeWithRetries(run, 'return 1', 1, { logger, retry }), '"done"');
+    assert.strictEqual(run.calls, 2, retry);
+  }
+});
+
+test('unsafe scripts are retried only when Safari was not running', async () => {
+  const failing = scripted([scriptError(-1712)]);
+  await assert.rejects(
+    executeWithRetries(failing, 'make new tab', 1, { logger, retry: 'unsafe' }),
+    error => error.code === 'timeout' && error.attempts === 1
+  );
+  assert.strictEqual(failing.calls, 1);
+
+  const notRunning = scripted([scriptError(-600)]);
+  assert.strictEqual(await executeWithRetries(notRunning, 'make new tab', 1, { logger, retry: 'unsafe' }), '"done"');
+  assert.strictEqual(notRunning.calls, 2);
+});
+
+test('permanent failures are not retried', async () => {
+  const run = scripted([scriptError(-1728)]);
+  await assert.rejects(
+    executeWithRetries(run, 'return tab 9', 3, { logger, retry: 'safe' }),
+    error => error.code === 'object_not_found' && error.attempts === 1
+  );
+  assert.strictEqual(run.calls, 1);
+});
+
+test('no retry starts once its wait would outlast the budget', async () => {
+  const run = scripted([scriptError(-1712)]);
+  await assert.rejects(
+    executeWithRetries(run, 'return 1', 3, { logger, timeout: 200, budget: 500 }),
+    error => error.code === 'timeout' && error.attempts === 1
+  );
+});
+
+test('a run killed at its time limit fails with script_timeout', async () => {
+  let limit;
+  const run = async (script, timeout) => {
+    limit = timeout;
+    throw Object.assign(new Error('Command failed'), { killed: true, code: null, signal: 'SIGTERM' });
+  };
+  await assert.rejects(
+    executeWithRetries(run, 'return 1', 0, { logger, timeout: 250 }),
+    error => error.code === 'script_timeout' && error.number === null && /after 250 ms/.test(error.message)
+  );
+  assert.strictEqual(limit, 250);
+});
+
+test('each run gets the smaller of its timeout and what is left of the budget', async () => {
+  const limits = [];
+  const run = async (script, timeout) => {
+    limits.push(timeout);
+    if (limits.length === 1) throw scriptError(-1712);
+    return { stdout: '1', stderr: '' };
+  };
+  await executeWithRetries(run, 'return 1', 1, { logger, timeout: 1500, budget: 2000 });
+  assert.strictEqual(limits[0], 1500);
+  // One second of the budget went on the wait before the retry
+  assert.ok(limits[1] <= 1000 && limits[1] > 500, `second run limit ${limits[1]}`);
+});
+
+test('tools carry their own time limit and timeout_ms is range-checked', async () => {
+  const server = new SafariMCPServer({ executor: createFakeExecutor(), stdio: false, output: { write() {} } });
+  assert.strictEqual(server.toolsByName.get('get_url_of_tab_of_window').timeout, 5000);
+  assert.strictEqual(server.toolsByName.get('get_text_of_tab_of_window').timeout, 30000);
+  assert.strictEqual(server.toolsByName.get('do_javascript_for_tab_of_window').timeout, 30000);
+  const target = { target_tab_required_string: 'tab 1', target_window_required_string: 'window 1' };
+  for (const timeout of [0, 1.5, MAX_TIMEOUT + 1]) {
+    await assert.rejects(
+      server.handleToolsCall({ params: { name: 'get_url_of_tab_of_window', arguments: Object.assign({ timeout_ms: timeout }, target) } }),
+      error => error.code === -32602 && /timeout_ms/.test(error.message)
+    );
+  }
+  server.close();
+});
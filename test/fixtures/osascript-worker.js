@@ -0,0 +1,29 @@
+// Stand-in for osascript-worker.jxa speaking the same line protocol, with
+// scripts answered by the simulator. A script containing `hang` is never
+// answered and one containing `exit` stops the process, so tests can
+// exercise timeouts and crashes.
+
+const readline = require('readline');
+const { SafariSimulator, SimulatedScriptError } = require('../../server/simulator');
+
+const simulator = new SafariSimulator({ windows: [{ tabs: [{ url: 'https://example.com/' }] }] });
+
+function write(message) {
+  process.stdout.write(JSON.stringify(message) + '\n');
+}
+
+write({ ready: true });
+readline.createInterface({ input: process.stdin }).on('line', line => {
+  const { id, script } = JSON.parse(line);
+  if (script.includes('hang')) return;
+  if (script.includes('exit')) process.exit(3);
+  try {
+    write({ id, output: simulator.run(script).trim() });
+  } catch (error) {
+    if (!(error instanceof SimulatedScriptError)) throw error;
+    const message = error.kind === 'syntax'
+      ? `syntax error: ${error.message}`
+      : `execution error: Safari got an error: ${error.message}`;
+    write({ id, error: `${message} (${error.number})` });
+  }
+});
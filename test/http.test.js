@@ -0,0 +1,98 @@
+// The Streamable HTTP transport on a loopback port: bearer tokens, origins,
+// sessions and the body size limit.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { HttpTransport } = require('../server/http');
+const { SafariMCPServer, createFakeExecutor } = require('../server/index');
+const { Logger } = require('../server/logger');
+
+const TOKEN = 'secret-token';
+const INITIALIZE = { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1' } } };
+
+async function withTransport(options, run) {
+  const executor = createFakeExecutor();
+  const transport = new HttpTransport(Object.assign({
+    host: '127.0.0.1',
+    port: 0,
+    logger: new Logger({ stderrLevel: null }),
+    createServer: (output, session) => new SafariMCPServer({ executor, output, stdio: false, clientId: session })
+  }, options));
+  const { port } = await transport.listen();
+  const url = `http://127.0.0.1:${port}/mcp`;
+  try {
+    await run(url, transport);
+  } finally {
+    await transport.close();
+  }
+}
+
+function post(url, body, headers = {}) {
+  return fetch(url, {
+    method: 'POST',
+    headers: Object.assign({ 'Content-Type': 'application/json', Accept: 'application/json' }, headers),
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+}
+
+test('binding beyond loopback needs a token', () => {
+  assert.throws(() => new HttpTransport({ host: '0.0.0.0', createServer() {} }), /without a token/);
+  assert.doesNotThrow(() => new HttpTransport({ host: '0.0.0.0', token: TOKEN, createServer() {} }));
+});
+
+test('requests without the bearer token are refused', async () => {
+  await withTransport({ token: TOKEN }, async url => {
+    const missing = await post(url, INITIALIZE);
+    assert.strictEqual(missing.status, 401);
+    assert.strictEqual(missing.headers.get('www-authenticate'), 'Bearer');
+    assert.strictEqual((await post(url, INITIALIZE, { Authorization: 'Bearer wrong' })).status, 401);
+    assert.strictEqual((await post(url, INITIALIZE, { Authorization: `Bearer ${TOKEN}` })).status, 200);
+  });
+});
+
+test('requests from another site\'s origin are refused', async () => {
+  await withTransport({}, async url => {
+    assert.strictEqual((await post(url, INITIALIZE, { Origin: 'https://evil.example' })).status, 403);
+    assert.strictEqual((await post(url, INITIALIZE, { Origin: 'not a url' })).status, 403);
+    assert.strictEqual((await post(url, INITIALIZE, { Origin: 'http://localhost:5173' })).status, 200);
+  });
+});
+
+test('initialize opens a session that later requests must name', async () => {
+  await withTransport({}, async url => {
+    const opened = await post(url, INITIALIZE);
+    const session = opened.headers.get('mcp-session-id');
+    assert.ok(session);
+    assert.strictEqual((await opened.json()).id, 1);
+
+    const ping = { jsonrpc: '2.0', id: 2, method: 'ping' };
+    assert.strictEqual((await post(url, ping)).status, 400);
+    assert.strictEqual((await post(url, ping, { 'Mcp-Session-Id': 'unknown' })).status, 404);
+    const answered = await post(url, ping, { 'Mcp-Session-Id': session });
+    assert.deepStrictEqual(await answered.json(), { jsonrpc: '2.0', id: 2, result: {} });
+
+    const notified = await post(url, { jsonrpc: '2.0', method: 'notifications/initialized' }, { 'Mcp-Session-Id': session });
+    assert.strictEqual(notified.status, 202);
+
+    assert.strictEqual((await fetch(url, { method: 'DELETE', headers: { 'Mcp-Session-Id': session } })).status, 204);
+    assert.strictEqual((await post(url, ping, { 'Mcp-Session-Id': session })).status, 404);
+  });
+});
+
+test('initialize may not be batched and bad JSON is a parse error', async () => {
+  await withTransport({}, async url => {
+    const batched = await post(url, [INITIALIZE, { jsonrpc: '2.0', id: 2, method: 'ping' }]);
+    assert.strictEqual(batched.status, 400);
+    const unparsable = await post(url, '{"jsonrpc":');
+    assert.strictEqual(unparsable.status, 400);
+    assert.strictEqual((await unparsable.json()).error.code, -32700);
+  });
+});
+
+test('a body over the size limit is refused with 413', async () => {
+  await withTransport({}, async url => {
+    const body = JSON.stringify(Object.assign({}, INITIALIZE, { padding: 'x'.repeat(5 * 1024 * 1024) }));
+    const response = await post(url, body);
+    assert.strictEqual(response.status, 413);
+  });
+});
@@ -0,0 +1,75 @@
+// JSON-RPC framing on stdio: error codes, notifications and batches, fed
+// through handleMessage as raw lines.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { SafariMCPServer, createFakeExecutor } = require('../server/index');
+
+// A server whose replies are collected as parsed messages; log
+// notifications are left out
+function createServer() {
+  const sent = [];
+  const server = new SafariMCPServer({
+    executor: createFakeExecutor(),
+    stdio: false,
+    output: {
+      write: line => {
+        const message = JSON.parse(line);
+        if (Array.isArray(message) || 'id' in message) sent.push(message);
+      }
+    }
+  });
+  return { server, sent };
+}
+
+async function reply(line) {
+  const { server, sent } = createServer();
+  await server.handleMessage(typeof line === 'string' ? line : JSON.stringify(line));
+  server.close();
+  return sent;
+}
+
+test('each kind of bad message gets its error code', async () => {
+  const cases = [
+    ['{"jsonrpc": "2.0", "id": 1, "method": ', null, -32700],
+    [{ jsonrpc: '1.0', id: 2, method: 'ping' }, 2, -32600],
+    [{ jsonrpc: '2.0', id: 3 }, 3, -32600],
+    [{ jsonrpc: '2.0', id: { nested: true }, method: 'ping' }, null, -32600],
+    [{ jsonrpc: '2.0', id: 4, method: 'ping', params: 'x' }, 4, -32600],
+    [{ jsonrpc: '2.0', id: 5, method: 'no/such/method' }, 5, -32601],
+    [{ jsonrpc: '2.0', id: 6, method: 'tools/call', params: { name: 'no_such_tool' } }, 6, -32602],
+    [{ jsonrpc: '2.0', id: 7, method: 'tools/call', params: { name: 'close_for_window', arguments: { target_window_required_string: 'window 1 of tab 2' } } }, 7, -32602]
+  ];
+  for (const [line, id, code] of cases) {
+    const [response] = await reply(line);
+    assert.strictEqual(response.jsonrpc, '2.0');
+    assert.strictEqual(response.id, id, JSON.stringify(line));
+    assert.strictEqual(response.error.code, code, JSON.stringify(line));
+    assert.strictEqual(response.result, undefined);
+  }
+});
+
+test('notifications get no response, even when they fail', async () => {
+  assert.deepStrictEqual(await reply({ jsonrpc: '2.0', method: 'notifications/initialized' }), []);
+  assert.deepStrictEqual(await reply({ jsonrpc: '2.0', method: 'no/such/method' }), []);
+});
+
+test('a batch is answered in one array without its notifications', async () => {
+  const [responses] = await reply([
+    { jsonrpc: '2.0', id: 1, method: 'ping' },
+    { jsonrpc: '2.0', method: 'notifications/initialized' },
+    { jsonrpc: '2.0', id: 2, method: 'no/such/method' },
+    'not a request'
+  ]);
+  assert.deepStrictEqual(responses, [
+    { jsonrpc: '2.0', id: 1, result: {} },
+    { jsonrpc: '2.0', id: 2, error: { code: -32601, message: 'Method not found: no/such/method' } },
+    { jsonrpc: '2.0', id: null, error: { code: -32600, message: 'Invalid Request: expected an object' } }
+  ]);
+});
+
+test('an empty batch is invalid and a batch of notifications gets nothing', async () => {
+  const [response] = await reply([]);
+  assert.strictEqual(response.error.code, -32600);
+  assert.deepStrictEqual(await reply([{ jsonrpc: '2.0', method: 'notifications/initialized' }]), []);
+});
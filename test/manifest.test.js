@@ -0,0 +1,15 @@
+// manifest.json lists the tools for clients that read it before starting the
+// server; it has to match what the server registers.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const manifest = require('../manifest.json');
+const { SafariMCPServer, createFakeExecutor } = require('../server/index');
+
+test('the manifest lists every tool with its runtime description', () => {
+  const server = new SafariMCPServer({ executor: createFakeExecutor(), stdio: false, output: { write() {} } });
+  const tools = [...server.toolsByName.values()].map(tool => ({ name: tool.name, description: tool.description }));
+  server.close();
+  const byName = list => [...list].sort((a, b) => a.name.localeCompare(b.name));
+  assert.deepStrictEqual(byName(manifest.tools), byName(tools));
+});
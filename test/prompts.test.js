@@ -0,0 +1,54 @@
+// Prompts run their tools as tools/call does: arguments checked, Safari's
+// availability checked, and failures reported with the tool's error fields.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  SafariMCPServer,
+  SafariSimulator,
+  createSimulatorExecutor,
+  createFakeExecutor
+} = require('../server/index');
+const { AVAILABILITY_SCRIPT } = require('../server/executor');
+
+function createServer(executor) {
+  return new SafariMCPServer({ executor, stdio: false, output: { write() {} } });
+}
+
+function getPrompt(server, name, args) {
+  return server.handlePromptsGet({ params: { name, arguments: args } });
+}
+
+test('a prompt embeds the page read through the tools', async () => {
+  const simulator = new SafariSimulator({
+    windows: [{ tabs: [{ url: 'https://example.org/' }] }],
+    pages: { 'https://example.org/': { name: 'Example Domain', text: 'Hello' } }
+  });
+  const server = createServer(createSimulatorExecutor(simulator));
+  const result = await getPrompt(server, 'summarize_current_tab', {});
+  assert.strictEqual(result.description, 'Summarize "Example Domain"');
+  assert.strictEqual(result.messages[1].content.resource.text, 'Hello');
+  server.close();
+});
+
+test('a prompt fails with app_not_running when Safari is not running', async () => {
+  const executor = createFakeExecutor({ available: false });
+  const server = createServer(executor);
+  await assert.rejects(
+    getPrompt(server, 'summarize_current_tab', {}),
+    error => error.code === -32603 && error.data.code === 'app_not_running'
+  );
+  assert.deepStrictEqual(executor.scripts, [AVAILABILITY_SCRIPT]);
+  server.close();
+});
+
+test('arguments a tool rejects are the prompt\'s invalid params', async () => {
+  const executor = createFakeExecutor();
+  const server = createServer(executor);
+  await assert.rejects(
+    getPrompt(server, 'compare_tabs', { window: 'window 1" & do shell script "id' }),
+    error => error.code === -32602 && error.data.tool === 'count_tab_of_window'
+  );
+  assert.deepStrictEqual(executor.scripts, []);
+  server.close();
+});
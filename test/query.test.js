@@ -0,0 +1,93 @@
+// The query tool: filters compiled into a whose clause, regular expressions
+// applied to the fetched values, and filters rejected before anything runs.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  SafariMCPServer,
+  SafariSimulator,
+  createSimulatorExecutor
+} = require('../server/index');
+
+function createServer() {
+  const simulator = new SafariSimulator({
+    windows: [
+      { tabs: [{ url: 'https://github.com/a' }, { url: 'https://example.com/' }] },
+      { tabs: [{ url: 'https://GitHub.com/b' }] }
+    ]
+  });
+  return new SafariMCPServer({ executor: createSimulatorExecutor(simulator), stdio: false, output: { write() {} } });
+}
+
+function query(server, filters) {
+  return server.handleToolsCall({
+    params: {
+      name: 'query',
+      arguments: { class_name_required_text: 'tab', filters_optional_list: filters, properties_optional_list_of_text: ['URL'] }
+    }
+  });
+}
+
+async function urls(filters) {
+  const server = createServer();
+  try {
+    const response = await query(server, filters);
+    const result = JSON.parse(response.content[0].text);
+    assert.strictEqual(response.isError, false, result.error);
+    return { urls: result.matches.map(match => match.properties.URL), script: result.script };
+  } finally {
+    server.close();
+  }
+}
+
+test('comparison operators run in the whose clause', async () => {
+  const cases = [
+    ['equals', 'https://example.com/', 'URL is "https://example.com/"', ['https://example.com/']],
+    ['not equals', 'https://example.com/', 'URL is not "https://example.com/"', ['https://github.com/a', 'https://GitHub.com/b']],
+    ['begins with', 'https://ex', 'URL begins with "https://ex"', ['https://example.com/']],
+    ['ends with', '/b', 'URL ends with "/b"', ['https://GitHub.com/b']],
+    ['does not contain', 'example', 'URL does not contain "example"', ['https://github.com/a', 'https://GitHub.com/b']]
+  ];
+  for (const [operator, value, clause, expected] of cases) {
+    const result = await urls([{ property: 'URL', operator, value }]);
+    assert.ok(result.script.includes(`(every tab of every window whose ${clause})`), result.script);
+    assert.deepStrictEqual(result.urls, expected, operator);
+  }
+});
+
+test('several filters must all match', async () => {
+  const result = await urls([
+    { property: 'URL', operator: 'begins with', value: 'https://' },
+    { property: 'URL', operator: 'ends with', value: '/a' }
+  ]);
+  assert.ok(result.script.includes('whose URL begins with "https://" and URL ends with "/a"'));
+  assert.deepStrictEqual(result.urls, ['https://github.com/a']);
+});
+
+test('matches runs the regular expression on the fetched values', async () => {
+  const plain = await urls([{ property: 'URL', operator: 'matches', value: '^https://github\\.com/' }]);
+  assert.ok(!plain.script.includes('whose'));
+  assert.deepStrictEqual(plain.urls, ['https://github.com/a']);
+
+  const insensitive = await urls([{ property: 'URL', operator: 'matches', value: '^https://github\\.com/', flags: 'i' }]);
+  assert.deepStrictEqual(insensitive.urls, ['https://github.com/a', 'https://GitHub.com/b']);
+
+  // g would make test() resume from the last match and skip values
+  const global = await urls([{ property: 'URL', operator: 'matches', value: 'github', flags: 'gi' }]);
+  assert.deepStrictEqual(global.urls, ['https://github.com/a', 'https://GitHub.com/b']);
+});
+
+test('bad filters are invalid params', async () => {
+  const server = createServer();
+  const invalid = [
+    [{ property: 'URL', operator: 'matches', value: 'a', flags: 'x' }, /unknown regular expression flag "x"/],
+    [{ property: 'URL', operator: 'matches', value: '(' }, /Invalid regular expression/],
+    [{ property: 'URL', operator: 'like', value: 'a' }, /unknown operator "like"/],
+    [{ property: 'colour', operator: 'equals', value: 'a' }, /tab has no property "colour"/],
+    [{ property: 'URL', operator: 'equals' }, /value is required/]
+  ];
+  for (const [filter, message] of invalid) {
+    await assert.rejects(query(server, [filter]), error => error.code === -32602 && message.test(error.message), message.source);
+  }
+  server.close();
+});
@@ -0,0 +1,89 @@
+// Property tests for quoteAppleScriptString: random text, heavy on the
+// characters a literal cannot hold, must come back unchanged after running
+// through a script, and nothing a literal cannot hold may appear in one.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { quoteAppleScriptString, decodeAppleScriptValue } = require('../server/values');
+const { createSimulatorExecutor } = require('../server/simulator');
+
+const RUNS = 500;
+const SEED = Number(process.env.QUOTING_SEED) || 20240601;
+
+// Characters most likely to break a literal, drawn from more often than the
+// rest of the BMP
+const AWKWARD = [
+  '"', '\\', '\n', '\r', '\t', '\u0000', '\u0007', '\u001B', '\u007F', '\u0085',
+  '\u2028', '\u2029', '\u201C', '\u201D', '\u2018', '\u2019', '\uFEFF',
+  '\uD800', '\uDBFF', '\uDC00', '\uDFFF', '😀', '👩‍💻', '¬', '«', '»', '&', '(', ')'
+];
+
+// Deterministic generator, so a failing case can be replayed from its seed
+function random(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomText(next) {
+  const length = Math.floor(next() * 24);
+  let text = '';
+  for (let i = 0; i < length; i++) {
+    const pick = next();
+    if (pick < 0.4) text += AWKWARD[Math.floor(next() * AWKWARD.length)];
+    else if (pick < 0.7) text += String.fromCharCode(0x20 + Math.floor(next() * 0x5F));
+    else text += String.fromCharCode(Math.floor(next() * 0x10000));
+  }
+  return text;
+}
+
+function samples() {
+  const next = random(SEED);
+  const list = ['', '"', '\\', '\\"', '""', '\uD800', '\uDC00\uD800', '😀'.slice(0, 1) + 'x'];
+  while (list.length < RUNS) list.push(randomText(next));
+  return list;
+}
+
+// Literal segments of a quoted expression: the whole of it, or the quoted
+// parts joined with `&` between `(character id N)` parts
+function literals(quoted) {
+  return [...quoted.matchAll(/"((?:[^"\\]|\\.)*)"/g)].map(match => match[1]);
+}
+
+test('quoted text round-trips through a script', async () => {
+  const executor = createSimulatorExecutor();
+  for (const text of samples()) {
+    const quoted = quoteAppleScriptString(text);
+    const output = await executor.execute(`return ${quoted}`);
+    assert.strictEqual(decodeAppleScriptValue(output), text, `seed ${SEED}: ${JSON.stringify(text)} quoted as ${quoted}`);
+  }
+});
+
+test('literals hold no characters a literal cannot', () => {
+  const unquotable = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F\u2028\u2029\u201C\u201D\uFEFF\uD800-\uDFFF]/;
+  for (const text of samples()) {
+    const quoted = quoteAppleScriptString(text);
+    assert.ok(!/[\n\r]/.test(quoted), `seed ${SEED}: line break in ${JSON.stringify(quoted)}`);
+    for (const literal of literals(quoted)) {
+      // Paired surrogates are one character and may stay literal
+      const stripped = literal.replace(/[\uD800-\uDBFF][\uDC00-\uDFFF]/g, '');
+      assert.ok(!unquotable.test(stripped), `seed ${SEED}: ${JSON.stringify(literal)} in ${quoted}`);
+    }
+  }
+});
+
+test('text needing no escapes stays a single literal', () => {
+  for (const text of ['', 'plain', 'it’s', 'a & b (c)', '😀']) {
+    assert.strictEqual(quoteAppleScriptString(text), `"${text}"`);
+  }
+});
+
+test('spliced characters keep the expression a single operand', () => {
+  assert.strictEqual(quoteAppleScriptString('a\u2028b'), '("a" & (character id 8232) & "b")');
+  assert.strictEqual(quoteAppleScriptString('\u201C'), '((character id 8220))');
+});
@@ -0,0 +1,48 @@
+// A server given its own registry builds its tools, specifier grammar and
+// value encoding from that dictionary rather than Safari's.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { SafariMCPServer, createFakeExecutor } = require('../server/index');
+const { createRegistry, loadRegistry } = require('../server/registry');
+const { formatSpecifier, parseSpecifier, SpecifierError } = require('../server/specifiers');
+
+const SDEF = `<?xml version="1.0" encoding="UTF-8"?>
+<dictionary title="Panes">
+  <suite name="Standard Suite" code="core">
+    <command name="close" code="coreclos"><direct-parameter type="specifier"/></command>
+    <class name="application" code="capp"><element type="window"/></class>
+    <class name="window" code="cwin">
+      <property name="name" code="pnam" type="text" access="r"/>
+      <property name="id" code="ID  " type="integer" access="r"/>
+      <element type="pane"/>
+      <responds-to command="close"/>
+    </class>
+    <class name="pane" code="pane">
+      <property name="title" code="ptit" type="text"/>
+      <responds-to command="close"/>
+    </class>
+  </suite>
+</dictionary>`;
+
+test('specifiers follow the registry they are parsed against', () => {
+  const registry = createRegistry(SDEF);
+  assert.strictEqual(formatSpecifier(registry, 'pane 2 of window 1', 'pane'), 'pane 2 of window 1');
+  assert.throws(() => parseSpecifier(registry, 'pane id 3', 'pane'), SpecifierError);
+  assert.throws(() => parseSpecifier(loadRegistry(), 'pane 2 of window 1'), SpecifierError);
+});
+
+test('a server runs tools for the classes in its registry', async () => {
+  const executor = createFakeExecutor();
+  const server = new SafariMCPServer({ registry: createRegistry(SDEF), executor, stdio: false, output: { write() {} } });
+
+  const response = await server.handleToolsCall({
+    params: {
+      name: 'close_for_pane_of_window',
+      arguments: { target_pane_required_string: 'pane 2', target_window_required_string: 'window 1' }
+    }
+  });
+  assert.strictEqual(response.isError, false, response.content[0].text);
+  assert.strictEqual(executor.lastScript().trim().replace(/\s+/g, ' '), 'tell application "Safari" close pane 2 of window 1 end tell');
+  server.close();
+});
@@ -0,0 +1,42 @@
+// Reading a tab resource runs its script with the time limit and retry class
+// of the matching get tool. readResource is called directly, since a
+// scheduler would trim the time limit to what is left of the budget.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { readResource } = require('../server/resources');
+const { loadRegistry } = require('../server/registry');
+
+// An executor answering every script with `output`, recording the options
+// each was run with
+function recording(output) {
+  const executor = {
+    name: 'recording',
+    runs: [],
+    async execute(script, options = {}) {
+      executor.runs.push({ script, options });
+      return output;
+    }
+  };
+  return executor;
+}
+
+async function read(uri, output) {
+  const executor = recording(output);
+  const result = await readResource(loadRegistry(), executor, uri);
+  return { result, options: executor.runs[0].options };
+}
+
+test('page text is read with the text property\'s time limit', async () => {
+  const { result, options } = await read('safari://window/7/tab/1/text', '"Hello"');
+  assert.strictEqual(result.contents[0].text, 'Hello');
+  assert.strictEqual(options.timeout, 30000);
+  assert.strictEqual(options.retry, 'safe');
+});
+
+test('the tab summary is read as a quick, safe read', async () => {
+  const { result, options } = await read('safari://window/7/tab/1', '{"Example", "https://example.com/"}');
+  assert.strictEqual(JSON.parse(result.contents[0].text).URL, 'https://example.com/');
+  assert.strictEqual(options.timeout, 5000);
+  assert.strictEqual(options.retry, 'safe');
+});
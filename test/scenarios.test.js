@@ -0,0 +1,137 @@
+// End-to-end tool calls: open a tab, navigate it and close it, once against
+// the simulator (checking Safari's state) and once against the fake executor
+// (checking the scripts sent).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  SafariMCPServer,
+  SafariSimulator,
+  createSimulatorExecutor,
+  createFakeExecutor
+} = require('../server/index');
+const { AVAILABILITY_SCRIPT } = require('../server/executor');
+
+function createServer(executor) {
+  return new SafariMCPServer({ executor, stdio: false, output: { write() {} } });
+}
+
+async function callTool(server, name, args) {
+  const response = await server.handleToolsCall({ params: { name, arguments: args } });
+  const result = JSON.parse(response.content[0].text);
+  assert.strictEqual(response.isError, false, `${name} failed: ${result.error}`);
+  return result;
+}
+
+function tabs(simulator) {
+  return simulator.snapshot().windows[0].tabs.map(tab => tab.url);
+}
+
+test('opening, navigating and closing a tab changes Safari', async () => {
+  const simulator = new SafariSimulator({
+    windows: [{ tabs: [{ url: 'https://example.com/' }] }],
+    pages: { 'https://example.org/': { name: 'Example Domain' } }
+  });
+  const server = createServer(createSimulatorExecutor(simulator));
+
+  await callTool(server, 'make_tab_of_window', {
+    at_required_location_specifier_window: 'window 1',
+    with_properties_optional_text_url: 'https://example.net/'
+  });
+  assert.deepStrictEqual(tabs(simulator), ['https://example.com/', 'https://example.net/']);
+
+  await callTool(server, 'set_url_of_tab_of_window', {
+    target_tab_required_string: 'tab 2',
+    target_window_required_string: 'window 1',
+    value_required_text: 'https://example.org/'
+  });
+  assert.deepStrictEqual(simulator.snapshot().windows[0].tabs[1], { url: 'https://example.org/', name: 'Example Domain' });
+  const url = await callTool(server, 'get_url_of_tab_of_window', {
+    target_tab_required_string: 'tab 2',
+    target_window_required_string: 'window 1'
+  });
+  assert.strictEqual(url.value, 'https://example.org/');
+
+  await callTool(server, 'close_for_tab_of_window', {
+    target_tab_required_string: 'tab 2',
+    target_window_required_string: 'window 1'
+  });
+  assert.deepStrictEqual(tabs(simulator), ['https://example.com/']);
+  server.close();
+});
+
+test('closing a missing tab reports object_not_found', async () => {
+  const simulator = new SafariSimulator({ windows: [{ tabs: [{ url: 'https://example.com/' }] }] });
+  const server = createServer(createSimulatorExecutor(simulator));
+
+  const response = await server.handleToolsCall({
+    params: {
+      name: 'close_for_tab_of_window',
+      arguments: { target_tab_required_string: 'tab 5', target_window_required_string: 'window 1' }
+    }
+  });
+  const result = JSON.parse(response.content[0].text);
+  assert.strictEqual(response.isError, true);
+  assert.strictEqual(result.code, 'object_not_found');
+  assert.deepStrictEqual(tabs(simulator), ['https://example.com/']);
+  server.close();
+});
+
+test('opening, navigating and closing a tab sends these scripts', async () => {
+  const executor = createFakeExecutor();
+  const server = createServer(executor);
+
+  await callTool(server, 'make_tab_of_window', {
+    at_required_location_specifier_window: 'window 1',
+    with_properties_optional_text_url: 'https://example.net/'
+  });
+  await callTool(server, 'set_url_of_tab_of_window', {
+    target_tab_required_string: 'tab 2',
+    target_window_required_string: 'window 1',
+    value_required_text: 'https://example.org/'
+  });
+  await callTool(server, 'close_for_tab_of_window', {
+    target_tab_required_string: 'tab 2',
+    target_window_required_string: 'window 1'
+  });
+
+  const scripts = executor.scripts.map(script => script.trim().replace(/\s+/g, ' '));
+  assert.deepStrictEqual(scripts, [
+    AVAILABILITY_SCRIPT,
+    'tell application "Safari" make new tab at window 1 with properties {URL:"https://example.net/"} end tell',
+    AVAILABILITY_SCRIPT,
+    'tell application "Safari" set URL of tab 2 of window 1 to "https://example.org/" end tell',
+    AVAILABILITY_SCRIPT,
+    'tell application "Safari" close tab 2 of window 1 end tell'
+  ]);
+  server.close();
+});
+
+test('a tool call does not run its script when Safari is not running', async () => {
+  const executor = createFakeExecutor({ available: false });
+  const server = createServer(executor);
+
+  const response = await server.handleToolsCall({
+    params: {
+      name: 'close_for_tab_of_window',
+      arguments: { target_tab_required_string: 'tab 1', target_window_required_string: 'window 1' }
+    }
+  });
+  assert.strictEqual(response.isError, true);
+  assert.strictEqual(JSON.parse(response.content[0].text).code, 'app_not_running');
+  assert.deepStrictEqual(executor.scripts, [AVAILABILITY_SCRIPT]);
+  server.close();
+});
+
+test('a script returning the word Error still succeeds', async () => {
+  const executor = createFakeExecutor().respond('return name of', 'Error');
+  const server = createServer(executor);
+
+  const result = await callTool(server, 'get_name_of_tab_of_window', {
+    target_tab_required_string: 'tab 1',
+    target_window_required_string: 'window 1'
+  });
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.value, 'Error');
+  server.close();
+});
@@ -0,0 +1,49 @@
+// The scheduler's queue: budgets counted from when a script is queued and
+// cancellation before a script runs.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Scheduler } = require('../server/scheduler');
+const { createFakeExecutor, TIMEOUT_BUDGET } = require('../server/executor');
+
+// A fake executor whose "hang" script never answers on its own
+function hanging() {
+  return createFakeExecutor().respond('hang', () => new Promise(() => {}));
+}
+
+test('a script waiting past the default budget times out in the queue', async () => {
+  const scheduler = new Scheduler(hanging(), { budget: 100 });
+  const controller = new AbortController();
+  const first = scheduler.execute('hang', { budget: 60000, signal: controller.signal });
+  const second = scheduler.execute('return 1');
+  await assert.rejects(second, error => error.code === 'script_timeout');
+  assert.strictEqual(scheduler.stats().timed_out_in_queue, 1);
+  controller.abort();
+  await assert.rejects(first, error => error.name === 'CancelledError');
+});
+
+test('the default budget is the executor\'s, else TIMEOUT_BUDGET', () => {
+  const executor = createFakeExecutor();
+  assert.strictEqual(new Scheduler(executor).budget, TIMEOUT_BUDGET);
+  assert.strictEqual(new Scheduler(Object.assign(executor, { budget: 5000 })).budget, 5000);
+});
+
+test('an aborted signal rejects instead of throwing', async () => {
+  const scheduler = new Scheduler(createFakeExecutor());
+  const controller = new AbortController();
+  controller.abort();
+  const running = scheduler.execute('return 1', { signal: controller.signal });
+  await assert.rejects(running, error => error.name === 'CancelledError');
+  assert.strictEqual(scheduler.stats().queued, 0);
+});
+
+test('cancelling a queued script takes it out of the queue', async () => {
+  const scheduler = new Scheduler(hanging());
+  const controller = new AbortController();
+  const first = scheduler.execute('hang', { budget: 100 });
+  const second = scheduler.execute('return 1', { signal: controller.signal });
+  controller.abort();
+  await assert.rejects(second, error => error.name === 'CancelledError');
+  assert.strictEqual(scheduler.stats().cancelled, 1);
+  await assert.rejects(first, error => error.code === 'script_timeout');
+});
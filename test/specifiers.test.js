@@ -0,0 +1,88 @@
+// The object specifier grammar: what parses, what the rebuilt specifier
+// looks like, and that nothing a caller types reaches a script verbatim.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  SpecifierError,
+  parseSpecifier,
+  formatSpecifier,
+  formatLocation
+} = require('../server/specifiers');
+const { loadRegistry } = require('../server/registry');
+
+const registry = loadRegistry();
+
+test('each element form parses to a tree', () => {
+  assert.deepStrictEqual(parseSpecifier(registry, 'front window'), { type: 'window', position: 'front' });
+  assert.deepStrictEqual(parseSpecifier(registry, 'window id 4512'), { type: 'window', id: 4512 });
+  assert.deepStrictEqual(parseSpecifier(registry, 'document "Untitled"'), { type: 'document', name: 'Untitled' });
+  assert.deepStrictEqual(
+    parseSpecifier(registry, 'tab -1 of window 2'),
+    { type: 'tab', index: -1, window: { type: 'window', index: 2 } }
+  );
+  assert.deepStrictEqual(
+    parseSpecifier(registry, 'current tab of front window'),
+    { type: 'tab', position: 'current', window: { type: 'window', position: 'front' } }
+  );
+  assert.deepStrictEqual(
+    parseSpecifier(registry, 'tab whose URL contains "github" of window 1'),
+    { type: 'tab', whose: { property: 'URL', operator: 'contains', value: 'github' }, window: { type: 'window', index: 1 } }
+  );
+});
+
+test('specifiers are rebuilt from their trees', () => {
+  assert.strictEqual(formatSpecifier(registry, 'Window  1'), 'window 1');
+  assert.strictEqual(formatSpecifier(registry, 'last tab of window id 7'), 'last tab of window id 7');
+  assert.strictEqual(
+    formatSpecifier(registry, 'first tab whose name is "A \\"b\\"" of window 1'),
+    '(first tab of window 1 whose name is "A \\"b\\"")'
+  );
+  assert.strictEqual(formatSpecifier(registry, 'tab 2', 'tab', { type: 'window', index: 1 }), 'tab 2 of window 1');
+  assert.strictEqual(formatSpecifier(registry, { type: 'window', name: 'a"b' }), 'window "a\\"b"');
+});
+
+test('specifiers break neither containment nor the class model', () => {
+  const invalid = {
+    'window 1 of tab 2': /window cannot be contained in a tab/,
+    'tab 1 of document 1': /tab cannot be contained in a document/,
+    'window 1 of window 2': /window cannot be contained in a window/,
+    'tab id 3 of window 1': /tab elements have no id/,
+    'window id 1.5': /unexpected character "\."/,
+    'tab whose source contains "x" of window 1': /whose clause must test one of/,
+    'tab whose foo is 1 of window 1': /whose clause must test one of/,
+    'frobnicate 1': /expected document, tab or window/,
+    'window': /expected an index, id, name or whose clause/,
+    '': /found end of input/
+  };
+  for (const [input, message] of Object.entries(invalid)) {
+    assert.throws(() => parseSpecifier(registry, input), error => error instanceof SpecifierError && message.test(error.message), input);
+  }
+  assert.throws(() => parseSpecifier(registry, 'tab 1', 'window'), /expected a window/);
+});
+
+test('script injected into a specifier is rejected', () => {
+  const attempts = [
+    'window 1" & do shell script "id" & "',
+    'window (do shell script "id")',
+    'tab whose URL contains "x"; quit of window 1',
+    'window 1\n quit',
+    'window 1 -- comment',
+    'window 1 ¬\nquit'
+  ];
+  for (const input of attempts) {
+    assert.throws(() => parseSpecifier(registry, input), SpecifierError, JSON.stringify(input));
+  }
+  // Trees are checked as strictly as text
+  assert.throws(
+    () => formatSpecifier(registry, { type: 'tab', index: '2" & quit', window: { type: 'window', id: 5 } }),
+    /tab index must be a non-zero integer/
+  );
+});
+
+test('locations name an insertion point or a container', () => {
+  assert.strictEqual(formatLocation(registry, 'end of tabs of window 1'), 'end of tabs of window 1');
+  assert.strictEqual(formatLocation(registry, 'before tab 2 of window 1'), 'before tab 2 of window 1');
+  assert.strictEqual(formatLocation(registry, 'window 1'), 'window 1');
+  assert.throws(() => formatLocation(registry, 'end of tabs of window 1" & quit'), SpecifierError);
+});
@@ -0,0 +1,54 @@
+// Resource change tracking, polled by hand against the fake executor.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ResourceMonitor } = require('../server/subscriptions');
+const { createFakeExecutor } = require('../server/executor');
+const { loadRegistry } = require('../server/registry');
+const { Logger } = require('../server/logger');
+
+const URI = 'safari://window/1/tab/1';
+
+// A monitor over one window with one tab at `url`; `sent` collects the
+// notifications
+function createMonitor(url) {
+  const executor = createFakeExecutor()
+    .respond('id of every window', `{{1}, {{"Example"}}, {{"${url}"}}}`)
+    .respond('return {name of', `{"Example", "${url}"}`)
+    .respond('return text of', '"Hello"');
+  const sent = [];
+  const monitor = new ResourceMonitor({
+    registry: loadRegistry(),
+    executor,
+    logger: new Logger({ stderrLevel: null }),
+    notify: (method, params) => sent.push({ method, params })
+  });
+  return { executor, monitor, sent };
+}
+
+test('a change right after subscribing is reported by the next poll', async () => {
+  const { executor, monitor, sent } = createMonitor('https://example.com/');
+  await monitor.subscribe(URI);
+  executor.respond('id of every window', '{{1}, {{"Example"}}, {{"https://example.org/"}}}');
+  await monitor.poll();
+  assert.deepStrictEqual(sent, [{ method: 'notifications/resources/updated', params: { uri: URI } }]);
+  monitor.stop();
+});
+
+test('an unchanged tab sends nothing', async () => {
+  const { monitor, sent } = createMonitor('https://example.com/');
+  await monitor.subscribe(URI);
+  await monitor.poll();
+  assert.deepStrictEqual(sent, []);
+  monitor.stop();
+});
+
+test('stopping ends list watching and subscriptions', async () => {
+  const { monitor } = createMonitor('https://example.com/');
+  monitor.watchList();
+  await monitor.subscribe(URI);
+  assert.ok(monitor.timer);
+  monitor.stop();
+  assert.strictEqual(monitor.active(), false);
+  assert.strictEqual(monitor.timer, null);
+});
@@ -0,0 +1,76 @@
+// Decoding osascript's source-form output and encoding tool arguments as
+// AppleScript values.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { decodeAppleScriptValue, encodeAppleScriptValue, ValueEncodeError } = require('../server/values');
+const { loadRegistry } = require('../server/registry');
+
+const registry = loadRegistry();
+
+function encode(value, type) {
+  return encodeAppleScriptValue(registry, value, type);
+}
+
+test('scalars decode to JSON values', () => {
+  assert.strictEqual(decodeAppleScriptValue('"say \\"hi\\"\\\\n"'), 'say "hi"\\n');
+  assert.strictEqual(decodeAppleScriptValue('"a\\tb\\nc"'), 'a\tb\nc');
+  assert.strictEqual(decodeAppleScriptValue('42'), 42);
+  assert.strictEqual(decodeAppleScriptValue('-1.5E+3'), -1500);
+  assert.strictEqual(decodeAppleScriptValue('true'), true);
+  assert.strictEqual(decodeAppleScriptValue('false'), false);
+  assert.strictEqual(decodeAppleScriptValue('missing value'), null);
+  assert.strictEqual(decodeAppleScriptValue(''), null);
+  assert.strictEqual(decodeAppleScriptValue(undefined), null);
+  assert.strictEqual(decodeAppleScriptValue('ask'), 'ask');
+  assert.strictEqual(decodeAppleScriptValue('«class abcd»'), '«class abcd»');
+});
+
+test('lists and records decode to arrays and objects', () => {
+  assert.deepStrictEqual(decodeAppleScriptValue('{}'), []);
+  assert.deepStrictEqual(decodeAppleScriptValue('{1, "two", {3, missing value}}'), [1, 'two', [3, null]]);
+  assert.deepStrictEqual(
+    decodeAppleScriptValue('{name:"Example", URL:"https://example.com/", |class|:tab, visible:true}'),
+    { name: 'Example', URL: 'https://example.com/', class: 'tab', visible: true }
+  );
+});
+
+test('references decode to specifier trees without the application', () => {
+  assert.deepStrictEqual(
+    decodeAppleScriptValue('tab 2 of window id 4512 of application "Safari"'),
+    { type: 'tab', index: 2, window: { type: 'window', id: 4512 } }
+  );
+  assert.deepStrictEqual(decodeAppleScriptValue('document "Untitled"'), { type: 'document', name: 'Untitled' });
+  assert.deepStrictEqual(decodeAppleScriptValue('application "Safari"'), { type: 'application', name: 'Safari' });
+  assert.deepStrictEqual(decodeAppleScriptValue('{window id 1, window id 2}'), [{ type: 'window', id: 1 }, { type: 'window', id: 2 }]);
+});
+
+test('dates and files keep their kind', () => {
+  assert.deepStrictEqual(decodeAppleScriptValue('date "Monday, 1 January 2024 at 10:00:00"'), { type: 'date', text: 'Monday, 1 January 2024 at 10:00:00' });
+  assert.deepStrictEqual(decodeAppleScriptValue('POSIX file "/tmp/page.html"'), { type: 'file', path: '/tmp/page.html' });
+  assert.deepStrictEqual(decodeAppleScriptValue('alias "Macintosh HD:Users:"'), { type: 'alias', path: 'Macintosh HD:Users:' });
+});
+
+test('rectangles decode to {x, y, width, height} when asked for', () => {
+  assert.deepStrictEqual(decodeAppleScriptValue('{10, 20, 110, 70}'), [10, 20, 110, 70]);
+  assert.deepStrictEqual(decodeAppleScriptValue('{10, 20, 110, 70}', 'rectangle'), { x: 10, y: 20, width: 100, height: 50 });
+});
+
+test('output that does not parse comes back as trimmed text', () => {
+  assert.strictEqual(decodeAppleScriptValue('  not { valid  '), 'not { valid');
+  assert.strictEqual(decodeAppleScriptValue('"unterminated'), '"unterminated');
+});
+
+test('rectangles are encoded from lists, text and {x, y, width, height}', () => {
+  assert.strictEqual(encode([10, 20, 110, 70], 'rectangle'), '{10, 20, 110, 70}');
+  assert.strictEqual(encode('10, 20, 110, 70', 'rectangle'), '{10, 20, 110, 70}');
+  assert.strictEqual(encode({ x: 10, y: 20, width: 100, height: 50 }, 'rectangle'), '{10, 20, 110, 70}');
+  assert.strictEqual(encode({ x: '10', y: '20', width: '100', height: '50' }, 'rectangle'), '{10, 20, 110, 70}');
+  assert.strictEqual(encode('{"x": 10, "y": 20, "width": 100, "height": 50}', 'rectangle'), '{10, 20, 110, 70}');
+});
+
+test('a rectangle with missing or non-numeric sides is rejected', () => {
+  assert.throws(() => encode({ x: 1, y: 2, width: 3 }, 'rectangle'), /missing height/);
+  assert.throws(() => encode({ x: 1, y: 2, width: 3, height: 'tall' }, 'rectangle'), ValueEncodeError);
+  assert.throws(() => encode([1, 2, 3], 'rectangle'), ValueEncodeError);
+});
@@ -0,0 +1,113 @@
+// The persistent worker's protocol, run against a Node stand-in for
+// osascript-worker.jxa through the `command` and `args` options.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { OsascriptWorker, MAX_FAILED_STARTS, createWorkerExecutor } = require('../server/worker');
+const { Logger } = require('../server/logger');
+const { Scheduler } = require('../server/scheduler');
+
+const STAND_IN = path.join(__dirname, 'fixtures', 'osascript-worker.js');
+const URL_SCRIPT = 'tell application "Safari" to return URL of tab 1 of window 1';
+
+// Keeps worker start and exit messages out of the test output
+const logger = new Logger({ stderrLevel: null });
+
+function createExecutor(options = {}) {
+  return createWorkerExecutor(Object.assign({ command: process.execPath, args: [STAND_IN], logger }, options));
+}
+
+test('scripts run on one process and return their output', async () => {
+  const executor = createExecutor();
+  try {
+    assert.strictEqual(await executor.execute(URL_SCRIPT), '"https://example.com/"');
+    const pid = executor.worker.child.pid;
+    assert.strictEqual(await executor.execute('tell application "Safari" to return name of window 1'), '"example.com"');
+    assert.strictEqual(executor.worker.child.pid, pid);
+  } finally {
+    executor.close();
+  }
+});
+
+test('script errors are typed as osascript reports them', async () => {
+  const executor = createExecutor();
+  try {
+    await executor.worker.start();
+    const pid = executor.worker.child.pid;
+    await assert.rejects(
+      executor.execute('tell application "Safari" to return URL of tab 9 of window 1'),
+      error => error.code === 'object_not_found' && error.number === -1719 && error.attempts === 1
+    );
+    // An error from a script leaves the process running
+    assert.strictEqual(executor.worker.child.pid, pid);
+  } finally {
+    executor.close();
+  }
+});
+
+test('a script running past its timeout restarts the process', async () => {
+  const executor = createExecutor({ retries: 0 });
+  try {
+    await executor.worker.start();
+    const pid = executor.worker.child.pid;
+    await assert.rejects(
+      executor.execute('hang', { timeout: 200, budget: 200 }),
+      error => error.code === 'script_timeout'
+    );
+    assert.strictEqual(await executor.execute(URL_SCRIPT), '"https://example.com/"');
+    assert.notStrictEqual(executor.worker.child.pid, pid);
+  } finally {
+    executor.close();
+  }
+});
+
+test('a cancelled script restarts the process', async () => {
+  const executor = createExecutor();
+  try {
+    await executor.worker.start();
+    const pid = executor.worker.child.pid;
+    const controller = new AbortController();
+    const running = executor.execute('hang', { signal: controller.signal });
+    setTimeout(() => controller.abort(), 50);
+    await assert.rejects(running, error => error.name === 'CancelledError');
+    assert.strictEqual(await executor.execute(URL_SCRIPT), '"https://example.com/"');
+    assert.notStrictEqual(executor.worker.child.pid, pid);
+  } finally {
+    executor.close();
+  }
+});
+
+test('a process exiting mid-script fails the script and is replaced', async () => {
+  const executor = createExecutor();
+  try {
+    await assert.rejects(
+      executor.execute('exit', { retry: 'unsafe' }),
+      error => error.code === 'script_error' && /exited \(code 3\)/.test(error.message)
+    );
+    assert.strictEqual(await executor.execute(URL_SCRIPT), '"https://example.com/"');
+  } finally {
+    executor.close();
+  }
+});
+
+test('a process that never says it is ready is given up on', async () => {
+  const worker = new OsascriptWorker({ command: process.execPath, args: ['-e', 'process.exit(1)'], logger });
+  for (let i = 0; i < MAX_FAILED_STARTS; i++) {
+    await assert.rejects(worker.start(), /exited during startup/);
+  }
+  assert.strictEqual(worker.usable, false);
+});
+
+test('a scheduler runs one script at a time on the worker', async () => {
+  const executor = createExecutor();
+  const scheduler = new Scheduler(executor, { concurrency: 4 });
+  try {
+    assert.strictEqual(scheduler.concurrency, 1);
+    const results = await Promise.all([URL_SCRIPT, URL_SCRIPT, URL_SCRIPT].map(script => scheduler.execute(script)));
+    assert.deepStrictEqual(results, Array(3).fill('"https://example.com/"'));
+    assert.strictEqual(scheduler.stats().completed, 3);
+  } finally {
+    scheduler.close();
+  }
+});